@@ -1,32 +1,62 @@
-import React, { useState, useRef, useEffect, useCallback } from 'react';
-
-// Domo Color Palette
-const DOMO_PALETTE = {
-  horizon: { name: 'Horizon', hex: '#0062FF', rgb: [0, 98, 255] },
-  hearth: { name: 'Hearth', hex: '#430E0A', rgb: [67, 14, 10] },
-  festival: { name: 'Festival', hex: '#E9280A', rgb: [233, 40, 10] },
-  rooted: { name: 'Rooted', hex: '#11533B', rgb: [17, 83, 59] },
-  threshold: { name: 'Threshold', hex: '#C7A95A', rgb: [199, 169, 90] },
-  white: { name: 'White', hex: '#FFFFFF', rgb: [255, 255, 255] },
-  black: { name: 'Black', hex: '#000000', rgb: [0, 0, 0] },
-};
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import {
+  DOMO_PALETTE, DITHER_ALGORITHMS, PAINT_MASK_SIZE, scaleSettings, createRandom, BLUE_NOISE_SIZES, BLUE_NOISE_DEFAULT_SIZE, MIN_HALFTONE_STEP,
+  buildCurveLut, encodeMaskData, decodeMaskData, paintMaskDab
+} from './render';
+import { ANIMATION_PARAMS, animateSettings, reseedSettings, scaleAnimation, trackValue } from './animation';
+import { createRecipe, readPngRecipe, conform, oneOf, TOOL_VERSION } from './recipe';
+import { openVideo, loadVideoElement, releaseVideoElement, seekVideo, captureVideoFrame, videoFrameCount, videoFrameTime } from './video';
+import { openCamera, closeCamera, captureCameraFrame, CAMERA_LIVE_WIDTH } from './camera';
 
 const ALL_COLOR_KEYS = Object.keys(DOMO_PALETTE);
 
-// Curated dither algorithms (removed digital-looking ones: checker, grid, diagonal)
-const DITHER_ALGORITHMS = {
-  none: { name: 'NONE', category: 'none', hasScale: false, hasAngle: false, description: 'No dithering applied' },
-  bayer2x2: { name: 'BAYER 2×2', category: 'ordered', hasScale: true, hasAngle: false, description: 'Small ordered pattern, creates a fine crosshatch texture' },
-  bayer4x4: { name: 'BAYER 4×4', category: 'ordered', hasScale: true, hasAngle: false, description: 'Medium ordered pattern, classic retro computer look' },
-  bayer8x8: { name: 'BAYER 8×8', category: 'ordered', hasScale: true, hasAngle: false, description: 'Large ordered pattern, smoother gradients with visible structure' },
-  floydSteinberg: { name: 'FLOYD-STEINBERG', category: 'diffusion', hasScale: true, hasAngle: false, description: 'Classic error diffusion, natural-looking results' },
-  atkinson: { name: 'ATKINSON', category: 'diffusion', hasScale: true, hasAngle: false, description: 'Mac-style dithering, higher contrast, iconic look' },
-  halftoneCircle: { name: 'HALFTONE DOTS', category: 'halftone', hasScale: true, hasAngle: true, description: 'Traditional print dots, size varies with tone' },
-  halftoneLines: { name: 'HALFTONE LINES', category: 'halftone', hasScale: true, hasAngle: true, description: 'Engraving-style lines, width varies with tone' },
-  halftoneSquare: { name: 'HALFTONE SQUARES', category: 'halftone', hasScale: true, hasAngle: true, description: 'Square dots for a more geometric look' },
-  noise: { name: 'NOISE/STIPPLE', category: 'other', hasScale: true, hasAngle: false, description: 'Random stipple pattern, organic texture' },
+// Pattern select groups, in display order
+const ALGORITHM_GROUPS = [
+  { category: 'halftone', label: 'HALFTONE' },
+  { category: 'ordered', label: 'ORDERED' },
+  { category: 'diffusion', label: 'DIFFUSION' },
+  { category: 'other', label: 'ORGANIC' },
+];
+
+// Per-layer source channels. Luminance and RGB channels put ink where the channel is dark
+// (like the classic behavior); saturation and hue put ink where the color is present.
+const SOURCE_CHANNELS = {
+  luminance: { name: 'LUMA', description: 'Brightness (0.299/0.587/0.114), ink in the shadows' },
+  red: { name: 'R', description: 'Red channel, ink where red is low' },
+  green: { name: 'G', description: 'Green channel, ink where green is low' },
+  blue: { name: 'B', description: 'Blue channel, ink where blue is low' },
+  saturation: { name: 'SAT', description: 'Saturation, ink on vivid colors' },
+  hue: { name: 'HUE', description: 'Hue range with soft falloff, ink on the selected colors' },
+};
+
+// Layer mask types and their default parameters (positions are 0-1 of the canvas)
+const MASK_TYPES = {
+  none: 'NONE',
+  tonal: 'TONAL',
+  linear: 'LINEAR',
+  radial: 'RADIAL',
+  painted: 'PAINTED',
+};
+
+const MASK_DEFAULTS = {
+  tonal: { type: 'tonal', low: 0, high: 0.5, softness: 0.1, invert: false },
+  linear: { type: 'linear', angle: 90, position: 0.5, width: 0.4, invert: false },
+  radial: { type: 'radial', cx: 0.5, cy: 0.5, radius: 0.3, feather: 0.2, invert: false },
+  painted: { type: 'painted', invert: false },
+};
+
+// Source pre-filters, run in list order before dithering
+const PRE_FILTERS = {
+  blur: { name: 'GAUSSIAN BLUR', defaults: { radius: 2 } },
+  unsharp: { name: 'UNSHARP MASK', defaults: { amount: 1, radius: 2, threshold: 0 } },
+  median: { name: 'MEDIAN DENOISE', defaults: { radius: 1 } },
+  posterize: { name: 'POSTERIZE', defaults: { levels: 4 } },
+  edges: { name: 'EDGES', defaults: { method: 'sobel', strength: 1, low: 0.1, high: 0.25 } },
 };
 
+// Algorithm categories that can quantize into more than two tone levels (tint screens)
+const MULTI_LEVEL_CATEGORIES = ['ordered', 'diffusion', 'other'];
+
 const BLEND_MODES = {
   multiply: 'MULTIPLY',
   normal: 'NORMAL',
@@ -42,9 +72,44 @@ const EXPORT_RESOLUTIONS = {
   '4x': { scale: 4, label: 'LARGE (4x)' } 
 };
 
+// Still image formats of the main export button. alpha formats can leave the paper
+// transparent; quality formats are lossy
+const OUTPUT_FORMATS = {
+  png: { label: 'PNG', extension: 'png', alpha: true },
+  jpeg: { label: 'JPEG', extension: 'jpg', quality: true },
+  webp: { label: 'WEBP', extension: 'webp', alpha: true, quality: true },
+  tiff: { label: 'TIFF', extension: 'tif', alpha: true }
+};
+
+// Animated export formats; APNG files keep the .png extension
+const ANIMATION_FORMATS = {
+  gif: { label: 'GIF', extension: 'gif' },
+  apng: { label: 'APNG', extension: 'png' },
+  webm: { label: 'WEBM', extension: 'webm' }
+};
+
+// Print page sizes in millimetres, portrait; pages turn to match the image
+const PRINT_SIZES = {
+  a4: { label: 'A4', width: 210, height: 297 },
+  a3: { label: 'A3', width: 297, height: 420 },
+  a2: { label: 'A2', width: 420, height: 594 },
+  poster: { label: '50×70', width: 500, height: 700 },
+  letter: { label: 'LETTER', width: 215.9, height: 279.4 }
+};
+
+const MM_PER_INCH = 25.4;
+
+// Millimetres per display unit
+const LENGTH_UNITS = { mm: 1, in: MM_PER_INCH };
+
 // Preview resolution limit for performance
 const PREVIEW_MAX_WIDTH = 1500;
 
+// Dot sizes, offsets, filter radii and bleed are measured in pixels of the image scaled
+// to this width, so a design looks the same at any resolution and the preview matches the
+// export. Legacy pixel sizes (old presets) measure them on the full-size image instead.
+const REFERENCE_WIDTH = 1500;
+
 // Presets
 const PRESETS = {
   subtle: {
@@ -96,6 +161,16 @@ const PRESETS = {
     ditherScale: 6,
     ditherAngle: 15,
     ditherThreshold: 0.5
+  },
+  brandPalette: {
+    name: 'PALETTE',
+    description: 'Full-color rendition in Domo inks',
+    palette: true,
+    paletteColors: ['black', 'hearth', 'festival', 'horizon', 'threshold', 'white'],
+    paletteDitherType: 'floydSteinberg',
+    paletteDitherScale: 2,
+    paletteDitherStrength: 0.9,
+    paletteSerpentine: true
   }
 };
 
@@ -105,6 +180,9 @@ const DEFAULT_STATE = {
   brightness: 0,
   contrast: 0,
   invert: false,
+  inputLevels: { black: 0, white: 255, gamma: 1 },
+  toneCurve: [[0, 0], [1, 1]],
+  preFilters: [],
   inkBleed: false,
   inkBleedAmount: 0.5,
   inkBleedRoughness: 0.5,
@@ -115,8 +193,22 @@ const DEFAULT_STATE = {
   gradientDitherScale: 8,
   gradientDitherAngle: 15,
   gradientDitherThreshold: 0.5,
+  paletteEnabled: false,
+  paletteColors: ['black', 'hearth', 'festival', 'threshold', 'white'],
+  paletteDitherType: 'floydSteinberg',
+  paletteDitherScale: 2,
+  paletteDitherStrength: 1,
+  paletteSerpentine: true,
+  autoSeparation: false,
   backgroundColor: '#ffffff',
   exportResolution: '1x',
+  output: { format: 'png', quality: 0.9, tiffBits: 8, transparentPaper: false },
+  legacyPixels: false,
+  seed: 1,
+  print: { enabled: false, size: 'a4', width: 210, height: 297, unit: 'mm', dpi: 300, lpi: 0 },
+  separations: { bits: 1, packaging: 'zip', trap: 0 },
+  animation: { enabled: false, frames: 24, fps: 12, loop: true, format: 'gif', tracks: [] },
+  videoExport: { fps: 24, flicker: false },
   zoom: 1,
   panX: 0,
   panY: 0,
@@ -125,6 +217,48 @@ const DEFAULT_STATE = {
   ]
 };
 
+// What restored recipe settings must look like (see conform in recipe.js): the defaults,
+// with the values a setting can take and the shapes of list items. Anything else in a
+// hand-edited or newer recipe falls back to the default instead of breaking the UI.
+const COLOR_KEY = oneOf(ALL_COLOR_KEYS);
+const RECIPE_SHAPE = {
+  ...DEFAULT_STATE,
+  inputLevels: { ...DEFAULT_STATE.inputLevels },
+  toneCurve: [[0]],
+  preFilters: [{ id: 0, type: oneOf(Object.keys(PRE_FILTERS)), enabled: true }],
+  gradientColors: [COLOR_KEY],
+  gradientDitherType: oneOf(['none', ...Object.keys(DITHER_ALGORITHMS)]),
+  paletteColors: [COLOR_KEY],
+  paletteDitherType: oneOf(Object.keys(DITHER_ALGORITHMS), DEFAULT_STATE.paletteDitherType),
+  exportResolution: oneOf(Object.keys(EXPORT_RESOLUTIONS)),
+  output: { ...DEFAULT_STATE.output, format: oneOf(Object.keys(OUTPUT_FORMATS)), tiffBits: oneOf([8, 1]) },
+  print: { ...DEFAULT_STATE.print, size: oneOf([...Object.keys(PRINT_SIZES), 'custom'], DEFAULT_STATE.print.size), unit: oneOf(Object.keys(LENGTH_UNITS)) },
+  separations: { ...DEFAULT_STATE.separations, bits: oneOf([1, 8]), packaging: oneOf(['zip', 'pdf']) },
+  animation: {
+    ...DEFAULT_STATE.animation,
+    format: oneOf(Object.keys(ANIMATION_FORMATS)),
+    tracks: [{ id: 0, param: oneOf(Object.keys(ANIMATION_PARAMS)), 'layerId?': 0, mode: oneOf(['oscillate', 'keys']), keys: [{ frame: 0, value: 0 }], amplitude: 0, cycles: 1 }]
+  },
+  layers: [{
+    ...DEFAULT_STATE.layers[0],
+    colorKey: oneOf(ALL_COLOR_KEYS, DEFAULT_STATE.layers[0].colorKey),
+    ditherType: oneOf(Object.keys(DITHER_ALGORITHMS), DEFAULT_STATE.layers[0].ditherType),
+    blendMode: oneOf(Object.keys(BLEND_MODES)),
+    'seed?': 0,
+    'curve?': [[0]],
+    'mask?': { type: oneOf(Object.keys(MASK_TYPES)), 'data?': '' },
+    'textureSize?': oneOf(BLUE_NOISE_SIZES),
+    'levels?': 0,
+    'serpentine?': true,
+    'errorStrength?': 0,
+    'channel?': oneOf(Object.keys(SOURCE_CHANNELS)),
+    'channelInvert?': false,
+    'hueCenter?': 0,
+    'hueRange?': 0,
+    'hueFalloff?': 0
+  }]
+};
+
 // Debounce hook
 function useDebounce(value, delay) {
   const [debouncedValue, setDebouncedValue] = useState(value);
@@ -137,513 +271,44 @@ function useDebounce(value, delay) {
   return debouncedValue;
 }
 
-// Seeded random for consistent noise
-function seededRandom(seed) {
-  const x = Math.sin(seed) * 10000;
-  return x - Math.floor(x);
-}
-
-// Bayer matrices
-const BAYER_2x2 = [[0,2],[3,1]].map(r => r.map(v => v/4));
-const BAYER_4x4 = [[0,8,2,10],[12,4,14,6],[3,11,1,9],[15,7,13,5]].map(r => r.map(v => v/16));
-const BAYER_8x8 = [[0,32,8,40,2,34,10,42],[48,16,56,24,50,18,58,26],[12,44,4,36,14,46,6,38],[60,28,52,20,62,30,54,22],[3,35,11,43,1,33,9,41],[51,19,59,27,49,17,57,25],[15,47,7,39,13,45,5,37],[63,31,55,23,61,29,53,21]].map(r => r.map(v => v/64));
-
-// Dithering Algorithms
-const ditherAlgorithms = {
-  none: (imageData) => imageData,
-  
-  bayer2x2: (imageData, threshold, scale = 1) => {
-    const data = new Uint8ClampedArray(imageData.data);
-    const w = imageData.width, h = imageData.height;
-    const matrix = BAYER_2x2;
-    const size = 2;
-    const thresholdOffset = (threshold - 0.5) * 0.8;
-    const pixelScale = Math.max(1, Math.floor(scale));
-    for (let y = 0; y < h; y++) {
-      for (let x = 0; x < w; x++) {
-        const i = (y * w + x) * 4;
-        const gray = (data[i] * 0.299 + data[i+1] * 0.587 + data[i+2] * 0.114) / 255;
-        const mx = Math.floor(x / pixelScale) % size;
-        const my = Math.floor(y / pixelScale) % size;
-        const result = gray > (matrix[my][mx] + thresholdOffset) ? 255 : 0;
-        data[i] = data[i+1] = data[i+2] = result;
-      }
-    }
-    return new ImageData(data, w, h);
-  },
-
-  bayer4x4: (imageData, threshold, scale = 1) => {
-    const data = new Uint8ClampedArray(imageData.data);
-    const w = imageData.width, h = imageData.height;
-    const matrix = BAYER_4x4;
-    const size = 4;
-    const thresholdOffset = (threshold - 0.5) * 0.8;
-    const pixelScale = Math.max(1, Math.floor(scale));
-    for (let y = 0; y < h; y++) {
-      for (let x = 0; x < w; x++) {
-        const i = (y * w + x) * 4;
-        const gray = (data[i] * 0.299 + data[i+1] * 0.587 + data[i+2] * 0.114) / 255;
-        const mx = Math.floor(x / pixelScale) % size;
-        const my = Math.floor(y / pixelScale) % size;
-        const result = gray > (matrix[my][mx] + thresholdOffset) ? 255 : 0;
-        data[i] = data[i+1] = data[i+2] = result;
-      }
-    }
-    return new ImageData(data, w, h);
-  },
-
-  bayer8x8: (imageData, threshold, scale = 1) => {
-    const data = new Uint8ClampedArray(imageData.data);
-    const w = imageData.width, h = imageData.height;
-    const matrix = BAYER_8x8;
-    const size = 8;
-    const thresholdOffset = (threshold - 0.5) * 0.8;
-    const pixelScale = Math.max(1, Math.floor(scale));
-    for (let y = 0; y < h; y++) {
-      for (let x = 0; x < w; x++) {
-        const i = (y * w + x) * 4;
-        const gray = (data[i] * 0.299 + data[i+1] * 0.587 + data[i+2] * 0.114) / 255;
-        const mx = Math.floor(x / pixelScale) % size;
-        const my = Math.floor(y / pixelScale) % size;
-        const result = gray > (matrix[my][mx] + thresholdOffset) ? 255 : 0;
-        data[i] = data[i+1] = data[i+2] = result;
-      }
-    }
-    return new ImageData(data, w, h);
-  },
-
-  floydSteinberg: (imageData, threshold, scale = 1) => {
-    const data = new Uint8ClampedArray(imageData.data);
-    const w = imageData.width, h = imageData.height;
-    const pixelScale = Math.max(1, Math.floor(scale));
-    const thresh = 80 + threshold * 100;
-    
-    const sw = Math.ceil(w / pixelScale);
-    const sh = Math.ceil(h / pixelScale);
-    const gray = new Float32Array(sw * sh);
-    
-    for (let sy = 0; sy < sh; sy++) {
-      for (let sx = 0; sx < sw; sx++) {
-        let sum = 0, count = 0;
-        for (let dy = 0; dy < pixelScale && sy * pixelScale + dy < h; dy++) {
-          for (let dx = 0; dx < pixelScale && sx * pixelScale + dx < w; dx++) {
-            const idx = ((sy * pixelScale + dy) * w + (sx * pixelScale + dx)) * 4;
-            sum += data[idx] * 0.299 + data[idx+1] * 0.587 + data[idx+2] * 0.114;
-            count++;
-          }
-        }
-        gray[sy * sw + sx] = sum / count;
-      }
-    }
-    
-    for (let y = 0; y < sh; y++) {
-      for (let x = 0; x < sw; x++) {
-        const i = y * sw + x;
-        const oldPixel = gray[i];
-        const newPixel = oldPixel > thresh ? 255 : 0;
-        gray[i] = newPixel;
-        const error = oldPixel - newPixel;
-        if (x + 1 < sw) gray[i + 1] += error * 7 / 16;
-        if (y + 1 < sh) {
-          if (x > 0) gray[i + sw - 1] += error * 3 / 16;
-          gray[i + sw] += error * 5 / 16;
-          if (x + 1 < sw) gray[i + sw + 1] += error * 1 / 16;
-        }
-      }
-    }
-    
-    for (let y = 0; y < h; y++) {
-      for (let x = 0; x < w; x++) {
-        const sx = Math.floor(x / pixelScale);
-        const sy = Math.floor(y / pixelScale);
-        const val = gray[sy * sw + sx] > 127 ? 255 : 0;
-        const idx = (y * w + x) * 4;
-        data[idx] = data[idx+1] = data[idx+2] = val;
-      }
-    }
-    return new ImageData(data, w, h);
-  },
-
-  atkinson: (imageData, threshold, scale = 1) => {
-    const data = new Uint8ClampedArray(imageData.data);
-    const w = imageData.width, h = imageData.height;
-    const pixelScale = Math.max(1, Math.floor(scale));
-    const thresh = 80 + threshold * 100;
-    
-    const sw = Math.ceil(w / pixelScale);
-    const sh = Math.ceil(h / pixelScale);
-    const gray = new Float32Array(sw * sh);
-    
-    for (let sy = 0; sy < sh; sy++) {
-      for (let sx = 0; sx < sw; sx++) {
-        let sum = 0, count = 0;
-        for (let dy = 0; dy < pixelScale && sy * pixelScale + dy < h; dy++) {
-          for (let dx = 0; dx < pixelScale && sx * pixelScale + dx < w; dx++) {
-            const idx = ((sy * pixelScale + dy) * w + (sx * pixelScale + dx)) * 4;
-            sum += data[idx] * 0.299 + data[idx+1] * 0.587 + data[idx+2] * 0.114;
-            count++;
-          }
-        }
-        gray[sy * sw + sx] = sum / count;
-      }
-    }
-    
-    for (let y = 0; y < sh; y++) {
-      for (let x = 0; x < sw; x++) {
-        const i = y * sw + x;
-        const oldPixel = gray[i];
-        const newPixel = oldPixel > thresh ? 255 : 0;
-        gray[i] = newPixel;
-        const error = (oldPixel - newPixel) / 8;
-        if (x + 1 < sw) gray[i + 1] += error;
-        if (x + 2 < sw) gray[i + 2] += error;
-        if (y + 1 < sh) {
-          if (x > 0) gray[i + sw - 1] += error;
-          gray[i + sw] += error;
-          if (x + 1 < sw) gray[i + sw + 1] += error;
-        }
-        if (y + 2 < sh) gray[i + sw * 2] += error;
-      }
-    }
-    
-    for (let y = 0; y < h; y++) {
-      for (let x = 0; x < w; x++) {
-        const sx = Math.floor(x / pixelScale);
-        const sy = Math.floor(y / pixelScale);
-        const val = gray[sy * sw + sx] > 127 ? 255 : 0;
-        const idx = (y * w + x) * 4;
-        data[idx] = data[idx+1] = data[idx+2] = val;
-      }
-    }
-    return new ImageData(data, w, h);
-  },
-
-  halftoneCircle: (imageData, threshold, dotSize = 6, angle = 15) => {
-    const data = new Uint8ClampedArray(imageData.data);
-    const w = imageData.width, h = imageData.height;
-    data.fill(255);
-    
-    const step = Math.max(3, Math.floor(dotSize));
-    const maxRadius = step * 0.48;
-    const rad = (angle * Math.PI) / 180;
-    const cos = Math.cos(rad), sin = Math.sin(rad);
-    
-    const gridExtent = Math.max(w, h) * 2;
-    
-    for (let gy = -gridExtent; gy < gridExtent; gy += step) {
-      for (let gx = -gridExtent; gx < gridExtent; gx += step) {
-        const cx = gx * cos - gy * sin + w / 2;
-        const cy = gx * sin + gy * cos + h / 2;
-        
-        if (cx < -step || cx >= w + step || cy < -step || cy >= h + step) continue;
-        
-        const sampleX = Math.max(0, Math.min(w - 1, Math.round(cx)));
-        const sampleY = Math.max(0, Math.min(h - 1, Math.round(cy)));
-        const si = (sampleY * w + sampleX) * 4;
-        const gray = (imageData.data[si] * 0.299 + imageData.data[si+1] * 0.587 + imageData.data[si+2] * 0.114) / 255;
-        
-        const darkness = 1 - gray;
-        const radius = Math.sqrt(darkness) * maxRadius * (0.6 + threshold * 0.7);
-        
-        if (radius < 0.5) continue;
-        
-        const minX = Math.max(0, Math.floor(cx - radius - 1));
-        const maxX = Math.min(w - 1, Math.ceil(cx + radius + 1));
-        const minY = Math.max(0, Math.floor(cy - radius - 1));
-        const maxY = Math.min(h - 1, Math.ceil(cy + radius + 1));
-        
-        for (let py = minY; py <= maxY; py++) {
-          for (let px = minX; px <= maxX; px++) {
-            const dx = px - cx;
-            const dy = py - cy;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-            
-            if (dist <= radius + 0.7) {
-              const i = (py * w + px) * 4;
-              const coverage = Math.max(0, Math.min(1, radius - dist + 0.7));
-              const newVal = Math.round(255 * (1 - coverage));
-              data[i] = Math.min(data[i], newVal);
-              data[i+1] = Math.min(data[i+1], newVal);
-              data[i+2] = Math.min(data[i+2], newVal);
-            }
-          }
-        }
-      }
-    }
-    return new ImageData(data, w, h);
-  },
-
-  halftoneLines: (imageData, threshold, lineSpacing = 4, angle = 45) => {
-    const data = new Uint8ClampedArray(imageData.data);
-    const w = imageData.width, h = imageData.height;
-    data.fill(255);
-    
-    const rad = (angle * Math.PI) / 180;
-    const cos = Math.cos(rad), sin = Math.sin(rad);
-    const spacing = Math.max(3, lineSpacing);
-    const maxWidth = spacing * 0.7;
-    
-    for (let y = 0; y < h; y++) {
-      for (let x = 0; x < w; x++) {
-        const i = (y * w + x) * 4;
-        const gray = (imageData.data[i] * 0.299 + imageData.data[i+1] * 0.587 + imageData.data[i+2] * 0.114) / 255;
-        
-        const rx = x * cos + y * sin;
-        
-        const linePos = ((rx % spacing) + spacing) % spacing;
-        const centerDist = Math.abs(linePos - spacing / 2);
-        
-        const darkness = 1 - gray;
-        const lineWidth = Math.sqrt(darkness) * maxWidth * (0.5 + threshold * 0.7);
-        const halfWidth = lineWidth / 2;
-        
-        if (centerDist <= halfWidth + 0.7) {
-          const coverage = Math.max(0, Math.min(1, halfWidth - centerDist + 0.7));
-          const val = Math.round(255 * (1 - coverage));
-          data[i] = data[i+1] = data[i+2] = val;
-        }
-      }
-    }
-    return new ImageData(data, w, h);
-  },
-
-  halftoneSquare: (imageData, threshold, size = 6, angle = 0) => {
-    const data = new Uint8ClampedArray(imageData.data);
-    const w = imageData.width, h = imageData.height;
-    data.fill(255);
-    
-    const step = Math.max(3, Math.floor(size));
-    const maxSize = step * 0.85;
-    const rad = (angle * Math.PI) / 180;
-    const cos = Math.cos(rad), sin = Math.sin(rad);
-    
-    const gridExtent = Math.max(w, h) * 2;
-    
-    for (let gy = -gridExtent; gy < gridExtent; gy += step) {
-      for (let gx = -gridExtent; gx < gridExtent; gx += step) {
-        const cx = gx * cos - gy * sin + w / 2;
-        const cy = gx * sin + gy * cos + h / 2;
-        
-        if (cx < -step || cx >= w + step || cy < -step || cy >= h + step) continue;
-        
-        const sampleX = Math.max(0, Math.min(w - 1, Math.round(cx)));
-        const sampleY = Math.max(0, Math.min(h - 1, Math.round(cy)));
-        const si = (sampleY * w + sampleX) * 4;
-        const gray = (imageData.data[si] * 0.299 + imageData.data[si+1] * 0.587 + imageData.data[si+2] * 0.114) / 255;
-        
-        const darkness = 1 - gray;
-        const squareHalf = Math.sqrt(darkness) * maxSize * (0.4 + threshold * 0.6) / 2;
-        
-        if (squareHalf < 0.3) continue;
-        
-        const extent = squareHalf + 1;
-        const minX = Math.max(0, Math.floor(cx - extent));
-        const maxX = Math.min(w - 1, Math.ceil(cx + extent));
-        const minY = Math.max(0, Math.floor(cy - extent));
-        const maxY = Math.min(h - 1, Math.ceil(cy + extent));
-        
-        for (let py = minY; py <= maxY; py++) {
-          for (let px = minX; px <= maxX; px++) {
-            const dx = px - cx;
-            const dy = py - cy;
-            const rdx = dx * cos + dy * sin;
-            const rdy = -dx * sin + dy * cos;
-            
-            const distX = Math.abs(rdx) - squareHalf;
-            const distY = Math.abs(rdy) - squareHalf;
-            const dist = Math.max(distX, distY);
-            
-            if (dist < 0.7) {
-              const i = (py * w + px) * 4;
-              const coverage = Math.max(0, Math.min(1, -dist + 0.7));
-              const newVal = Math.round(255 * (1 - coverage));
-              data[i] = Math.min(data[i], newVal);
-              data[i+1] = Math.min(data[i+1], newVal);
-              data[i+2] = Math.min(data[i+2], newVal);
-            }
-          }
-        }
-      }
-    }
-    return new ImageData(data, w, h);
-  },
-
-  noise: (imageData, threshold, scale = 1) => {
-    const data = new Uint8ClampedArray(imageData.data);
-    const w = imageData.width, h = imageData.height;
-    const pixelScale = Math.max(1, Math.floor(scale));
-    const decisionThreshold = 0.3 + (1 - threshold) * 0.4;
-    const noiseAmount = 0.25;
-    
-    for (let y = 0; y < h; y++) {
-      for (let x = 0; x < w; x++) {
-        const i = (y * w + x) * 4;
-        const gray = (data[i] * 0.299 + data[i+1] * 0.587 + data[i+2] * 0.114) / 255;
-        const sx = Math.floor(x / pixelScale);
-        const sy = Math.floor(y / pixelScale);
-        const noise = seededRandom(sy * Math.ceil(w / pixelScale) + sx + 0.5);
-        const adjustedThreshold = decisionThreshold + (noise - 0.5) * noiseAmount;
-        const result = gray > adjustedThreshold ? 255 : 0;
-        data[i] = data[i+1] = data[i+2] = result;
-      }
-    }
-    return new ImageData(data, w, h);
-  }
-};
-
-// Blend modes
-const blendModes = {
-  normal: (base, blend, alpha) => blend * alpha + base * (1 - alpha),
-  multiply: (base, blend, alpha) => ((base/255) * (blend/255) * 255) * alpha + base * (1 - alpha),
-  screen: (base, blend, alpha) => (255 - ((255-base)/255) * ((255-blend)/255) * 255) * alpha + base * (1 - alpha),
-  overlay: (base, blend, alpha) => {
-    const result = base < 128 ? (2*base*blend)/255 : 255 - (2*(255-base)*(255-blend))/255;
-    return result * alpha + base * (1 - alpha);
-  },
-  darken: (base, blend, alpha) => Math.min(base, blend) * alpha + base * (1 - alpha),
-  lighten: (base, blend, alpha) => Math.max(base, blend) * alpha + base * (1 - alpha),
-};
-
-// Apply brightness and contrast
-function applyBrightnessContrast(imageData, brightness, contrast) {
-  const data = new Uint8ClampedArray(imageData.data);
-  const factor = (259 * (contrast * 255 + 255)) / (255 * (259 - contrast * 255));
-  
-  for (let i = 0; i < data.length; i += 4) {
-    let r = data[i] + brightness * 255;
-    let g = data[i + 1] + brightness * 255;
-    let b = data[i + 2] + brightness * 255;
-    
-    r = factor * (r - 128) + 128;
-    g = factor * (g - 128) + 128;
-    b = factor * (b - 128) + 128;
-    
-    data[i] = Math.max(0, Math.min(255, r));
-    data[i + 1] = Math.max(0, Math.min(255, g));
-    data[i + 2] = Math.max(0, Math.min(255, b));
-  }
-  
-  return new ImageData(data, imageData.width, imageData.height);
+// Pixel size of a print page at its DPI, turned to the image's orientation, and the scale
+// that fits the image on it. mmPerPixel is the printed size of one image pixel.
+function getPrintLayout(print, imageWidth, imageHeight) {
+  const shortSide = Math.min(print.width, print.height);
+  const longSide = Math.max(print.width, print.height);
+  const landscape = imageWidth > imageHeight;
+  const toPixels = (mm) => Math.max(1, Math.round(mm / MM_PER_INCH * print.dpi));
+  const width = toPixels(landscape ? longSide : shortSide);
+  const height = toPixels(landscape ? shortSide : longSide);
+  const scale = Math.min(width / imageWidth, height / imageHeight);
+  return { width, height, scale, mmPerPixel: MM_PER_INCH / print.dpi / scale };
 }
 
-// Invert image data
-function invertImageData(imageData) {
-  const data = new Uint8ClampedArray(imageData.data);
-  for (let i = 0; i < data.length; i += 4) {
-    data[i] = 255 - data[i];
-    data[i + 1] = 255 - data[i + 1];
-    data[i + 2] = 255 - data[i + 2];
-  }
-  return new ImageData(data, imageData.width, imageData.height);
+// Finest screen ruling a DPI can print without the renderer enlarging the cells, on the
+// LPI slider's steps of 5
+function maxScreenLpi(dpi) {
+  return Math.floor(dpi / MIN_HALFTONE_STEP / 5) * 5;
 }
 
-// Ink bleed effect - simulates capillary action via randomized dilation (fiber spread)
-function applyInkBleed(imageData, amount, roughness = 0.5) {
-  const w = imageData.width, h = imageData.height;
-  const original = new Uint8ClampedArray(imageData.data); // Read-only copy
-  const result = new Uint8ClampedArray(imageData.data);   // Output buffer
-  
-  // Number of dilation passes based on amount (1-3 passes)
-  const passes = Math.max(1, Math.round(amount * 3));
-  
-  // Probability of a white pixel bleeding based on amount and roughness
-  // Higher roughness = more irregular/random spread
-  const baseProb = 0.3 + amount * 0.5; // 0.3 to 0.8 range
-  
-  // Run multiple dilation passes
-  for (let pass = 0; pass < passes; pass++) {
-    // Use result from previous pass as the new "original" for this pass
-    if (pass > 0) {
-      for (let i = 0; i < original.length; i++) {
-        original[i] = result[i];
-      }
-    }
-    
-    // Iterate through every pixel
-    for (let y = 0; y < h; y++) {
-      for (let x = 0; x < w; x++) {
-        const i = (y * w + x) * 4;
-        
-        // Check if current pixel is white (paper)
-        const gray = original[i] * 0.299 + original[i + 1] * 0.587 + original[i + 2] * 0.114;
-        const isPaper = gray >= 128;
-        
-        if (isPaper) {
-          // Check 4 neighbors (Up, Down, Left, Right)
-          const neighbors = [
-            [x, y - 1], // Up
-            [x, y + 1], // Down
-            [x - 1, y], // Left
-            [x + 1, y]  // Right
-          ];
-          
-          let hasInkNeighbor = false;
-          let inkColor = [0, 0, 0];
-          
-          for (const [nx, ny] of neighbors) {
-            if (nx >= 0 && nx < w && ny >= 0 && ny < h) {
-              const ni = (ny * w + nx) * 4;
-              const neighborGray = original[ni] * 0.299 + original[ni + 1] * 0.587 + original[ni + 2] * 0.114;
-              if (neighborGray < 128) {
-                hasInkNeighbor = true;
-                inkColor = [original[ni], original[ni + 1], original[ni + 2]];
-                break;
-              }
-            }
-          }
-          
-          if (hasInkNeighbor) {
-            // Calculate bleed probability with roughness adding randomness
-            const prob = baseProb * (1 - roughness * 0.5 + Math.random() * roughness);
-            
-            if (Math.random() < prob) {
-              // Flip to ink - but at 90% opacity (slightly lighter than core ink)
-              // This simulates ink thinning as it spreads into paper fibers
-              const bleedOpacity = 0.9;
-              result[i] = Math.round(inkColor[0] * bleedOpacity + 255 * (1 - bleedOpacity));
-              result[i + 1] = Math.round(inkColor[1] * bleedOpacity + 255 * (1 - bleedOpacity));
-              result[i + 2] = Math.round(inkColor[2] * bleedOpacity + 255 * (1 - bleedOpacity));
-            }
-          }
-        }
-        // If it's already ink, keep it as-is (already copied from original)
-      }
-    }
-  }
-  
-  return new ImageData(result, w, h);
+// A fresh seed for rerolls; everything random downstream is derived from seeds
+function randomSeed() {
+  return Math.floor(Math.random() * 1000000);
 }
 
-// Interpolate between colors
-function interpolateColor(color1, color2, t) {
-  return [
-    Math.round(color1[0] + (color2[0] - color1[0]) * t),
-    Math.round(color1[1] + (color2[1] - color1[1]) * t),
-    Math.round(color1[2] + (color2[2] - color1[2]) * t)
-  ];
+// Rendering runs in a Web Worker (see render.worker.js)
+function createRenderWorker() {
+  return new Worker(new URL('./render.worker.js', import.meta.url));
 }
 
-// Apply gradient map
-function applyGradientMap(imageData, gradientColors) {
-  const data = new Uint8ClampedArray(imageData.data);
-  const colors = gradientColors.map(key => DOMO_PALETTE[key]?.rgb || [0, 0, 0]);
-  const numStops = colors.length;
-  
-  for (let i = 0; i < data.length; i += 4) {
-    const gray = (data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114) / 255;
-    
-    const scaledPos = gray * (numStops - 1);
-    const index = Math.min(Math.floor(scaledPos), numStops - 2);
-    const t = scaledPos - index;
-    
-    const [r, g, b] = interpolateColor(colors[index], colors[index + 1], t);
-    
-    data[i] = r;
-    data[i + 1] = g;
-    data[i + 2] = b;
-  }
-  
-  return new ImageData(data, imageData.width, imageData.height);
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
 }
 
 // Local storage helpers for custom presets
@@ -966,7 +631,7 @@ function IconButton({ children, onClick, disabled = false, title }) {
 }
 
 // Algorithm Select - curated list only
-function AlgorithmSelect({ value, onChange, includeNone = false }) {
+function AlgorithmSelect({ value, onChange, includeNone = false, categories = ['halftone', 'ordered', 'diffusion', 'other'] }) {
   const [hovering, setHovering] = useState(false);
   const algoInfo = DITHER_ALGORITHMS[value];
   
@@ -998,29 +663,322 @@ function AlgorithmSelect({ value, onChange, includeNone = false }) {
         }}
       >
         {includeNone && <option value="none">NONE</option>}
-        <optgroup label="HALFTONE">
-          {Object.entries(DITHER_ALGORITHMS).filter(([,v]) => v.category === 'halftone').map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
-        </optgroup>
-        <optgroup label="ORDERED">
-          {Object.entries(DITHER_ALGORITHMS).filter(([,v]) => v.category === 'ordered').map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
-        </optgroup>
-        <optgroup label="DIFFUSION">
-          {Object.entries(DITHER_ALGORITHMS).filter(([,v]) => v.category === 'diffusion').map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
-        </optgroup>
-        <optgroup label="ORGANIC">
-          {Object.entries(DITHER_ALGORITHMS).filter(([,v]) => v.category === 'other').map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
-        </optgroup>
+        {ALGORITHM_GROUPS.filter(group => categories.includes(group.category)).map(group => (
+          <optgroup key={group.category} label={group.label}>
+            {Object.entries(DITHER_ALGORITHMS).filter(([,v]) => v.category === group.category).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+          </optgroup>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+// Curve editor: click to add a point, drag to move, double-click to remove.
+// Endpoints stay pinned to the left and right edges. The histogram behind it is of the
+// tones the curve receives, after levels.
+function CurveEditor({ points, onChange, histogram = null }) {
+  const svgRef = useRef(null);
+  const [dragIndex, setDragIndex] = useState(null);
+  const lut = useMemo(() => buildCurveLut(points), [points]);
+  
+  const histogramPath = useMemo(() => {
+    if (!histogram) return null;
+    let max = 0;
+    for (let i = 0; i < 256; i++) max = Math.max(max, histogram[i]);
+    if (!max) return null;
+    let path = 'M0,255';
+    for (let i = 0; i < 256; i++) path += ` L${i},${255 - Math.sqrt(histogram[i] / max) * 255}`;
+    return `${path} L255,255 Z`;
+  }, [histogram]);
+  
+  const curvePath = useMemo(() => {
+    let path = '';
+    for (let i = 0; i < 256; i++) path += `${i ? ' L' : 'M'}${i},${255 - lut[i] * 255}`;
+    return path;
+  }, [lut]);
+  
+  const eventToPoint = useCallback((e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return [
+      Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)),
+      Math.max(0, Math.min(1, 1 - (e.clientY - rect.top) / rect.height))
+    ];
+  }, []);
+  
+  useEffect(() => {
+    if (dragIndex === null) return;
+    
+    const handleMouseMove = (e) => {
+      const [x, y] = eventToPoint(e);
+      const next = points.map(p => [...p]);
+      const last = next.length - 1;
+      if (dragIndex === 0 || dragIndex === last) {
+        next[dragIndex][1] = y;
+      } else {
+        next[dragIndex] = [Math.max(next[dragIndex - 1][0] + 0.01, Math.min(next[dragIndex + 1][0] - 0.01, x)), y];
+      }
+      onChange(next);
+    };
+    
+    const handleMouseUp = () => setDragIndex(null);
+    
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+    
+    return () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+    };
+  }, [dragIndex, points, onChange, eventToPoint]);
+  
+  const handleMouseDown = (e) => {
+    e.preventDefault();
+    const [x, y] = eventToPoint(e);
+    
+    // Grab an existing point if close enough, otherwise add one
+    const hit = points.findIndex(([px, py]) => Math.hypot(px - x, py - y) < 0.05);
+    if (hit >= 0) {
+      setDragIndex(hit);
+      return;
+    }
+    const insertAt = points.findIndex(([px]) => px > x);
+    if (insertAt <= 0) return;
+    const next = [...points.slice(0, insertAt), [x, y], ...points.slice(insertAt)];
+    onChange(next);
+    setDragIndex(insertAt);
+  };
+  
+  const handleDoubleClick = (e) => {
+    const [x, y] = eventToPoint(e);
+    const hit = points.findIndex(([px, py]) => Math.hypot(px - x, py - y) < 0.05);
+    if (hit > 0 && hit < points.length - 1) onChange(points.filter((_, i) => i !== hit));
+  };
+  
+  return (
+    <svg
+      ref={svgRef}
+      viewBox="0 0 255 255"
+      preserveAspectRatio="none"
+      onMouseDown={handleMouseDown}
+      onDoubleClick={handleDoubleClick}
+      style={{ width: '100%', aspectRatio: '1 / 1', display: 'block', backgroundColor: '#000', border: '1px solid #333', marginBottom: '16px', cursor: 'crosshair' }}
+    >
+      {histogramPath && <path d={histogramPath} fill="#222" />}
+      {[64, 128, 192].map(v => (
+        <g key={v} stroke="#1a1a1a" strokeWidth="1">
+          <line x1={v} y1="0" x2={v} y2="255" />
+          <line x1="0" y1={v} x2="255" y2={v} />
+        </g>
+      ))}
+      <line x1="0" y1="255" x2="255" y2="0" stroke="#333" strokeWidth="1" />
+      <path d={curvePath} fill="none" stroke="#fff" strokeWidth="1.5" />
+      {points.map(([x, y], i) => (
+        <rect key={i} x={x * 255 - 3} y={(1 - y) * 255 - 3} width="6" height="6" fill={dragIndex === i ? '#fff' : '#000'} stroke="#fff" strokeWidth="1" />
+      ))}
+    </svg>
+  );
+}
+
+// Pre-filter Panel
+function PreFilterPanel({ filter, index, total, onUpdate, onRemove, onMoveUp, onMoveDown }) {
+  const update = (changes) => onUpdate({ ...filter, ...changes });
+  
+  return (
+    <div style={{ marginBottom: '8px', backgroundColor: '#000', border: '1px solid #2a2a2a', opacity: filter.enabled ? 1 : 0.5 }}>
+      <div style={{ display: 'flex', alignItems: 'center', padding: '8px 12px', borderBottom: '1px solid #222' }}>
+        <IconButton onClick={() => update({ enabled: !filter.enabled })} title={filter.enabled ? 'Disable' : 'Enable'}>
+          {filter.enabled ? '●' : '○'}
+        </IconButton>
+        <span style={{ fontSize: '10px', color: '#888', fontFamily: 'monospace', marginLeft: '8px' }}>{PRE_FILTERS[filter.type]?.name}</span>
+        <div style={{ marginLeft: 'auto', display: 'flex', gap: '4px' }}>
+          <IconButton onClick={onMoveUp} disabled={index === 0} title="Move up">↑</IconButton>
+          <IconButton onClick={onMoveDown} disabled={index === total - 1} title="Move down">↓</IconButton>
+          <IconButton onClick={onRemove} title="Remove">×</IconButton>
+        </div>
+      </div>
+      <div style={{ padding: '12px 12px 0' }}>
+        {filter.type === 'blur' && (
+          <Slider label={`RADIUS ${filter.radius}px`} value={filter.radius} min={0.5} max={20} step={0.5} onChange={(v) => update({ radius: v })} />
+        )}
+        {filter.type === 'unsharp' && (
+          <>
+            <Slider label={`AMOUNT ${Math.round(filter.amount * 100)}%`} value={filter.amount} min={0} max={5} step={0.05} onChange={(v) => update({ amount: v })} />
+            <Slider label={`RADIUS ${filter.radius}px`} value={filter.radius} min={0.5} max={20} step={0.5} onChange={(v) => update({ radius: v })} />
+            <Slider label={`THRESHOLD ${Math.round(filter.threshold * 255)}`} value={filter.threshold} min={0} max={0.5} step={0.01} onChange={(v) => update({ threshold: v })} />
+          </>
+        )}
+        {filter.type === 'median' && (
+          <Slider label={`RADIUS ${filter.radius}px`} value={filter.radius} min={1} max={5} step={1} onChange={(v) => update({ radius: v })} />
+        )}
+        {filter.type === 'posterize' && (
+          <Slider label={`LEVELS ${filter.levels}`} value={filter.levels} min={2} max={16} step={1} onChange={(v) => update({ levels: v })} />
+        )}
+        {filter.type === 'edges' && (
+          <>
+            <div style={{ display: 'flex', gap: '4px', marginBottom: '16px' }}>
+              <Button onClick={() => update({ method: 'sobel' })} active={filter.method === 'sobel'} style={{ flex: 1, fontSize: '9px' }}>SOBEL</Button>
+              <Button onClick={() => update({ method: 'canny' })} active={filter.method === 'canny'} style={{ flex: 1, fontSize: '9px' }}>CANNY</Button>
+            </div>
+            {filter.method === 'canny' ? (
+              <>
+                <Slider label={`LOW ${Math.round(filter.low * 100)}%`} value={filter.low} min={0.01} max={1} step={0.01} onChange={(v) => update({ low: Math.min(v, filter.high) })} />
+                <Slider label={`HIGH ${Math.round(filter.high * 100)}%`} value={filter.high} min={0.01} max={1} step={0.01} onChange={(v) => update({ high: Math.max(v, filter.low) })} />
+              </>
+            ) : (
+              <Slider label={`STRENGTH ${Math.round(filter.strength * 100)}%`} value={filter.strength} min={0.25} max={8} step={0.25} onChange={(v) => update({ strength: v })} />
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Animation track panel. base is the setting's own value, which oscillation swings around
+// and keys replace; a keys track sets its key at the current frame.
+function AnimationTrackPanel({ track, label, base, frame, frames, onUpdate, onRemove }) {
+  const spec = ANIMATION_PARAMS[track.param];
+  const update = (changes) => onUpdate({ ...track, ...changes });
+  const format = (v) => `${+v.toFixed(spec.step < 1 ? 2 : 0)}${spec.unit || ''}`;
+  const value = trackValue(track, base, frame, frames);
+  const setKey = (v) => update({ keys: [...track.keys.filter(key => key.frame !== frame), { frame, value: v }].sort((a, b) => a.frame - b.frame) });
+
+  return (
+    <div style={{ marginBottom: '8px', backgroundColor: '#000', border: '1px solid #2a2a2a' }}>
+      <div style={{ display: 'flex', alignItems: 'center', padding: '8px 12px', borderBottom: '1px solid #222' }}>
+        <span style={{ fontSize: '10px', color: '#888', fontFamily: 'monospace' }}>{label}</span>
+        <div style={{ marginLeft: 'auto', display: 'flex', gap: '4px' }}>
+          <IconButton onClick={onRemove} title="Remove">×</IconButton>
+        </div>
+      </div>
+      <div style={{ padding: '12px 12px 0' }}>
+        <div style={{ display: 'flex', gap: '4px', marginBottom: '16px' }}>
+          <Button onClick={() => update({ mode: 'keys' })} active={track.mode === 'keys'} style={{ flex: 1, fontSize: '9px' }}>KEYS</Button>
+          <Button onClick={() => update({ mode: 'oscillate' })} active={track.mode === 'oscillate'} style={{ flex: 1, fontSize: '9px' }}>OSCILLATE</Button>
+        </div>
+        {track.mode === 'keys' ? (
+          <>
+            <Slider label={`VALUE AT FRAME ${frame + 1} ${format(value)}`} value={Math.min(spec.max, Math.max(spec.min, value))} min={spec.min} max={spec.max} step={spec.step} onChange={setKey} />
+            {track.keys.length > 0 ? (
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginBottom: '16px' }}>
+                {track.keys.map(key => (
+                  <Button key={key.frame} onClick={() => update({ keys: track.keys.filter(k => k !== key) })} active={key.frame === frame} style={{ fontSize: '8px', padding: '4px 6px' }}>
+                    {key.frame + 1}: {format(key.value)} ×
+                  </Button>
+                ))}
+              </div>
+            ) : (
+              <p style={{ fontSize: '9px', color: '#444', margin: '0 0 16px 0' }}>
+                Pick a frame and set its value to add a key
+              </p>
+            )}
+          </>
+        ) : (
+          <>
+            <Slider label={`AMPLITUDE ±${format(track.amplitude)}`} value={track.amplitude} min={0} max={(spec.max - spec.min) / 2} step={spec.step} onChange={(v) => update({ amplitude: v })} />
+            <Slider label={`CYCLES ${track.cycles}`} value={track.cycles} min={1} max={8} step={1} onChange={(v) => update({ cycles: v })} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Layer mask controls
+function MaskControls({ mask, onChange, painting, onTogglePaint, brush, onBrushChange }) {
+  const type = mask?.type || 'none';
+  const update = (changes) => onChange({ ...mask, ...changes });
+  
+  return (
+    <div style={{ borderTop: '1px solid #222', paddingTop: '12px', marginBottom: '12px' }}>
+      <label style={{ display: 'block', color: '#666', fontSize: '10px', marginBottom: '8px', fontFamily: 'monospace' }}>MASK</label>
+      <select 
+        value={type} 
+        onChange={(e) => onChange(e.target.value === 'none' ? null : { ...MASK_DEFAULTS[e.target.value] })} 
+        style={{ width: '100%', padding: '8px', backgroundColor: '#000', border: '1px solid #333', color: '#fff', fontSize: '10px', fontFamily: 'monospace', marginBottom: '16px', cursor: 'pointer' }}
+      >
+        {Object.entries(MASK_TYPES).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
       </select>
+      
+      {type === 'tonal' && (
+        <>
+          <Slider label={`FROM ${Math.round(mask.low * 100)}%`} value={mask.low} min={0} max={1} step={0.01} onChange={(v) => update({ low: Math.min(v, mask.high) })} />
+          <Slider label={`TO ${Math.round(mask.high * 100)}%`} value={mask.high} min={0} max={1} step={0.01} onChange={(v) => update({ high: Math.max(v, mask.low) })} />
+          <Slider label={`SOFTNESS ${Math.round(mask.softness * 100)}%`} value={mask.softness} min={0} max={0.5} step={0.01} onChange={(v) => update({ softness: v })} />
+        </>
+      )}
+      
+      {type === 'linear' && (
+        <>
+          <Slider label={`ANGLE ${mask.angle}°`} value={mask.angle} min={0} max={360} step={5} onChange={(v) => update({ angle: v })} />
+          <Slider label={`POSITION ${Math.round(mask.position * 100)}%`} value={mask.position} min={0} max={1} step={0.01} onChange={(v) => update({ position: v })} />
+          <Slider label={`WIDTH ${Math.round(mask.width * 100)}%`} value={mask.width} min={0} max={1} step={0.01} onChange={(v) => update({ width: v })} />
+        </>
+      )}
+      
+      {type === 'radial' && (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+            <Slider label={`X ${Math.round(mask.cx * 100)}%`} value={mask.cx} min={0} max={1} step={0.01} onChange={(v) => update({ cx: v })} />
+            <Slider label={`Y ${Math.round(mask.cy * 100)}%`} value={mask.cy} min={0} max={1} step={0.01} onChange={(v) => update({ cy: v })} />
+          </div>
+          <Slider label={`RADIUS ${Math.round(mask.radius * 100)}%`} value={mask.radius} min={0} max={1} step={0.01} onChange={(v) => update({ radius: v })} />
+          <Slider label={`FEATHER ${Math.round(mask.feather * 100)}%`} value={mask.feather} min={0} max={0.5} step={0.01} onChange={(v) => update({ feather: v })} />
+        </>
+      )}
+      
+      {type === 'painted' && (
+        <>
+          <Button onClick={onTogglePaint} active={painting} style={{ marginBottom: '8px' }}>
+            {painting ? '● PAINTING ON CANVAS' : '✎ PAINT ON CANVAS'}
+          </Button>
+          {painting && (
+            <>
+              <div style={{ display: 'flex', gap: '4px', marginBottom: '12px' }}>
+                <Button onClick={() => onBrushChange({ ...brush, mode: 'hide' })} active={brush.mode === 'hide'} style={{ flex: 1, fontSize: '9px' }}>HIDE</Button>
+                <Button onClick={() => onBrushChange({ ...brush, mode: 'reveal' })} active={brush.mode === 'reveal'} style={{ flex: 1, fontSize: '9px' }}>REVEAL</Button>
+              </div>
+              <Slider label={`BRUSH ${brush.size}px`} value={brush.size} min={4} max={200} step={1} onChange={(v) => onBrushChange({ ...brush, size: v })} />
+            </>
+          )}
+          <div style={{ display: 'flex', gap: '4px', marginBottom: '12px' }}>
+            <Button onClick={() => update({ data: encodeMaskData(new Uint8Array(PAINT_MASK_SIZE * PAINT_MASK_SIZE).fill(255)) })} style={{ flex: 1, fontSize: '9px' }}>REVEAL ALL</Button>
+            <Button onClick={() => update({ data: encodeMaskData(new Uint8Array(PAINT_MASK_SIZE * PAINT_MASK_SIZE)) })} style={{ flex: 1, fontSize: '9px' }}>HIDE ALL</Button>
+          </div>
+        </>
+      )}
+      
+      {type !== 'none' && (
+        <Button onClick={() => update({ invert: !mask.invert })} active={!!mask.invert} style={{ fontSize: '9px', padding: '6px' }}>
+          {mask.invert ? '◐ MASK INVERTED' : '◑ INVERT MASK'}
+        </Button>
+      )}
     </div>
   );
 }
 
 // Layer Panel
-function LayerPanel({ layer, index, totalLayers, onUpdate, onRemove, onDuplicate, onMoveUp, onMoveDown, canRemove }) {
+function LayerPanel({ layer, index, totalLayers, onUpdate, onRemove, onDuplicate, onMoveUp, onMoveDown, canRemove, separated = false, painting = false, onTogglePaint, brush, onBrushChange, units = null }) {
   const [expanded, setExpanded] = useState(true);
   const [hovering, setHovering] = useState(false);
   const algoInfo = DITHER_ALGORITHMS[layer.ditherType];
   const isVisible = layer.visible !== false; // Default to true if not set
+  const channel = layer.channel || 'luminance';
+  const screenRuled = units?.lpi > 0 && algoInfo?.category === 'halftone';
+  
+  // Sizes and offsets are stored in pixels; with a print size they are edited in mm or inches
+  const lengthSlider = (label, key, min, max) => units ? (
+    <Slider 
+      label={`${label} ${+(layer[key] * units.perPixel).toFixed(units.unit === 'mm' ? 2 : 3)}${units.unit}`} 
+      value={layer[key] * units.perPixel} 
+      min={min * units.perPixel} 
+      max={max * units.perPixel} 
+      step="any" 
+      onChange={(v) => onUpdate({ ...layer, [key]: Math.round(v / units.perPixel * 100) / 100 })} 
+    />
+  ) : (
+    <Slider label={`${label} ${layer[key]}px`} value={layer[key]} min={min} max={max} step={1} onChange={(v) => onUpdate({ ...layer, [key]: v })} />
+  );
   
   return (
     <div 
@@ -1067,22 +1025,84 @@ function LayerPanel({ layer, index, totalLayers, onUpdate, onRemove, onDuplicate
             <div style={{ padding: '12px' }}>
               <ColorPicker value={layer.colorKey} onChange={(k) => onUpdate({ ...layer, colorKey: k })} label="COLOR" />
               
+              {!separated && (
+                <div style={{ marginBottom: '16px' }}>
+                  <div style={{ display: 'flex', alignItems: 'center', marginBottom: '8px' }}>
+                    <label style={{ color: '#666', fontSize: '10px', fontFamily: 'monospace' }}>SOURCE</label>
+                    <Tooltip text={SOURCE_CHANNELS[channel]?.description}>
+                      <span style={{ marginLeft: '6px', color: '#444', fontSize: '10px', cursor: 'help' }}>ⓘ</span>
+                    </Tooltip>
+                  </div>
+                  <div style={{ display: 'flex', gap: '3px', marginBottom: '6px' }}>
+                    {Object.entries(SOURCE_CHANNELS).map(([key, { name }]) => (
+                      <Button key={key} onClick={() => onUpdate({ ...layer, channel: key })} active={channel === key} style={{ flex: 1, fontSize: '8px', padding: '6px 0' }}>
+                        {name}
+                      </Button>
+                    ))}
+                  </div>
+                  <Button onClick={() => onUpdate({ ...layer, channelInvert: !layer.channelInvert })} active={!!layer.channelInvert} style={{ fontSize: '9px', padding: '6px' }}>
+                    {layer.channelInvert ? '◐ INVERTED' : '◑ INVERT SOURCE'}
+                  </Button>
+                  {channel === 'hue' && (
+                    <div style={{ marginTop: '12px' }}>
+                      <div style={{ 
+                        height: '8px', 
+                        marginBottom: '12px', 
+                        background: 'linear-gradient(to right, #f00, #ff0, #0f0, #0ff, #00f, #f0f, #f00)',
+                        position: 'relative'
+                      }}>
+                        <div style={{ position: 'absolute', left: `${((layer.hueCenter ?? 0) / 360) * 100}%`, top: '-2px', bottom: '-2px', width: '2px', backgroundColor: '#fff', transform: 'translateX(-50%)' }} />
+                      </div>
+                      <Slider label={`HUE ${layer.hueCenter ?? 0}°`} value={layer.hueCenter ?? 0} min={0} max={360} step={5} onChange={(v) => onUpdate({ ...layer, hueCenter: v })} />
+                      <Slider label={`RANGE ±${layer.hueRange ?? 30}°`} value={layer.hueRange ?? 30} min={5} max={90} step={5} onChange={(v) => onUpdate({ ...layer, hueRange: v })} />
+                      <Slider label={`FALLOFF ${layer.hueFalloff ?? 20}°`} value={layer.hueFalloff ?? 20} min={0} max={60} step={5} onChange={(v) => onUpdate({ ...layer, hueFalloff: v })} />
+                    </div>
+                  )}
+                </div>
+              )}
+              
               <AlgorithmSelect value={layer.ditherType} onChange={(v) => onUpdate({ ...layer, ditherType: v })} />
               
               <Slider label={`DENSITY ${Math.round(layer.threshold * 100)}%`} value={layer.threshold} min={0} max={1} step={0.01} onChange={(v) => onUpdate({ ...layer, threshold: v })} />
               
-              {algoInfo?.hasScale && (
-                <Slider label={`SIZE ${layer.scale}px`} value={layer.scale} min={2} max={32} step={1} onChange={(v) => onUpdate({ ...layer, scale: v })} />
-              )}
+              {algoInfo?.hasScale && (screenRuled ? (
+                <label style={{ display: 'block', color: '#666', fontSize: '10px', marginBottom: '16px', fontFamily: 'monospace' }}>SIZE {units.lpi} LPI (PRINT SCREEN)</label>
+              ) : lengthSlider('SIZE', 'scale', 2, 32))}
               
               {algoInfo?.hasAngle && (
                 <Slider label={`ANGLE ${layer.angle}°`} value={layer.angle} min={0} max={180} step={5} onChange={(v) => onUpdate({ ...layer, angle: v })} />
               )}
               
-              {/* X/Y Offset sliders - prominent for misregistered screenprint look */}
-              <div style={{ 
-                borderTop: '1px solid #222', 
-                paddingTop: '12px', 
+              {algoInfo?.hasTexture && (
+                <div style={{ marginBottom: '16px' }}>
+                  <label style={{ display: 'block', color: '#666', fontSize: '10px', marginBottom: '8px', fontFamily: 'monospace' }}>TEXTURE</label>
+                  <div style={{ display: 'flex', gap: '4px' }}>
+                    {BLUE_NOISE_SIZES.map(size => (
+                      <Button key={size} onClick={() => onUpdate({ ...layer, textureSize: size })} active={(layer.textureSize || BLUE_NOISE_DEFAULT_SIZE) === size} style={{ flex: 1, fontSize: '9px' }}>
+                        {size}px
+                      </Button>
+                    ))}
+                  </div>
+                </div>
+              )}
+              
+              {MULTI_LEVEL_CATEGORIES.includes(algoInfo?.category) && (
+                <Slider label={`TONES ${layer.levels || 2}`} value={layer.levels || 2} min={2} max={8} step={1} onChange={(v) => onUpdate({ ...layer, levels: v })} />
+              )}
+              
+              {algoInfo?.category === 'diffusion' && (
+                <>
+                  <Slider label={`ERROR ${Math.round((layer.errorStrength ?? 1) * 100)}%`} value={layer.errorStrength ?? 1} min={0} max={1} step={0.05} onChange={(v) => onUpdate({ ...layer, errorStrength: v })} />
+                  <Button onClick={() => onUpdate({ ...layer, serpentine: !layer.serpentine })} active={!!layer.serpentine} style={{ marginBottom: '16px' }}>
+                    {layer.serpentine ? '● SERPENTINE SCAN' : '○ SERPENTINE SCAN'}
+                  </Button>
+                </>
+              )}
+              
+              {/* X/Y Offset sliders - prominent for misregistered screenprint look */}
+              <div style={{ 
+                borderTop: '1px solid #222', 
+                paddingTop: '12px', 
                 marginTop: '8px',
                 marginBottom: '12px'
               }}>
@@ -1090,8 +1110,8 @@ function LayerPanel({ layer, index, totalLayers, onUpdate, onRemove, onDuplicate
                   OFFSET (misregistration)
                 </label>
                 <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
-                  <Slider label={`X ${layer.offsetX}px`} value={layer.offsetX} min={-50} max={50} step={1} onChange={(v) => onUpdate({ ...layer, offsetX: v })} />
-                  <Slider label={`Y ${layer.offsetY}px`} value={layer.offsetY} min={-50} max={50} step={1} onChange={(v) => onUpdate({ ...layer, offsetY: v })} />
+                  {lengthSlider('X', 'offsetX', -50, 50)}
+                  {lengthSlider('Y', 'offsetY', -50, 50)}
                 </div>
               </div>
               
@@ -1105,6 +1125,34 @@ function LayerPanel({ layer, index, totalLayers, onUpdate, onRemove, onDuplicate
               </select>
               
               <Slider label={`OPACITY ${Math.round(layer.opacity * 100)}%`} value={layer.opacity} min={0} max={1} step={0.01} onChange={(v) => onUpdate({ ...layer, opacity: v })} />
+              
+              
+              <div style={{ borderTop: '1px solid #222', paddingTop: '12px', marginBottom: '12px' }}>
+                <Button onClick={() => onUpdate({ ...layer, curve: layer.curve ? null : [[0, 0], [1, 1]] })} active={!!layer.curve} style={{ marginBottom: layer.curve ? '12px' : '0' }}>
+                  {layer.curve ? '● LAYER CURVE' : '○ LAYER CURVE'}
+                </Button>
+                {layer.curve && (
+                  <CurveEditor points={layer.curve} onChange={(curve) => onUpdate({ ...layer, curve })} />
+                )}
+              </div>
+              
+              <div style={{ borderTop: '1px solid #222', paddingTop: '12px', marginBottom: '12px' }}>
+                <Button onClick={() => onUpdate({ ...layer, seed: layer.seed == null ? randomSeed() : null })} active={layer.seed != null} style={{ marginBottom: layer.seed != null ? '12px' : '0' }}>
+                  {layer.seed != null ? '● OWN SEED' : '○ OWN SEED'}
+                </Button>
+                {layer.seed != null && (
+                  <SeedField label="SEED" value={layer.seed} onChange={(seed) => onUpdate({ ...layer, seed })} />
+                )}
+              </div>
+              
+              <MaskControls 
+                mask={layer.mask} 
+                onChange={(mask) => onUpdate({ ...layer, mask })} 
+                painting={painting} 
+                onTogglePaint={onTogglePaint} 
+                brush={brush} 
+                onBrushChange={onBrushChange} 
+              />
             </div>
           )}
         </div>
@@ -1128,7 +1176,7 @@ function DropZone({ onDrop, children }) {
     e.preventDefault();
     setDragging(false);
     const file = e.dataTransfer.files[0];
-    if (file && file.type.startsWith('image/')) onDrop(file);
+    if (file && (file.type.startsWith('image/') || file.type.startsWith('video/'))) onDrop(file);
   };
   
   return (
@@ -1256,6 +1304,62 @@ function ComparisonSlider({ position, onChange }) {
   );
 }
 
+// Seed number with a reroll button
+function SeedField({ label, value, onChange }) {
+  return (
+    <div style={{ display: 'flex', gap: '4px', alignItems: 'center', marginBottom: '16px' }}>
+      <label style={{ color: '#666', fontSize: '10px', fontFamily: 'monospace', width: '40px' }}>{label}</label>
+      <input
+        type="number"
+        min={0}
+        step={1}
+        value={value}
+        onChange={(e) => {
+          const v = parseInt(e.target.value, 10);
+          if (v >= 0) onChange(v);
+        }}
+        style={{
+          flex: 1,
+          minWidth: 0,
+          padding: '6px',
+          backgroundColor: '#000',
+          border: '1px solid #333',
+          color: '#fff',
+          fontSize: '10px',
+          fontFamily: 'monospace'
+        }}
+      />
+      <IconButton onClick={() => onChange(randomSeed())} title="Reroll seed">⚄</IconButton>
+    </div>
+  );
+}
+
+// Number field for a print length in the current unit
+function LengthInput({ value, unit, onChange }) {
+  return (
+    <input
+      type="number"
+      min={0}
+      step={unit === 'mm' ? 1 : 0.1}
+      value={+value.toFixed(unit === 'mm' ? 1 : 2)}
+      onChange={(e) => {
+        const v = parseFloat(e.target.value);
+        if (v > 0) onChange(v);
+      }}
+      style={{
+        flex: 1,
+        minWidth: 0,
+        padding: '6px',
+        backgroundColor: '#000',
+        border: '1px solid #333',
+        color: '#fff',
+        fontSize: '10px',
+        fontFamily: 'monospace'
+      }}
+    />
+  );
+}
+
 // Save Preset Modal
 function SavePresetModal({ onSave, onCancel }) {
   const [name, setName] = useState('');
@@ -1306,16 +1410,74 @@ function SavePresetModal({ onSave, onCancel }) {
   );
 }
 
+// Offer for a PNG dropped with a recipe: restore its settings or just open the image
+function RecipeModal({ recipe, onRestore, onOpen, onCancel }) {
+  const { source } = recipe;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      inset: 0,
+      backgroundColor: 'rgba(0,0,0,0.8)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        backgroundColor: '#111',
+        border: '1px solid #333',
+        padding: '24px',
+        width: '300px'
+      }}>
+        <h3 style={{ margin: '0 0 16px', fontSize: '11px', fontFamily: 'monospace', letterSpacing: '0.1em' }}>
+          RECIPE FOUND
+        </h3>
+        <p style={{ fontSize: '10px', color: '#888', fontFamily: 'monospace', lineHeight: 1.6, margin: '0 0 16px' }}>
+          Made with v{recipe.version}{recipe.created ? ` on ${recipe.created.slice(0, 10)}` : ''}
+          {source && <><br />from {source.name || 'an image'} ({source.width} × {source.height})</>}
+          {recipe.version !== TOOL_VERSION && <><br />This version may render it slightly differently</>}
+        </p>
+        <div style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
+          <Button onClick={onOpen} style={{ flex: 1 }}>OPEN AS IMAGE</Button>
+          <Button primary onClick={onRestore} style={{ flex: 1 }}>RESTORE</Button>
+        </div>
+        <Button onClick={onCancel}>CANCEL</Button>
+      </div>
+    </div>
+  );
+}
+
 export default function DomoDitherTool() {
   const [image, setImage] = useState(null);
+  const [sourceName, setSourceName] = useState(null);
+  // Video input: { element, url, name, duration, width, height }; image is then its frame on show
+  const [video, setVideo] = useState(null);
+  const [videoFrame, setVideoFrame] = useState(0);
+  const [videoExport, setVideoExport] = useState(DEFAULT_STATE.videoExport);
+  // Live camera: { stream, element }; image is then the latest live frame
+  const [camera, setCamera] = useState(null);
+  const [cameraMirror, setCameraMirror] = useState(true);
   const [previewImage, setPreviewImage] = useState(null); // Downscaled for performance
   const [imageScale, setImageScale] = useState(DEFAULT_STATE.imageScale);
   const [backgroundColor, setBackgroundColor] = useState(DEFAULT_STATE.backgroundColor);
   const [exportResolution, setExportResolution] = useState(DEFAULT_STATE.exportResolution);
+  const [output, setOutput] = useState(DEFAULT_STATE.output);
+  const [print, setPrint] = useState(DEFAULT_STATE.print);
+  const [separations, setSeparations] = useState(DEFAULT_STATE.separations);
+  const [animation, setAnimation] = useState(DEFAULT_STATE.animation);
+  const [animationFrame, setAnimationFrame] = useState(0);
+  const [animationPlaying, setAnimationPlaying] = useState(false);
+  const [legacyPixels, setLegacyPixels] = useState(DEFAULT_STATE.legacyPixels);
+  const [seed, setSeed] = useState(DEFAULT_STATE.seed);
   
   const [brightness, setBrightness] = useState(DEFAULT_STATE.brightness);
   const [contrast, setContrast] = useState(DEFAULT_STATE.contrast);
   const [invert, setInvert] = useState(DEFAULT_STATE.invert);
+  const [inputLevels, setInputLevels] = useState(DEFAULT_STATE.inputLevels);
+  const [toneCurve, setToneCurve] = useState(DEFAULT_STATE.toneCurve);
+  const [histogram, setHistogram] = useState(null);
+  const [preFilters, setPreFilters] = useState(DEFAULT_STATE.preFilters);
   const [inkBleed, setInkBleed] = useState(DEFAULT_STATE.inkBleed);
   const [inkBleedAmount, setInkBleedAmount] = useState(DEFAULT_STATE.inkBleedAmount);
   const [inkBleedRoughness, setInkBleedRoughness] = useState(DEFAULT_STATE.inkBleedRoughness);
@@ -1328,7 +1490,19 @@ export default function DomoDitherTool() {
   const [gradientDitherAngle, setGradientDitherAngle] = useState(DEFAULT_STATE.gradientDitherAngle);
   const [gradientDitherThreshold, setGradientDitherThreshold] = useState(DEFAULT_STATE.gradientDitherThreshold);
   
+  const [paletteEnabled, setPaletteEnabled] = useState(DEFAULT_STATE.paletteEnabled);
+  const [paletteColors, setPaletteColors] = useState(DEFAULT_STATE.paletteColors);
+  const [paletteDitherType, setPaletteDitherType] = useState(DEFAULT_STATE.paletteDitherType);
+  const [paletteDitherScale, setPaletteDitherScale] = useState(DEFAULT_STATE.paletteDitherScale);
+  const [paletteDitherStrength, setPaletteDitherStrength] = useState(DEFAULT_STATE.paletteDitherStrength);
+  const [paletteSerpentine, setPaletteSerpentine] = useState(DEFAULT_STATE.paletteSerpentine);
+  
   const [layers, setLayers] = useState(DEFAULT_STATE.layers);
+  const [autoSeparation, setAutoSeparation] = useState(DEFAULT_STATE.autoSeparation);
+  
+  // Painted mask brushing
+  const [paintingLayerId, setPaintingLayerId] = useState(null);
+  const [brush, setBrush] = useState({ size: 40, mode: 'hide' });
   
   // Zoom and pan
   const [zoom, setZoom] = useState(DEFAULT_STATE.zoom);
@@ -1344,6 +1518,12 @@ export default function DomoDitherTool() {
   // Custom presets
   const [customPresets, setCustomPresets] = useState(loadCustomPresets);
   const [showSaveModal, setShowSaveModal] = useState(false);
+  // Dropped PNG with a recipe, waiting for restore or open: { file, recipe }
+  const [droppedRecipe, setDroppedRecipe] = useState(null);
+  
+  // Render progress (0-1) while the preview or an export is in flight, otherwise null
+  const [previewProgress, setPreviewProgress] = useState(null);
+  const [exportProgress, setExportProgress] = useState(null);
   
   const [toastMessage, setToastMessage] = useState('');
   const [toastVisible, setToastVisible] = useState(false);
@@ -1353,7 +1533,14 @@ export default function DomoDitherTool() {
   const sourceCanvasRef = useRef(null);
   const fileInputRef = useRef(null);
   const canvasContainerRef = useRef(null);
-  const processingRef = useRef(false);
+  const previewWorkerRef = useRef(null);
+  const previewRenderIdRef = useRef(0);
+  const liveFramePendingRef = useRef(false); // a camera frame is waiting for its preview
+  const exportWorkerRef = useRef(null);
+  const exportCleanupRef = useRef(null); // extra teardown of the running export, if any
+  const [workerSource, setWorkerSource] = useState(null);
+  const maskOverlayRef = useRef(null);
+  const paintStrokeRef = useRef(null);
 
   const colorKeys = Object.keys(DOMO_PALETTE).filter(k => !['white', 'black'].includes(k));
   
@@ -1361,10 +1548,15 @@ export default function DomoDitherTool() {
   const debouncedImageScale = useDebounce(imageScale, 150);
   const debouncedBrightness = useDebounce(brightness, 150);
   const debouncedContrast = useDebounce(contrast, 150);
+  const debouncedInputLevels = useDebounce(inputLevels, 150);
+  const debouncedToneCurve = useDebounce(toneCurve, 150);
+  const debouncedPreFilters = useDebounce(preFilters, 150);
   const debouncedLayers = useDebounce(layers, 150);
   const debouncedGradientDitherThreshold = useDebounce(gradientDitherThreshold, 150);
   const debouncedGradientDitherScale = useDebounce(gradientDitherScale, 150);
   const debouncedGradientDitherAngle = useDebounce(gradientDitherAngle, 150);
+  const debouncedPaletteDitherScale = useDebounce(paletteDitherScale, 150);
+  const debouncedPaletteDitherStrength = useDebounce(paletteDitherStrength, 150);
   const debouncedInkBleedAmount = useDebounce(inkBleedAmount, 150);
   const debouncedInkBleedRoughness = useDebounce(inkBleedRoughness, 150);
   
@@ -1391,6 +1583,11 @@ export default function DomoDitherTool() {
     previewCanvas.height = Math.round(image.height * scale);
     const ctx = previewCanvas.getContext('2d');
     ctx.drawImage(image, 0, 0, previewCanvas.width, previewCanvas.height);
+    // Video and camera frames change all the time, so they skip the round trip through an image
+    if (image instanceof HTMLCanvasElement) {
+      setPreviewImage(previewCanvas);
+      return;
+    }
     
     const previewImg = new Image();
     previewImg.onload = () => setPreviewImage(previewImg);
@@ -1403,6 +1600,9 @@ export default function DomoDitherTool() {
     setBrightness(DEFAULT_STATE.brightness);
     setContrast(DEFAULT_STATE.contrast);
     setInvert(DEFAULT_STATE.invert);
+    setInputLevels(DEFAULT_STATE.inputLevels);
+    setToneCurve(DEFAULT_STATE.toneCurve);
+    setPreFilters(DEFAULT_STATE.preFilters);
     setInkBleed(DEFAULT_STATE.inkBleed);
     setInkBleedAmount(DEFAULT_STATE.inkBleedAmount);
     setInkBleedRoughness(DEFAULT_STATE.inkBleedRoughness);
@@ -1413,8 +1613,24 @@ export default function DomoDitherTool() {
     setGradientDitherScale(DEFAULT_STATE.gradientDitherScale);
     setGradientDitherAngle(DEFAULT_STATE.gradientDitherAngle);
     setGradientDitherThreshold(DEFAULT_STATE.gradientDitherThreshold);
+    setPaletteEnabled(DEFAULT_STATE.paletteEnabled);
+    setPaletteColors([...DEFAULT_STATE.paletteColors]);
+    setPaletteDitherType(DEFAULT_STATE.paletteDitherType);
+    setPaletteDitherScale(DEFAULT_STATE.paletteDitherScale);
+    setPaletteDitherStrength(DEFAULT_STATE.paletteDitherStrength);
+    setPaletteSerpentine(DEFAULT_STATE.paletteSerpentine);
+    setAutoSeparation(DEFAULT_STATE.autoSeparation);
     setBackgroundColor(DEFAULT_STATE.backgroundColor);
     setExportResolution(DEFAULT_STATE.exportResolution);
+    setOutput(DEFAULT_STATE.output);
+    setPrint(DEFAULT_STATE.print);
+    setSeparations(DEFAULT_STATE.separations);
+    setAnimation(DEFAULT_STATE.animation);
+    setAnimationFrame(0);
+    setAnimationPlaying(false);
+    setVideoExport(DEFAULT_STATE.videoExport);
+    setLegacyPixels(DEFAULT_STATE.legacyPixels);
+    setSeed(DEFAULT_STATE.seed);
     setZoom(DEFAULT_STATE.zoom);
     setPanX(DEFAULT_STATE.panX);
     setPanY(DEFAULT_STATE.panY);
@@ -1436,6 +1652,21 @@ export default function DomoDitherTool() {
     visible: true
   });
 
+  // Animation tracks target a setting as 'param' or 'param:layerId'
+  const addAnimationTrack = (target) => {
+    const [param, layerId] = target.split(':');
+    const spec = ANIMATION_PARAMS[param];
+    const amplitude = Math.round((spec.max - spec.min) / 10 / spec.step) * spec.step;
+    setAnimation({
+      ...animation,
+      tracks: [...animation.tracks, { id: Date.now(), param, layerId: layerId ? Number(layerId) : null, mode: 'oscillate', keys: [], amplitude, cycles: 1 }]
+    });
+  };
+
+  const updateAnimationTrack = (track) => {
+    setAnimation({ ...animation, tracks: animation.tracks.map(t => t.id === track.id ? track : t) });
+  };
+
   const addLayer = () => {
     if (layers.length < 4) setLayers([...layers, createDefaultLayer()]);
   };
@@ -1485,12 +1716,61 @@ export default function DomoDitherTool() {
     setGradientColors(gradientColors.filter((_, i) => i !== index));
   };
 
+  // Pre-filter chain
+  const addPreFilter = (type) => {
+    setPreFilters([...preFilters, { id: Date.now(), type, enabled: true, ...PRE_FILTERS[type].defaults }]);
+  };
+  
+  const updatePreFilter = (index, filter) => {
+    const newFilters = [...preFilters];
+    newFilters[index] = filter;
+    setPreFilters(newFilters);
+  };
+  
+  const movePreFilter = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= preFilters.length) return;
+    const newFilters = [...preFilters];
+    [newFilters[index], newFilters[target]] = [newFilters[target], newFilters[index]];
+    setPreFilters(newFilters);
+  };
+
+  // Toggle a palette color in or out of the palette dither set
+  const togglePaletteColor = (key) => {
+    if (paletteColors.includes(key)) {
+      if (paletteColors.length <= 2) return;
+      setPaletteColors(paletteColors.filter(k => k !== key));
+    } else {
+      setPaletteColors(ALL_COLOR_KEYS.filter(k => k === key || paletteColors.includes(k)));
+    }
+  };
+  
+  // Gradient map and palette dither are mutually exclusive modes
+  const toggleGradientMode = () => {
+    if (!gradientEnabled) setPaletteEnabled(false);
+    setGradientEnabled(!gradientEnabled);
+  };
+  
+  const togglePaletteMode = () => {
+    if (!paletteEnabled) setGradientEnabled(false);
+    setPaletteEnabled(!paletteEnabled);
+  };
+
   // Apply preset
   const applyPreset = (presetKey, isCustom = false) => {
     const preset = isCustom ? customPresets[presetKey] : PRESETS[presetKey];
     if (!preset) return;
     
-    if (preset.gradient) {
+    if (preset.palette) {
+      setGradientEnabled(false);
+      setPaletteEnabled(true);
+      setPaletteColors([...preset.paletteColors]);
+      setPaletteDitherType(preset.paletteDitherType);
+      setPaletteDitherScale(preset.paletteDitherScale);
+      setPaletteDitherStrength(preset.paletteDitherStrength);
+      setPaletteSerpentine(preset.paletteSerpentine);
+    } else if (preset.gradient) {
+      setPaletteEnabled(false);
       setGradientEnabled(true);
       setGradientColors([...preset.gradientColors]);
       setGradientDitherType(preset.ditherType);
@@ -1499,12 +1779,17 @@ export default function DomoDitherTool() {
       setGradientDitherThreshold(preset.ditherThreshold);
     } else {
       setGradientEnabled(false);
+      setPaletteEnabled(false);
       setLayers(preset.layers.map((l, i) => ({ ...l, id: Date.now() + i })));
     }
     
     if (preset.inkBleed !== undefined) setInkBleed(preset.inkBleed);
     if (preset.inkBleedAmount !== undefined) setInkBleedAmount(preset.inkBleedAmount);
     if (preset.paperTexture !== undefined) setPaperTexture(preset.paperTexture);
+    if (preset.autoSeparation !== undefined) setAutoSeparation(preset.autoSeparation);
+    // Custom presets saved before sizes became relative were tuned in full-size pixels
+    setLegacyPixels(preset.legacyPixels ?? isCustom);
+    if (preset.seed !== undefined) setSeed(preset.seed);
     
     showToast(`Applied ${preset.name} preset`);
   };
@@ -1515,18 +1800,28 @@ export default function DomoDitherTool() {
       name: name.toUpperCase(),
       description: 'Custom preset',
       gradient: gradientEnabled,
+      palette: paletteEnabled,
       ...(gradientEnabled ? {
         gradientColors: [...gradientColors],
         ditherType: gradientDitherType,
         ditherScale: gradientDitherScale,
         ditherAngle: gradientDitherAngle,
         ditherThreshold: gradientDitherThreshold
+      } : paletteEnabled ? {
+        paletteColors: [...paletteColors],
+        paletteDitherType,
+        paletteDitherScale,
+        paletteDitherStrength,
+        paletteSerpentine
       } : {
-        layers: layers.map(l => ({ ...l }))
+        layers: layers.map(l => ({ ...l })),
+        autoSeparation
       }),
       inkBleed,
       inkBleedAmount,
-      paperTexture
+      paperTexture,
+      legacyPixels,
+      seed
     };
     
     const newPresets = { ...customPresets, [name.toLowerCase().replace(/\s+/g, '_')]: preset };
@@ -1545,37 +1840,91 @@ export default function DomoDitherTool() {
     showToast('Preset deleted');
   };
 
-  // Randomizer
+  // Every setting a recipe records (all of DEFAULT_STATE but the view) with its setter
+  const recipeFields = {
+    imageScale: [imageScale, setImageScale],
+    brightness: [brightness, setBrightness],
+    contrast: [contrast, setContrast],
+    invert: [invert, setInvert],
+    inputLevels: [inputLevels, setInputLevels],
+    toneCurve: [toneCurve, setToneCurve],
+    preFilters: [preFilters, setPreFilters],
+    inkBleed: [inkBleed, setInkBleed],
+    inkBleedAmount: [inkBleedAmount, setInkBleedAmount],
+    inkBleedRoughness: [inkBleedRoughness, setInkBleedRoughness],
+    paperTexture: [paperTexture, setPaperTexture],
+    gradientEnabled: [gradientEnabled, setGradientEnabled],
+    gradientColors: [gradientColors, setGradientColors],
+    gradientDitherType: [gradientDitherType, setGradientDitherType],
+    gradientDitherScale: [gradientDitherScale, setGradientDitherScale],
+    gradientDitherAngle: [gradientDitherAngle, setGradientDitherAngle],
+    gradientDitherThreshold: [gradientDitherThreshold, setGradientDitherThreshold],
+    paletteEnabled: [paletteEnabled, setPaletteEnabled],
+    paletteColors: [paletteColors, setPaletteColors],
+    paletteDitherType: [paletteDitherType, setPaletteDitherType],
+    paletteDitherScale: [paletteDitherScale, setPaletteDitherScale],
+    paletteDitherStrength: [paletteDitherStrength, setPaletteDitherStrength],
+    paletteSerpentine: [paletteSerpentine, setPaletteSerpentine],
+    autoSeparation: [autoSeparation, setAutoSeparation],
+    backgroundColor: [backgroundColor, setBackgroundColor],
+    exportResolution: [exportResolution, setExportResolution],
+    output: [output, setOutput],
+    legacyPixels: [legacyPixels, setLegacyPixels],
+    seed: [seed, setSeed],
+    print: [print, setPrint],
+    separations: [separations, setSeparations],
+    animation: [animation, setAnimation],
+    videoExport: [videoExport, setVideoExport],
+    layers: [layers, setLayers]
+  };
+
+  // Settings missing from older recipes fall back to the defaults. Layer ids are kept, so
+  // animation tracks still find their layers.
+  const restoreRecipe = (recipe) => {
+    Object.entries(recipeFields).forEach(([key, [, set]]) => set(conform(recipe.settings[key], RECIPE_SHAPE[key]) ?? DEFAULT_STATE[key]));
+    setAnimationFrame(Math.max(0, Math.floor(recipe.frame ?? 0)));
+    setAnimationPlaying(false);
+    setPaintingLayerId(null);
+    const source = recipe.source?.name ? ` — load ${recipe.source.name} to remake it` : '';
+    showToast(`Recipe restored${image ? '' : source}`);
+  };
+
+  // Randomizer: rolls a new global seed and derives the layers from it, so the same seed
+  // always gives the same look
   const randomizeLayers = () => {
-    const shuffledColors = [...colorKeys].sort(() => Math.random() - 0.5);
-    const algorithms = ['halftoneCircle', 'halftoneLines', 'bayer4x4', 'bayer8x8', 'floydSteinberg', 'atkinson'];
+    const newSeed = randomSeed();
+    const random = createRandom(newSeed);
+    const shuffledColors = [...colorKeys].sort(() => random() - 0.5);
+    const algorithms = ['halftoneCircle', 'halftoneLines', 'bayer4x4', 'bayer8x8', 'blueNoise', 'floydSteinberg', 'atkinson'];
     
+    setSeed(newSeed);
     setGradientEnabled(false);
+    setPaletteEnabled(false);
     setLayers([
       {
         id: Date.now(),
         colorKey: shuffledColors[0],
-        ditherType: algorithms[Math.floor(Math.random() * algorithms.length)],
-        threshold: 0.45 + Math.random() * 0.2,
-        scale: Math.floor(6 + Math.random() * 6),
-        angle: Math.floor(Math.random() * 45),
-        offsetX: Math.floor(-20 + Math.random() * 40),
-        offsetY: Math.floor(-20 + Math.random() * 40),
+        ditherType: algorithms[Math.floor(random() * algorithms.length)],
+        threshold: 0.45 + random() * 0.2,
+        scale: Math.floor(6 + random() * 6),
+        angle: Math.floor(random() * 45),
+        offsetX: Math.floor(-20 + random() * 40),
+        offsetY: Math.floor(-20 + random() * 40),
         blendMode: 'multiply',
-        opacity: 0.9 + Math.random() * 0.1,
+        opacity: 0.9 + random() * 0.1,
         visible: true
       },
       {
         id: Date.now() + 1,
         colorKey: shuffledColors[1],
-        ditherType: algorithms[Math.floor(Math.random() * algorithms.length)],
-        threshold: 0.45 + Math.random() * 0.2,
-        scale: Math.floor(6 + Math.random() * 6),
-        angle: Math.floor(45 + Math.random() * 45),
-        offsetX: Math.floor(-20 + Math.random() * 40),
-        offsetY: Math.floor(-20 + Math.random() * 40),
+        ditherType: algorithms[Math.floor(random() * algorithms.length)],
+        threshold: 0.45 + random() * 0.2,
+        scale: Math.floor(6 + random() * 6),
+        angle: Math.floor(45 + random() * 45),
+        offsetX: Math.floor(-20 + random() * 40),
+        offsetY: Math.floor(-20 + random() * 40),
         blendMode: 'multiply',
-        opacity: 0.9 + Math.random() * 0.1,
+        opacity: 0.9 + random() * 0.1,
         visible: true
       }
     ]);
@@ -1586,12 +1935,29 @@ export default function DomoDitherTool() {
     if (file) loadImageFile(file);
   };
   
-  const loadImageFile = (file) => {
+  // PNGs exported with a recipe offer to restore it instead of opening as an image
+  const loadImageFile = async (file) => {
+    if (file.type.startsWith('video/')) {
+      openVideoFile(file);
+      return;
+    }
+    const recipe = file.type === 'image/png' ? await readPngRecipe(await file.arrayBuffer()) : null;
+    if (recipe) {
+      setDroppedRecipe({ file, recipe });
+    } else {
+      openImageFile(file);
+    }
+  };
+
+  const openImageFile = (file) => {
     const reader = new FileReader();
     reader.onload = (event) => {
       const img = new Image();
       img.onload = () => {
         setImage(img);
+        setVideo(null);
+        setCamera(null);
+        setSourceName(file.name);
         setZoom(1);
         setPanX(0);
         setPanY(0);
@@ -1601,6 +1967,87 @@ export default function DomoDitherTool() {
     };
     reader.readAsDataURL(file);
   };
+
+  const openVideoFile = async (file) => {
+    try {
+      const clip = await openVideo(file);
+      setCamera(null);
+      setVideo(clip);
+      setVideoFrame(0);
+      setSourceName(file.name);
+      setZoom(1);
+      setPanX(0);
+      setPanY(0);
+      showToast('Video loaded');
+    } catch (error) {
+      showToast(error.message);
+    }
+  };
+
+  // The video element holds its object URL until the next source replaces it
+  useEffect(() => () => {
+    if (!video) return;
+    releaseVideoElement(video.element);
+    URL.revokeObjectURL(video.url);
+  }, [video]);
+
+  const startCamera = async () => {
+    try {
+      const stream = await openCamera();
+      setVideo(null);
+      setCamera(stream);
+      setSourceName('camera');
+      setZoom(1);
+      setPanX(0);
+      setPanY(0);
+    } catch (error) {
+      showToast(`Camera unavailable: ${error.message}`);
+    }
+  };
+
+  // The snapshot is taken at the camera's full resolution and stays as the source image
+  const takeSnapshot = () => {
+    if (!camera) return;
+    setImage(captureCameraFrame(camera.element, { mirror: cameraMirror }));
+    setSourceName(`camera-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}`);
+    setCamera(null);
+    showToast('Snapshot taken');
+  };
+
+  useEffect(() => () => {
+    if (camera) closeCamera(camera);
+  }, [camera]);
+
+  // Live frames replace the source image as fast as the preview renders them: the next
+  // frame is grabbed once the last one's render is done, so renders never pile up
+  useEffect(() => {
+    if (!camera) return;
+    let request;
+    const tick = () => {
+      if (!liveFramePendingRef.current && camera.element.readyState >= 2) {
+        liveFramePendingRef.current = true;
+        setImage(captureCameraFrame(camera.element, { width: CAMERA_LIVE_WIDTH, mirror: cameraMirror }));
+      }
+      request = requestAnimationFrame(tick);
+    };
+    liveFramePendingRef.current = false;
+    request = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(request);
+  }, [camera, cameraMirror]);
+
+  // The frame on show becomes the source image, so the whole pipeline previews it as a still
+  const videoFrameTotal = video ? videoFrameCount(video.duration, videoExport.fps) : 0;
+  const shownVideoFrame = Math.min(videoFrame, Math.max(0, videoFrameTotal - 1));
+  useEffect(() => {
+    if (!video) return;
+    let cancelled = false;
+    seekVideo(video.element, videoFrameTime(shownVideoFrame, videoExport.fps))
+      .then(() => {
+        if (!cancelled) setImage(captureVideoFrame(video.element));
+      })
+      .catch(error => showToast(error.message));
+    return () => { cancelled = true; };
+  }, [video, shownVideoFrame, videoExport.fps]);
   
   // Zoom handlers
   const handleWheel = (e) => {
@@ -1612,11 +2059,20 @@ export default function DomoDitherTool() {
   
   const handleMouseDown = (e) => {
     if (!image || e.button !== 0 || showComparison) return;
+    if (paintingLayer) {
+      paintStrokeRef.current = { layerId: paintingLayer.id, bytes: decodeMaskData(paintingLayer.mask.data), last: null };
+      paintMaskAt(e);
+      return;
+    }
     setIsPanning(true);
     setPanStart({ x: e.clientX - panX, y: e.clientY - panY });
   };
   
   const handleMouseMove = (e) => {
+    if (paintStrokeRef.current) {
+      paintMaskAt(e);
+      return;
+    }
     if (!isPanning) return;
     setPanX(e.clientX - panStart.x);
     setPanY(e.clientY - panStart.y);
@@ -1624,249 +2080,390 @@ export default function DomoDitherTool() {
   
   const handleMouseUp = () => {
     setIsPanning(false);
+    finishMaskStroke();
+  };
+  
+  // Painted masks: brush directly on the preview canvas
+  const paintingLayer = !gradientEnabled && !paletteEnabled
+    ? layers.find(l => l.id === paintingLayerId && l.mask?.type === 'painted')
+    : null;
+  
+  const drawMaskOverlay = (bytes) => {
+    const canvas = maskOverlayRef.current;
+    if (!canvas) return;
+    canvas.width = PAINT_MASK_SIZE;
+    canvas.height = PAINT_MASK_SIZE;
+    const ctx = canvas.getContext('2d');
+    const overlay = ctx.createImageData(PAINT_MASK_SIZE, PAINT_MASK_SIZE);
+    for (let i = 0; i < bytes.length; i++) {
+      overlay.data[i * 4] = 255;
+      overlay.data[i * 4 + 1] = 40;
+      overlay.data[i * 4 + 2] = 40;
+      overlay.data[i * 4 + 3] = (255 - bytes[i]) * 0.5;
+    }
+    ctx.putImageData(overlay, 0, 0);
+  };
+  
+  const paintMaskAt = (e) => {
+    const stroke = paintStrokeRef.current;
+    const canvas = canvasRef.current;
+    if (!stroke || !canvas) return;
+    
+    const rect = canvas.getBoundingClientRect();
+    const u = (e.clientX - rect.left) / rect.width;
+    const v = (e.clientY - rect.top) / rect.height;
+    const radiusU = brush.size / 2 / canvas.width;
+    const radiusV = brush.size / 2 / canvas.height;
+    const value = brush.mode === 'hide' ? 0 : 255;
+    
+    // Interpolate dabs from the previous point so fast strokes stay continuous
+    const from = stroke.last || { u, v };
+    const steps = Math.max(1, Math.ceil(Math.hypot((u - from.u) / radiusU, (v - from.v) / radiusV) * 2));
+    for (let step = 1; step <= steps; step++) {
+      const t = step / steps;
+      paintMaskDab(stroke.bytes, from.u + (u - from.u) * t, from.v + (v - from.v) * t, radiusU, radiusV, value);
+    }
+    stroke.last = { u, v };
+    drawMaskOverlay(stroke.bytes);
   };
   
+  const finishMaskStroke = () => {
+    const stroke = paintStrokeRef.current;
+    paintStrokeRef.current = null;
+    if (!stroke) return;
+    const index = layers.findIndex(l => l.id === stroke.layerId);
+    if (index < 0) return;
+    const layer = layers[index];
+    updateLayer(index, { ...layer, mask: { ...layer.mask, data: encodeMaskData(stroke.bytes) } });
+  };
+  
+  useEffect(() => {
+    if (paintingLayer) drawMaskOverlay(decodeMaskData(paintingLayer.mask.data));
+  }, [paintingLayer]);
+  
   const resetView = () => {
     setZoom(1);
     setPanX(0);
     setPanY(0);
   };
 
-  // Core image processing function
-  const processImageCore = useCallback((sourceImage, targetCanvas, isExport = false) => {
-    if (!sourceImage || !targetCanvas) return;
-    
-    const ctx = targetCanvas.getContext('2d');
-    const sourceCanvas = document.createElement('canvas');
-    const sourceCtx = sourceCanvas.getContext('2d');
+  // Image pixels per setting pixel (see REFERENCE_WIDTH)
+  const unitScale = image && !legacyPixels ? image.width / REFERENCE_WIDTH : 1;
+  
+  // Print page in pixels, and the halftone cell size (in setting pixels) of its screen ruling
+  const printLayout = useMemo(() => print.enabled && image ? getPrintLayout(print, image.width, image.height) : null, [print, image]);
+  // Presets and recipes may carry a ruling finer than the DPI allows, so it is capped here too
+  const screenLpi = Math.min(print.lpi, maxScreenLpi(print.dpi));
+  const screenStep = printLayout && screenLpi > 0 ? print.dpi / screenLpi / printLayout.scale / unitScale : null;
+  const layerUnits = printLayout && { unit: print.unit, perPixel: printLayout.mmPerPixel * unitScale / LENGTH_UNITS[print.unit], lpi: screenLpi };
+  
+  // Transparent paper needs an alpha channel, which JPEG and 1-bit TIFF don't have
+  const outputAlpha = OUTPUT_FORMATS[output.format].alpha && !(output.format === 'tiff' && output.tiffBits === 1);
+  const transparentPaper = output.transparentPaper && outputAlpha;
+  
+  // Settings snapshot sent to the render worker
+  const renderSettings = useMemo(() => ({
+    imageScale: debouncedImageScale,
+    brightness: debouncedBrightness,
+    contrast: debouncedContrast,
+    inputLevels: debouncedInputLevels,
+    toneCurve: debouncedToneCurve,
+    preFilters: debouncedPreFilters,
+    invert,
+    gradientEnabled,
+    gradientColors,
+    gradientDitherType,
+    gradientDitherThreshold: debouncedGradientDitherThreshold,
+    gradientDitherScale: screenStep && DITHER_ALGORITHMS[gradientDitherType]?.category === 'halftone' ? screenStep : debouncedGradientDitherScale,
+    gradientDitherAngle: debouncedGradientDitherAngle,
+    paletteEnabled,
+    paletteColors,
+    paletteDitherType,
+    paletteDitherScale: debouncedPaletteDitherScale,
+    paletteDitherStrength: debouncedPaletteDitherStrength,
+    paletteSerpentine,
+    layers: screenStep
+      ? debouncedLayers.map(layer => DITHER_ALGORITHMS[layer.ditherType]?.category === 'halftone' ? { ...layer, scale: screenStep } : layer)
+      : debouncedLayers,
+    autoSeparation,
+    backgroundColor,
+    inkBleed,
+    inkBleedAmount: debouncedInkBleedAmount,
+    inkBleedRoughness: debouncedInkBleedRoughness,
+    transparentPaper,
+    seed
+  }), [debouncedImageScale, debouncedBrightness, debouncedContrast, debouncedInputLevels, debouncedToneCurve, debouncedPreFilters, invert, gradientEnabled, gradientColors, gradientDitherType, debouncedGradientDitherThreshold, debouncedGradientDitherScale, debouncedGradientDitherAngle, paletteEnabled, paletteColors, paletteDitherType, debouncedPaletteDitherScale, debouncedPaletteDitherStrength, paletteSerpentine, debouncedLayers, screenStep, autoSeparation, backgroundColor, inkBleed, debouncedInkBleedAmount, debouncedInkBleedRoughness, transparentPaper, seed]);
+
+  // Preview worker; replies for anything but the latest render are stale and dropped
+  useEffect(() => {
+    const worker = createRenderWorker();
+    worker.onmessage = (e) => {
+      const message = e.data;
+      if (message.id !== previewRenderIdRef.current) return;
+      
+      if (message.type === 'progress') {
+        setPreviewProgress(message.progress);
+      } else if (message.type === 'done') {
+        const canvas = canvasRef.current;
+        if (canvas) {
+          canvas.width = message.imageData.width;
+          canvas.height = message.imageData.height;
+          canvas.getContext('2d').putImageData(message.imageData, 0, 0);
+        }
+        setHistogram(message.histogram);
+        setPreviewProgress(null);
+        liveFramePendingRef.current = false;
+      } else if (message.type === 'error') {
+        setPreviewProgress(null);
+        liveFramePendingRef.current = false;
+        showToast(`Render failed: ${message.message}`);
+      }
+    };
+    previewWorkerRef.current = worker;
     
-    targetCanvas.width = sourceImage.width;
-    targetCanvas.height = sourceImage.height;
+    return () => {
+      worker.terminate();
+      previewWorkerRef.current = null;
+    };
+  }, []);
+  
+  // Hand the preview image to the worker and draw the original for comparison
+  useEffect(() => {
+    if (!previewImage || !originalCanvasRef.current) {
+      setWorkerSource(null);
+      return;
+    }
     
-    const scaledWidth = Math.round(sourceImage.width * debouncedImageScale);
-    const scaledHeight = Math.round(sourceImage.height * debouncedImageScale);
-    sourceCanvas.width = scaledWidth;
-    sourceCanvas.height = scaledHeight;
+    const originalCanvas = originalCanvasRef.current;
+    originalCanvas.width = previewImage.width;
+    originalCanvas.height = previewImage.height;
+    originalCanvas.getContext('2d').drawImage(previewImage, 0, 0);
     
-    sourceCtx.fillStyle = '#888888';
-    sourceCtx.fillRect(0, 0, scaledWidth, scaledHeight);
-    sourceCtx.drawImage(sourceImage, 0, 0, scaledWidth, scaledHeight);
+    let cancelled = false;
+    createImageBitmap(previewImage).then(bitmap => {
+      if (cancelled || !previewWorkerRef.current) {
+        bitmap.close();
+        return;
+      }
+      previewWorkerRef.current.postMessage({ type: 'source', bitmap }, [bitmap]);
+      setWorkerSource(previewImage);
+    });
+    return () => { cancelled = true; };
+  }, [previewImage]);
+
+  // Settings at the animation frame on show; the same as renderSettings without animation.
+  // A flickering video moves the seeds on with its own frame, as its export will.
+  const currentFrame = Math.min(animationFrame, animation.frames - 1);
+  const flickerFrame = video && videoExport.flicker ? shownVideoFrame : null;
+  const frameSettings = useMemo(() => {
+    const settings = animateSettings(renderSettings, animation, currentFrame);
+    return flickerFrame === null ? settings : reseedSettings(settings, flickerFrame);
+  }, [renderSettings, animation, currentFrame, flickerFrame]);
+
+  // Playback steps through the frames; renders that can't keep up are cancelled by the next
+  useEffect(() => {
+    if (!animationPlaying || !animation.enabled) return;
+    const timer = setInterval(() => setAnimationFrame(frame => (frame + 1) % animation.frames), 1000 / animation.fps);
+    return () => clearInterval(timer);
+  }, [animationPlaying, animation.enabled, animation.frames, animation.fps]);
+
+  // Render the preview whenever the source or settings change; a newer render cancels the last.
+  // Pixel measures are scaled to the preview canvas so it shows what the export will.
+  useEffect(() => {
+    if (!workerSource || !previewWorkerRef.current || !image) return;
+    const id = ++previewRenderIdRef.current;
+    const settings = scaleSettings(frameSettings, unitScale * workerSource.width / image.width);
+    previewWorkerRef.current.postMessage({ type: 'render', id, settings });
+  }, [workerSource, frameSettings, unitScale, image]);
+
+  // Export renders full resolution in its own worker so the preview stays live.
+  // format is a still format ('png', 'jpeg', 'webp' or 'tiff', with the OUTPUT options),
+  // 'svg' (halftone layers as vector shapes), 'pdf' (one spot colour per ink), 'psd' (one
+  // Photoshop layer per layer), 'separations' (film plates per layer, packaged as a ZIP or
+  // PDF) or an animation format (every frame of the tracks). Still formats export the frame
+  // on show.
+  const exportImage = async (format) => {
+    if (!image || exportWorkerRef.current) return;
     
-    let sourceData = sourceCtx.getImageData(0, 0, scaledWidth, scaledHeight);
+    const worker = createRenderWorker();
+    exportWorkerRef.current = worker;
+    setExportProgress(0);
     
-    if (debouncedBrightness !== 0 || debouncedContrast !== 0) {
-      sourceData = applyBrightnessContrast(sourceData, debouncedBrightness, debouncedContrast);
+    // A print size fits the image on the page at its DPI; otherwise export by multiplier
+    const encode = printLayout
+      ? {
+          format,
+          scale: printLayout.scale,
+          width: printLayout.width,
+          height: printLayout.height,
+          dpi: print.dpi,
+          size: {
+            width: `${+(printLayout.width / print.dpi * MM_PER_INCH).toFixed(2)}mm`,
+            height: `${+(printLayout.height / print.dpi * MM_PER_INCH).toFixed(2)}mm`
+          }
+        }
+      : { format, scale: EXPORT_RESOLUTIONS[exportResolution].scale };
+    if (format === 'psd') {
+      encode.paperTexture = paperTexture;
+    } else if (format === 'separations') {
+      // Trap is a pixel measure like the layer sizes
+      encode.separations = { ...separations, trap: separations.trap * unitScale };
+    } else if (ANIMATION_FORMATS[format]) {
+      encode.animation = scaleAnimation(animation, unitScale);
+    } else if (format === 'jpeg' || format === 'webp') {
+      encode.quality = output.quality;
+    } else if (format === 'tiff') {
+      encode.bitDepth = output.tiffBits;
     }
-    
-    if (invert) {
-      sourceData = invertImageData(sourceData);
+    if (format === 'png' || format === 'apng') {
+      const settings = Object.fromEntries(Object.entries(recipeFields).map(([key, [value]]) => [key, value]));
+      encode.recipe = createRecipe(settings, {
+        source: { name: sourceName, width: image.width, height: image.height },
+        frame: format === 'png' && animation.enabled ? currentFrame : undefined
+      });
     }
+    const outputName = printLayout ? `${print.size}-${print.dpi}dpi` : exportResolution;
+    const fileName = format === 'separations'
+      ? `domo-dither-${outputName}-separations.${separations.packaging}`
+      : `domo-dither-${outputName}.${(OUTPUT_FORMATS[format] || ANIMATION_FORMATS[format])?.extension || format}`;
     
-    let finalImageData;
+    const finish = () => {
+      worker.terminate();
+      exportWorkerRef.current = null;
+      setExportProgress(null);
+    };
     
-    // Gradient map mode
-    if (gradientEnabled && gradientColors.length >= 2) {
-      const colors = gradientColors.map(key => DOMO_PALETTE[key]?.rgb || [0, 0, 0]);
-      
-      if (gradientDitherType !== 'none') {
-        const algo = ditherAlgorithms[gradientDitherType];
-        const algoInfo = DITHER_ALGORITHMS[gradientDitherType];
-        
-        if (algo) {
-          let ditheredData;
-          if (algoInfo.hasScale && algoInfo.hasAngle) {
-            ditheredData = algo(sourceData, debouncedGradientDitherThreshold, debouncedGradientDitherScale, debouncedGradientDitherAngle);
-          } else if (algoInfo.hasScale) {
-            ditheredData = algo(sourceData, debouncedGradientDitherThreshold, debouncedGradientDitherScale);
-          } else {
-            ditheredData = algo(sourceData, debouncedGradientDitherThreshold);
-          }
-          
-          const resultData = new Uint8ClampedArray(ditheredData.data);
-          
-          for (let i = 0; i < resultData.length; i += 4) {
-            const ditheredVal = ditheredData.data[i] / 255;
-            let r, g, b;
-            if (colors.length === 2) {
-              if (ditheredVal < 0.5) {
-                [r, g, b] = colors[0];
-              } else {
-                [r, g, b] = colors[1];
-              }
-            } else {
-              const colorIdx = Math.round(ditheredVal * (colors.length - 1));
-              [r, g, b] = colors[Math.min(colorIdx, colors.length - 1)];
-            }
-            resultData[i] = r;
-            resultData[i + 1] = g;
-            resultData[i + 2] = b;
-          }
-          
-          finalImageData = new ImageData(resultData, scaledWidth, scaledHeight);
-        } else {
-          finalImageData = applyGradientMap(sourceData, gradientColors);
-        }
-      } else {
-        finalImageData = applyGradientMap(sourceData, gradientColors);
+    worker.onmessage = (e) => {
+      const message = e.data;
+      if (message.type === 'progress') {
+        setExportProgress(message.progress);
+      } else if (message.type === 'done') {
+        finish();
+        downloadBlob(message.blob, fileName);
+        showToast(`Exported ${format.toUpperCase()} at ${outputName}`);
+      } else if (message.type === 'error') {
+        finish();
+        showToast(`Export failed: ${message.message}`);
       }
-      
-      // Apply ink bleed if enabled
-      if (inkBleed && debouncedInkBleedAmount > 0) {
-        finalImageData = applyInkBleed(finalImageData, debouncedInkBleedAmount, debouncedInkBleedRoughness);
+    };
+    
+    const bitmap = await createImageBitmap(image);
+    worker.postMessage({ type: 'source', bitmap }, [bitmap]);
+    worker.postMessage({
+      type: 'render',
+      id: 1,
+      // Animation encoders have no alpha, so their frames keep the paper
+      settings: scaleSettings(ANIMATION_FORMATS[format] ? { ...renderSettings, transparentPaper: false } : frameSettings, unitScale),
+      encode
+    });
+  };
+  
+  // Video export re-renders every frame of the clip at the export resolution: the clip
+  // plays from its own element and each seeked frame goes to the worker once the last is
+  // encoded. format is 'webm' or 'frames' (a ZIP of PNGs). Animation tracks repeat
+  // through the clip; seeds hold still unless flicker is on. The clip gets its own object
+  // URL, so loading another source meanwhile doesn't pull the file from under the export.
+  const exportVideo = async (format) => {
+    if (!video || exportWorkerRef.current) return;
+
+    const worker = createRenderWorker();
+    exportWorkerRef.current = worker;
+    setExportProgress(0);
+
+    const { fps, flicker } = videoExport;
+    const frames = videoFrameCount(video.duration, fps);
+    const fileName = `domo-dither-${exportResolution}${format === 'webm' ? '.webm' : '-frames.zip'}`;
+    const url = URL.createObjectURL(video.file);
+    let element = null;
+    let stopped = false;
+
+    // Also run on cancel: lets go of the clip's decoded media and its URL
+    const release = () => {
+      stopped = true;
+      if (element) releaseVideoElement(element);
+      URL.revokeObjectURL(url);
+    };
+    exportCleanupRef.current = release;
+
+    const finish = () => {
+      worker.terminate();
+      release();
+      if (exportWorkerRef.current === worker) {
+        exportWorkerRef.current = null;
+        exportCleanupRef.current = null;
       }
-      
-      ctx.fillStyle = backgroundColor;
-      ctx.fillRect(0, 0, sourceImage.width, sourceImage.height);
-      
-      const offsetX = (scaledWidth - sourceImage.width) / 2;
-      const offsetY = (scaledHeight - sourceImage.height) / 2;
-      
-      const baseImageData = ctx.getImageData(0, 0, sourceImage.width, sourceImage.height);
-      
-      for (let y = 0; y < sourceImage.height; y++) {
-        for (let x = 0; x < sourceImage.width; x++) {
-          const sx = Math.floor(x + offsetX);
-          const sy = Math.floor(y + offsetY);
-          
-          if (sx >= 0 && sx < scaledWidth && sy >= 0 && sy < scaledHeight) {
-            const si = (sy * scaledWidth + sx) * 4;
-            const di = (y * sourceImage.width + x) * 4;
-            
-            baseImageData.data[di] = finalImageData.data[si];
-            baseImageData.data[di + 1] = finalImageData.data[si + 1];
-            baseImageData.data[di + 2] = finalImageData.data[si + 2];
-            baseImageData.data[di + 3] = 255;
-          }
+      setExportProgress(null);
+    };
+
+    const sendFrame = async (index) => {
+      try {
+        await seekVideo(element, videoFrameTime(index, fps));
+        const bitmap = await createImageBitmap(element);
+        if (stopped) {
+          bitmap.close();
+          return;
         }
+        worker.postMessage({ type: 'frame', id: 1, bitmap, index }, [bitmap]);
+      } catch (error) {
+        if (stopped) return;
+        finish();
+        showToast(`Export failed: ${error.message}`);
       }
-      
-      ctx.putImageData(baseImageData, 0, 0);
-    } else {
-      // Layer mode
-      ctx.fillStyle = backgroundColor;
-      ctx.fillRect(0, 0, sourceImage.width, sourceImage.height);
-      const baseImageData = ctx.getImageData(0, 0, sourceImage.width, sourceImage.height);
-      
-      const offsetX = (scaledWidth - sourceImage.width) / 2;
-      const offsetY = (scaledHeight - sourceImage.height) / 2;
-      
-      debouncedLayers.forEach(layer => {
-        // Skip hidden layers
-        if (layer.visible === false) return;
-        
-        const algo = ditherAlgorithms[layer.ditherType];
-        const algoInfo = DITHER_ALGORITHMS[layer.ditherType];
-        
-        if (!algo) return;
-        
-        let ditheredData;
-        if (algoInfo.hasScale && algoInfo.hasAngle) {
-          ditheredData = algo(sourceData, layer.threshold, layer.scale, layer.angle);
-        } else if (algoInfo.hasScale) {
-          ditheredData = algo(sourceData, layer.threshold, layer.scale);
-        } else {
-          ditheredData = algo(sourceData, layer.threshold);
-        }
-        
-        // Apply ink bleed to layer if enabled
-        if (inkBleed && debouncedInkBleedAmount > 0) {
-          ditheredData = applyInkBleed(ditheredData, debouncedInkBleedAmount, debouncedInkBleedRoughness);
-        }
-        
-        const [r, g, b] = DOMO_PALETTE[layer.colorKey]?.rgb || [0, 0, 0];
-        const blendFn = blendModes[layer.blendMode] || blendModes.multiply;
-        
-        for (let y = 0; y < sourceImage.height; y++) {
-          for (let x = 0; x < sourceImage.width; x++) {
-            const sx = Math.floor(x + offsetX - layer.offsetX);
-            const sy = Math.floor(y + offsetY - layer.offsetY);
-            
-            if (sx >= 0 && sx < scaledWidth && sy >= 0 && sy < scaledHeight) {
-              const si = (sy * scaledWidth + sx) * 4;
-              const di = (y * sourceImage.width + x) * 4;
-              
-              const darkness = 1 - (ditheredData.data[si] / 255);
-              // Treat near-white pixels as fully transparent (screen print behavior)
-              if (darkness > 0.02) {
-                const alpha = layer.opacity * darkness;
-                baseImageData.data[di] = blendFn(baseImageData.data[di], r, alpha);
-                baseImageData.data[di + 1] = blendFn(baseImageData.data[di + 1], g, alpha);
-                baseImageData.data[di + 2] = blendFn(baseImageData.data[di + 2], b, alpha);
-              }
-            }
-          }
-        }
-      });
-      
-      ctx.putImageData(baseImageData, 0, 0);
-    }
-  }, [debouncedImageScale, debouncedBrightness, debouncedContrast, invert, gradientEnabled, gradientColors, gradientDitherType, debouncedGradientDitherThreshold, debouncedGradientDitherScale, debouncedGradientDitherAngle, debouncedLayers, backgroundColor, inkBleed, debouncedInkBleedAmount, debouncedInkBleedRoughness]);
+    };
 
-  // Process preview image (debounced)
-  useEffect(() => {
-    if (!previewImage || !canvasRef.current || !originalCanvasRef.current || processingRef.current) return;
-    
-    processingRef.current = true;
-    
-    requestAnimationFrame(() => {
-      // Draw original for comparison
-      const originalCanvas = originalCanvasRef.current;
-      originalCanvas.width = previewImage.width;
-      originalCanvas.height = previewImage.height;
-      originalCanvas.getContext('2d').drawImage(previewImage, 0, 0);
-      
-      // Process the preview image
-      processImageCore(previewImage, canvasRef.current);
-      
-      processingRef.current = false;
-    });
-  }, [previewImage, processImageCore]);
+    worker.onmessage = (e) => {
+      const message = e.data;
+      if (message.type === 'progress') {
+        setExportProgress(message.progress);
+      } else if (message.type === 'frame') {
+        if (message.index + 1 < frames) sendFrame(message.index + 1);
+        else worker.postMessage({ type: 'finish', id: 1 });
+      } else if (message.type === 'done') {
+        finish();
+        downloadBlob(message.blob, fileName);
+        showToast(`Exported ${frames} frames at ${exportResolution}`);
+      } else if (message.type === 'error') {
+        finish();
+        showToast(`Export failed: ${message.message}`);
+      }
+    };
 
-  const exportPNG = () => {
-    if (!image) return;
-    
-    // Create export canvas at full resolution
-    const exportCanvas = document.createElement('canvas');
-    processImageCore(image, exportCanvas, true);
-    
-    const scale = EXPORT_RESOLUTIONS[exportResolution].scale;
-    
-    let dataUrl;
-    
-    if (scale === 1) {
-      dataUrl = exportCanvas.toDataURL('image/png');
-    } else {
-      const scaledCanvas = document.createElement('canvas');
-      scaledCanvas.width = exportCanvas.width * scale;
-      scaledCanvas.height = exportCanvas.height * scale;
-      const ctx = scaledCanvas.getContext('2d');
-      ctx.imageSmoothingEnabled = false;
-      ctx.drawImage(exportCanvas, 0, 0, scaledCanvas.width, scaledCanvas.height);
-      dataUrl = scaledCanvas.toDataURL('image/png');
-    }
-    
-    const byteString = atob(dataUrl.split(',')[1]);
-    const mimeString = dataUrl.split(',')[0].split(':')[1].split(';')[0];
-    const ab = new ArrayBuffer(byteString.length);
-    const ia = new Uint8Array(ab);
-    for (let i = 0; i < byteString.length; i++) {
-      ia[i] = byteString.charCodeAt(i);
+    try {
+      const loaded = await loadVideoElement(url);
+      if (stopped) {
+        releaseVideoElement(loaded);
+        return;
+      }
+      element = loaded;
+    } catch (error) {
+      if (stopped) return;
+      finish();
+      showToast(`Export failed: ${error.message}`);
+      return;
     }
-    const blob = new Blob([ab], { type: mimeString });
-    
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `domo-dither-${exportResolution}.png`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
-    
-    showToast(`Exported at ${exportResolution}`);
+    worker.postMessage({
+      type: 'sequence',
+      id: 1,
+      // WebM has no alpha, so its frames keep the paper
+      settings: scaleSettings({ ...renderSettings, transparentPaper: format === 'frames' && transparentPaper }, unitScale),
+      encode: { format, scale: EXPORT_RESOLUTIONS[exportResolution].scale, fps, frames, flicker, animation: scaleAnimation(animation, unitScale) }
+    });
+    sendFrame(0);
+  };
+
+  const cancelExport = () => {
+    if (!exportWorkerRef.current) return;
+    exportWorkerRef.current.terminate();
+    exportWorkerRef.current = null;
+    exportCleanupRef.current?.();
+    exportCleanupRef.current = null;
+    setExportProgress(null);
+    showToast('Export cancelled');
   };
 
+  const trapLabel = separations.trap > 0 ? 'TRAP' : separations.trap < 0 ? 'CHOKE' : 'TRAP/CHOKE';
   const gradientAlgoInfo = DITHER_ALGORITHMS[gradientDitherType];
+  const paletteAlgoInfo = DITHER_ALGORITHMS[paletteDitherType];
 
   return (
     <DropZone onDrop={loadImageFile}>
@@ -1882,15 +2479,49 @@ export default function DomoDitherTool() {
           
           {/* Source Section */}
           <Section title="SOURCE">
-            <input ref={fileInputRef} type="file" accept="image/*" onChange={handleImageUpload} style={{ display: 'none' }} />
+            <input ref={fileInputRef} type="file" accept="image/*,video/*" onChange={handleImageUpload} style={{ display: 'none' }} />
             <Button primary onClick={() => fileInputRef.current.click()} style={{ marginBottom: '12px' }}>
-              {image ? 'CHANGE IMAGE' : 'UPLOAD IMAGE'}
+              {video || camera ? 'CHANGE SOURCE' : image ? 'CHANGE IMAGE' : 'UPLOAD IMAGE'}
             </Button>
             <p style={{ fontSize: '9px', color: '#444', margin: '0 0 16px 0', textAlign: 'center' }}>or drag & drop anywhere</p>
+            {camera ? (
+              <>
+                <div style={{ display: 'flex', gap: '4px', marginBottom: '8px' }}>
+                  <Button primary onClick={takeSnapshot} style={{ flex: 1 }}>SNAPSHOT</Button>
+                  <Button onClick={() => setCameraMirror(!cameraMirror)} active={cameraMirror} style={{ flex: 1 }}>MIRROR</Button>
+                  <Button onClick={() => setCamera(null)} style={{ flex: 1 }}>STOP</Button>
+                </div>
+                <p style={{ fontSize: '9px', color: '#444', margin: '0 0 16px 0' }}>
+                  Live at {CAMERA_LIVE_WIDTH}px wide; the snapshot keeps the frame at full camera resolution
+                </p>
+              </>
+            ) : (
+              <Button onClick={startCamera} style={{ marginBottom: '16px' }}>LIVE CAMERA</Button>
+            )}
             
+            {video && (
+              <>
+                <div style={{ display: 'flex', gap: '4px', alignItems: 'flex-start' }}>
+                  <Button onClick={() => setVideoFrame(Math.max(0, shownVideoFrame - 1))} style={{ width: '28px', fontSize: '9px' }}>‹</Button>
+                  <div style={{ flex: 1 }}>
+                    <Slider label={`FRAME ${shownVideoFrame + 1}/${videoFrameTotal} · ${(shownVideoFrame / videoExport.fps).toFixed(2)}S`} value={shownVideoFrame} min={0} max={videoFrameTotal - 1} step={1} onChange={setVideoFrame} />
+                  </div>
+                  <Button onClick={() => setVideoFrame(Math.min(videoFrameTotal - 1, shownVideoFrame + 1))} style={{ width: '28px', fontSize: '9px' }}>›</Button>
+                </div>
+                <Slider label={`FRAME RATE ${videoExport.fps} FPS`} value={videoExport.fps} min={1} max={60} step={1} onChange={(v) => setVideoExport({ ...videoExport, fps: v })} />
+                <Button onClick={() => setVideoExport({ ...videoExport, flicker: !videoExport.flicker })} active={videoExport.flicker} style={{ marginBottom: '8px' }}>
+                  {videoExport.flicker ? '● FLICKER' : '○ FLICKER'}
+                </Button>
+                <p style={{ fontSize: '9px', color: '#444', margin: '0 0 16px 0' }}>
+                  New noise and bleed on every frame, like film grain; off, the pattern holds still over the moving image
+                </p>
+              </>
+            )}
+
             {image && (
               <>
                 <Slider label={`SCALE ${Math.round(imageScale * 100)}%`} value={imageScale} min={0.5} max={2} step={0.05} onChange={setImageScale} />
+                <SeedField label="SEED" value={seed} onChange={setSeed} />
                 <Button onClick={randomizeLayers}>↻ RANDOMIZE</Button>
               </>
             )}
@@ -1942,16 +2573,51 @@ export default function DomoDitherTool() {
               label={`CONTRAST ${contrast > 0 ? '+' : ''}${Math.round(contrast * 100)}`} 
               value={contrast} min={-0.5} max={0.5} step={0.01} onChange={setContrast} 
             />
+            
+            <label style={{ display: 'block', color: '#666', fontSize: '10px', marginBottom: '8px', fontFamily: 'monospace' }}>LEVELS</label>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+              <Slider label={`BLACK ${inputLevels.black}`} value={inputLevels.black} min={0} max={254} step={1} onChange={(v) => setInputLevels({ ...inputLevels, black: Math.min(v, inputLevels.white - 1) })} />
+              <Slider label={`WHITE ${inputLevels.white}`} value={inputLevels.white} min={1} max={255} step={1} onChange={(v) => setInputLevels({ ...inputLevels, white: Math.max(v, inputLevels.black + 1) })} />
+            </div>
+            <Slider label={`GAMMA ${inputLevels.gamma.toFixed(2)}`} value={inputLevels.gamma} min={0.2} max={3} step={0.05} onChange={(v) => setInputLevels({ ...inputLevels, gamma: v })} />
+            
+            <label style={{ display: 'block', color: '#666', fontSize: '10px', marginBottom: '8px', fontFamily: 'monospace' }}>CURVE</label>
+            <CurveEditor points={toneCurve} onChange={setToneCurve} histogram={histogram} />
+            
             <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
               <Button onClick={() => setInvert(!invert)} active={invert} style={{ flex: 1 }}>
                 {invert ? '◐ INVERTED' : '◑ INVERT'}
               </Button>
-              <Button onClick={() => { setBrightness(0); setContrast(0); setInvert(false); }} style={{ flex: 1, color: '#666' }}>
+              <Button onClick={() => { setBrightness(0); setContrast(0); setInvert(false); setInputLevels(DEFAULT_STATE.inputLevels); setToneCurve(DEFAULT_STATE.toneCurve); }} style={{ flex: 1, color: '#666' }}>
                 RESET
               </Button>
             </div>
           </Section>
           
+          {/* Pre-filters Section */}
+          <Section title={`PRE-FILTERS${preFilters.length ? ` ${preFilters.filter(f => f.enabled).length}/${preFilters.length}` : ''}`} defaultOpen={false}>
+            {preFilters.map((filter, i) => (
+              <PreFilterPanel
+                key={filter.id}
+                filter={filter}
+                index={i}
+                total={preFilters.length}
+                onUpdate={(f) => updatePreFilter(i, f)}
+                onRemove={() => setPreFilters(preFilters.filter((_, j) => j !== i))}
+                onMoveUp={() => movePreFilter(i, -1)}
+                onMoveDown={() => movePreFilter(i, 1)}
+              />
+            ))}
+            <select 
+              value="" 
+              onChange={(e) => e.target.value && addPreFilter(e.target.value)} 
+              style={{ width: '100%', padding: '10px', backgroundColor: '#000', border: '1px solid #333', color: '#fff', fontSize: '10px', fontFamily: 'monospace', cursor: 'pointer' }}
+            >
+              <option value="">+ ADD FILTER</option>
+              {Object.entries(PRE_FILTERS).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+            </select>
+          </Section>
+          
           {/* Analog Effects Section */}
           <Section title="ANALOG EFFECTS" defaultOpen={false}>
             <div style={{ marginBottom: '16px' }}>
@@ -1982,7 +2648,7 @@ export default function DomoDitherTool() {
           
           {/* Gradient Map Section */}
           <Section title="GRADIENT MAP" defaultOpen={false}>
-            <Button onClick={() => setGradientEnabled(!gradientEnabled)} active={gradientEnabled} style={{ marginBottom: '16px' }}>
+            <Button onClick={toggleGradientMode} active={gradientEnabled} style={{ marginBottom: '16px' }}>
               {gradientEnabled ? 'ENABLED' : 'DISABLED'}
             </Button>
             
@@ -2035,9 +2701,11 @@ export default function DomoDitherTool() {
                   {gradientDitherType !== 'none' && (
                     <>
                       <Slider label={`DENSITY ${Math.round(gradientDitherThreshold * 100)}%`} value={gradientDitherThreshold} min={0} max={1} step={0.01} onChange={setGradientDitherThreshold} />
-                      {gradientAlgoInfo?.hasScale && (
+                      {gradientAlgoInfo?.hasScale && (screenStep && gradientAlgoInfo.category === 'halftone' ? (
+                        <label style={{ display: 'block', color: '#666', fontSize: '10px', marginBottom: '16px', fontFamily: 'monospace' }}>SIZE {screenLpi} LPI (PRINT SCREEN)</label>
+                      ) : (
                         <Slider label={`SIZE ${gradientDitherScale}px`} value={gradientDitherScale} min={2} max={32} step={1} onChange={setGradientDitherScale} />
-                      )}
+                      ))}
                       {gradientAlgoInfo?.hasAngle && (
                         <Slider label={`ANGLE ${gradientDitherAngle}°`} value={gradientDitherAngle} min={0} max={180} step={5} onChange={setGradientDitherAngle} />
                       )}
@@ -2048,9 +2716,58 @@ export default function DomoDitherTool() {
             )}
           </Section>
           
+          {/* Palette Dither Section */}
+          <Section title="PALETTE DITHER" defaultOpen={false}>
+            <Button onClick={togglePaletteMode} active={paletteEnabled} style={{ marginBottom: '16px' }}>
+              {paletteEnabled ? 'ENABLED' : 'DISABLED'}
+            </Button>
+            
+            {paletteEnabled && (
+              <>
+                <label style={{ display: 'block', color: '#666', fontSize: '10px', marginBottom: '8px', fontFamily: 'monospace' }}>
+                  INKS ({paletteColors.length}/{ALL_COLOR_KEYS.length})
+                </label>
+                <div style={{ display: 'flex', gap: '3px', marginBottom: '16px' }}>
+                  {ALL_COLOR_KEYS.map(key => (
+                    <ColorSwatch
+                      key={key}
+                      colorKey={key}
+                      color={DOMO_PALETTE[key]}
+                      selected={paletteColors.includes(key)}
+                      onClick={() => togglePaletteColor(key)}
+                    />
+                  ))}
+                </div>
+                
+                <AlgorithmSelect value={paletteDitherType} onChange={setPaletteDitherType} includeNone categories={['ordered', 'diffusion']} />
+                
+                <Slider label={`SIZE ${paletteDitherScale}px`} value={paletteDitherScale} min={1} max={16} step={1} onChange={setPaletteDitherScale} />
+                
+                {paletteDitherType !== 'none' && (
+                  <Slider 
+                    label={`${paletteAlgoInfo?.category === 'diffusion' ? 'ERROR' : 'SPREAD'} ${Math.round(paletteDitherStrength * 100)}%`} 
+                    value={paletteDitherStrength} min={0} max={1} step={0.05} onChange={setPaletteDitherStrength} 
+                  />
+                )}
+                
+                {paletteAlgoInfo?.category === 'diffusion' && (
+                  <Button onClick={() => setPaletteSerpentine(!paletteSerpentine)} active={paletteSerpentine}>
+                    {paletteSerpentine ? '● SERPENTINE SCAN' : '○ SERPENTINE SCAN'}
+                  </Button>
+                )}
+              </>
+            )}
+          </Section>
+          
           {/* Layers Section */}
-          {!gradientEnabled && (
+          {!gradientEnabled && !paletteEnabled && (
             <Section title={`LAYERS ${layers.length}/4`}>
+              <Button onClick={() => setAutoSeparation(!autoSeparation)} active={autoSeparation} style={{ marginBottom: '8px' }}>
+                {autoSeparation ? '● AUTO SEPARATION ON' : '○ AUTO SEPARATION'}
+              </Button>
+              <p style={{ fontSize: '9px', color: '#444', margin: '0 0 12px 0' }}>
+                Splits the photo into one plate per layer ink, solved against the background as paper
+              </p>
               {layers.map((layer, i) => (
                 <LayerPanel
                   key={layer.id}
@@ -2063,6 +2780,12 @@ export default function DomoDitherTool() {
                   onMoveUp={() => moveLayerUp(i)}
                   onMoveDown={() => moveLayerDown(i)}
                   canRemove={layers.length > 1}
+                  separated={autoSeparation}
+                  painting={paintingLayer?.id === layer.id}
+                  onTogglePaint={() => setPaintingLayerId(paintingLayerId === layer.id ? null : layer.id)}
+                  brush={brush}
+                  onBrushChange={setBrush}
+                  units={layerUnits}
                 />
               ))}
               {layers.length < 4 && (
@@ -2071,6 +2794,88 @@ export default function DomoDitherTool() {
             </Section>
           )}
           
+          {/* Animation Section */}
+          <Section title={`ANIMATION${animation.enabled ? ` ${animation.frames}F` : ''}`} defaultOpen={false}>
+            <Button onClick={() => { setAnimation({ ...animation, enabled: !animation.enabled }); setAnimationPlaying(false); }} active={animation.enabled} style={{ marginBottom: '16px' }}>
+              {animation.enabled ? '● ANIMATE' : '○ ANIMATE'}
+            </Button>
+
+            {animation.enabled && (
+              <>
+                <Slider label={`FRAMES ${animation.frames}`} value={animation.frames} min={2} max={120} step={1} onChange={(v) => setAnimation({ ...animation, frames: v })} />
+                <Slider label={`FRAME RATE ${animation.fps} FPS`} value={animation.fps} min={1} max={30} step={1} onChange={(v) => setAnimation({ ...animation, fps: v })} />
+                <div style={{ display: 'flex', gap: '4px', alignItems: 'flex-start' }}>
+                  <Button onClick={() => setAnimationPlaying(!animationPlaying)} active={animationPlaying} style={{ width: '56px', fontSize: '9px' }}>
+                    {animationPlaying ? 'STOP' : 'PLAY'}
+                  </Button>
+                  <div style={{ flex: 1 }}>
+                    <Slider label={`FRAME ${currentFrame + 1}/${animation.frames}`} value={currentFrame} min={0} max={animation.frames - 1} step={1} onChange={(v) => { setAnimationPlaying(false); setAnimationFrame(v); }} />
+                  </div>
+                </div>
+
+                {animation.tracks.map(track => {
+                  const spec = ANIMATION_PARAMS[track.param];
+                  const layerIndex = layers.findIndex(l => l.id === track.layerId);
+                  if (spec.layer && (layerIndex === -1 || gradientEnabled || paletteEnabled)) return null;
+                  const base = spec.layer ? layers[layerIndex][track.param] : { seed, inkBleedAmount }[track.param];
+                  return (
+                    <AnimationTrackPanel
+                      key={track.id}
+                      track={track}
+                      label={spec.layer ? `LAYER ${layerIndex + 1} ${spec.label}` : spec.label}
+                      base={base}
+                      frame={currentFrame}
+                      frames={animation.frames}
+                      onUpdate={updateAnimationTrack}
+                      onRemove={() => setAnimation({ ...animation, tracks: animation.tracks.filter(t => t.id !== track.id) })}
+                    />
+                  );
+                })}
+                <select
+                  value=""
+                  onChange={(e) => e.target.value && addAnimationTrack(e.target.value)}
+                  style={{ width: '100%', padding: '10px', backgroundColor: '#000', border: '1px solid #333', color: '#fff', fontSize: '10px', fontFamily: 'monospace', cursor: 'pointer', marginBottom: '16px' }}
+                >
+                  <option value="">+ ADD TRACK</option>
+                  {!gradientEnabled && !paletteEnabled && layers.map((layer, i) => (
+                    <optgroup key={layer.id} label={`LAYER ${i + 1}`}>
+                      {Object.entries(ANIMATION_PARAMS).filter(([, spec]) => spec.layer).map(([param, spec]) => (
+                        <option key={param} value={`${param}:${layer.id}`}>{spec.label}</option>
+                      ))}
+                    </optgroup>
+                  ))}
+                  <optgroup label="GLOBAL">
+                    {Object.entries(ANIMATION_PARAMS).filter(([, spec]) => !spec.layer).map(([param, spec]) => (
+                      <option key={param} value={param}>{spec.label}</option>
+                    ))}
+                  </optgroup>
+                </select>
+
+                <div style={{ display: 'flex', gap: '4px', marginBottom: '8px' }}>
+                  {Object.entries(ANIMATION_FORMATS).map(([key, { label }]) => (
+                    <Button key={key} onClick={() => setAnimation({ ...animation, format: key })} active={animation.format === key} style={{ flex: 1, fontSize: '8px' }}>
+                      {label}
+                    </Button>
+                  ))}
+                  <Button onClick={() => setAnimation({ ...animation, loop: !animation.loop })} active={animation.loop} style={{ flex: 1, fontSize: '8px' }}>
+                    LOOP
+                  </Button>
+                </div>
+                <p style={{ fontSize: '9px', color: '#444', margin: '0 0 16px 0' }}>
+                  {animation.format === 'gif' && 'Palette of the paper and the active inks and their mixes'}
+                  {animation.format === 'apng' && 'Full colour animated PNG'}
+                  {animation.format === 'webm' && 'VP8 video; looping is up to the player'}
+                </p>
+
+                {image && exportProgress === null && (
+                  <Button primary onClick={() => exportImage(animation.format)}>
+                    EXPORT {ANIMATION_FORMATS[animation.format].label}
+                  </Button>
+                )}
+              </>
+            )}
+          </Section>
+
           {/* Output Section */}
           <Section title="OUTPUT">
             <ColorPicker 
@@ -2080,18 +2885,162 @@ export default function DomoDitherTool() {
               showAll 
             />
             
-            <label style={{ display: 'block', color: '#666', fontSize: '10px', marginBottom: '8px', fontFamily: 'monospace' }}>RESOLUTION</label>
+            <Button onClick={() => setPrint({ ...print, enabled: !print.enabled })} active={print.enabled} style={{ marginBottom: '16px' }}>
+              {print.enabled ? '● PRINT SIZE' : '○ PRINT SIZE'}
+            </Button>
+            
+            {print.enabled ? (
+              <>
+                <label style={{ display: 'block', color: '#666', fontSize: '10px', marginBottom: '8px', fontFamily: 'monospace' }}>PAGE</label>
+                <div style={{ display: 'flex', gap: '4px', marginBottom: '8px' }}>
+                  {Object.entries(PRINT_SIZES).map(([key, { label, width, height }]) => (
+                    <Button key={key} onClick={() => setPrint({ ...print, size: key, width, height })} active={print.size === key} style={{ flex: 1, fontSize: '8px', padding: '6px 0' }}>
+                      {label}
+                    </Button>
+                  ))}
+                </div>
+                <div style={{ display: 'flex', gap: '4px', alignItems: 'center', marginBottom: '16px' }}>
+                  <LengthInput value={print.width / LENGTH_UNITS[print.unit]} unit={print.unit} onChange={(v) => setPrint({ ...print, size: 'custom', width: v * LENGTH_UNITS[print.unit] })} />
+                  <span style={{ color: '#444', fontSize: '10px' }}>×</span>
+                  <LengthInput value={print.height / LENGTH_UNITS[print.unit]} unit={print.unit} onChange={(v) => setPrint({ ...print, size: 'custom', height: v * LENGTH_UNITS[print.unit] })} />
+                  {Object.keys(LENGTH_UNITS).map(unit => (
+                    <Button key={unit} onClick={() => setPrint({ ...print, unit })} active={print.unit === unit} style={{ width: '36px', fontSize: '8px', padding: '6px 0' }}>
+                      {unit.toUpperCase()}
+                    </Button>
+                  ))}
+                </div>
+                <Slider label={`RESOLUTION ${print.dpi} DPI`} value={print.dpi} min={75} max={1200} step={25} onChange={(v) => setPrint({ ...print, dpi: v, lpi: Math.min(print.lpi, maxScreenLpi(v)) })} />
+                <Slider label={`SCREEN ${screenLpi > 0 ? `${screenLpi} LPI` : 'OFF (LAYER SIZES)'}`} value={screenLpi} min={0} max={Math.min(200, maxScreenLpi(print.dpi))} step={5} onChange={(v) => setPrint({ ...print, lpi: v })} />
+                <p style={{ fontSize: '9px', color: '#444', margin: '0 0 16px 0' }}>
+                  Up to {Math.min(200, maxScreenLpi(print.dpi))} LPI at {print.dpi} DPI: a halftone cell needs at least {MIN_HALFTONE_STEP} pixels
+                </p>
+                {printLayout && (
+                  <p style={{ fontSize: '9px', color: '#444', margin: '0 0 16px 0' }}>
+                    {printLayout.width} × {printLayout.height}px, image {+(image.width * printLayout.mmPerPixel / LENGTH_UNITS[print.unit]).toFixed(1)} × {+(image.height * printLayout.mmPerPixel / LENGTH_UNITS[print.unit]).toFixed(1)}{print.unit}
+                  </p>
+                )}
+              </>
+            ) : (
+              <>
+                <label style={{ display: 'block', color: '#666', fontSize: '10px', marginBottom: '8px', fontFamily: 'monospace' }}>RESOLUTION</label>
+                <div style={{ display: 'flex', gap: '4px', marginBottom: '16px' }}>
+                  {Object.entries(EXPORT_RESOLUTIONS).map(([key, { label }]) => (
+                    <Button key={key} onClick={() => setExportResolution(key)} active={exportResolution === key} style={{ flex: 1, fontSize: '8px' }}>
+                      {label}
+                    </Button>
+                  ))}
+                </div>
+              </>
+            )}
+            
+            <Button onClick={() => setLegacyPixels(!legacyPixels)} active={legacyPixels} style={{ marginBottom: '8px' }}>
+              {legacyPixels ? '● LEGACY PIXEL SIZES' : '○ LEGACY PIXEL SIZES'}
+            </Button>
+            <p style={{ fontSize: '9px', color: '#444', margin: '0 0 16px 0' }}>
+              {legacyPixels
+                ? 'Sizes and offsets are full-resolution pixels, as in presets saved before relative sizing'
+                : `Sizes and offsets are pixels at ${REFERENCE_WIDTH}px wide, so preview and export match`}
+            </p>
+            
+            <label style={{ display: 'block', color: '#666', fontSize: '10px', marginBottom: '8px', fontFamily: 'monospace' }}>FORMAT</label>
             <div style={{ display: 'flex', gap: '4px', marginBottom: '16px' }}>
-              {Object.entries(EXPORT_RESOLUTIONS).map(([key, { label }]) => (
-                <Button key={key} onClick={() => setExportResolution(key)} active={exportResolution === key} style={{ flex: 1, fontSize: '8px' }}>
+              {Object.entries(OUTPUT_FORMATS).map(([key, { label }]) => (
+                <Button key={key} onClick={() => setOutput({ ...output, format: key })} active={output.format === key} style={{ flex: 1, fontSize: '8px' }}>
                   {label}
                 </Button>
               ))}
             </div>
+            {OUTPUT_FORMATS[output.format].quality && (
+              <Slider label={`QUALITY ${Math.round(output.quality * 100)}%`} value={output.quality} min={0.5} max={1} step={0.01} onChange={(v) => setOutput({ ...output, quality: v })} />
+            )}
+            {output.format === 'tiff' && (
+              <div style={{ display: 'flex', gap: '4px', marginBottom: '16px' }}>
+                {[[1, '1-BIT'], [8, '8-BIT RGB']].map(([bits, label]) => (
+                  <Button key={bits} onClick={() => setOutput({ ...output, tiffBits: bits })} active={output.tiffBits === bits} style={{ flex: 1, fontSize: '8px' }}>
+                    {label}
+                  </Button>
+                ))}
+              </div>
+            )}
+            {outputAlpha ? (
+              <>
+                <Button onClick={() => setOutput({ ...output, transparentPaper: !output.transparentPaper })} active={output.transparentPaper} style={{ marginBottom: '8px' }}>
+                  {output.transparentPaper ? '● TRANSPARENT PAPER' : '○ TRANSPARENT PAPER'}
+                </Button>
+                <p style={{ fontSize: '9px', color: '#444', margin: '0 0 16px 0' }}>
+                  Leaves out the background so ink coverage becomes alpha, for overlaying on other designs
+                </p>
+              </>
+            ) : (
+              <p style={{ fontSize: '9px', color: '#444', margin: '0 0 16px 0' }}>
+                {output.format === 'jpeg' ? 'JPEG has no transparency; the background is always printed' : 'Black where the ink goes, for film and platemaking'}
+              </p>
+            )}
             
-            {image && (
-              <Button primary onClick={exportPNG}>EXPORT PNG</Button>
+            {!gradientEnabled && !paletteEnabled && (
+              <>
+                <label style={{ display: 'block', color: '#666', fontSize: '10px', marginBottom: '8px', fontFamily: 'monospace' }}>SEPARATIONS</label>
+                <div style={{ display: 'flex', gap: '4px', marginBottom: '16px' }}>
+                  {[[1, '1-BIT'], [8, 'GRAY']].map(([bits, label]) => (
+                    <Button key={bits} onClick={() => setSeparations({ ...separations, bits })} active={separations.bits === bits} style={{ flex: 1, fontSize: '8px' }}>
+                      {label}
+                    </Button>
+                  ))}
+                  {['zip', 'pdf'].map(packaging => (
+                    <Button key={packaging} onClick={() => setSeparations({ ...separations, packaging })} active={separations.packaging === packaging} style={{ flex: 1, fontSize: '8px' }}>
+                      {packaging.toUpperCase()}
+                    </Button>
+                  ))}
+                </div>
+                {layerUnits ? (
+                  <Slider 
+                    label={`${trapLabel} ${+(Math.abs(separations.trap) * layerUnits.perPixel).toFixed(layerUnits.unit === 'mm' ? 2 : 3)}${layerUnits.unit}`} 
+                    value={separations.trap * layerUnits.perPixel} 
+                    min={-4 * layerUnits.perPixel} 
+                    max={4 * layerUnits.perPixel} 
+                    step="any" 
+                    onChange={(v) => setSeparations({ ...separations, trap: Math.round(v / layerUnits.perPixel * 100) / 100 })} 
+                  />
+                ) : (
+                  <Slider label={`${trapLabel} ${Math.abs(separations.trap)}px`} value={separations.trap} min={-4} max={4} step={0.5} onChange={(v) => setSeparations({ ...separations, trap: v })} />
+                )}
+                <p style={{ fontSize: '9px', color: '#444', margin: '0 0 16px 0' }}>
+                  One film plate per visible layer, without offsets, with crop and registration marks
+                </p>
+              </>
             )}
+            
+            {image && (exportProgress === null ? (
+              <div>
+                <div style={{ display: 'flex', gap: '4px' }}>
+                  <Button primary onClick={() => exportImage(output.format)} style={{ flex: 1 }}>EXPORT {OUTPUT_FORMATS[output.format].label}</Button>
+                  <Button onClick={() => exportImage('svg')} style={{ flex: 1 }}>SVG</Button>
+                  <Button onClick={() => exportImage('psd')} style={{ flex: 1 }}>PSD</Button>
+                </div>
+                {!gradientEnabled && !paletteEnabled && (
+                  <div style={{ display: 'flex', gap: '4px', marginTop: '4px' }}>
+                    <Button onClick={() => exportImage('pdf')} style={{ flex: 1 }}>SPOT PDF</Button>
+                    <Button onClick={() => exportImage('separations')} style={{ flex: 1 }}>SEPARATIONS</Button>
+                  </div>
+                )}
+                {video && (
+                  <div style={{ display: 'flex', gap: '4px', marginTop: '4px' }}>
+                    <Button onClick={() => exportVideo('webm')} style={{ flex: 1 }}>VIDEO WEBM</Button>
+                    <Button onClick={() => exportVideo('frames')} style={{ flex: 1 }}>PNG FRAMES</Button>
+                  </div>
+                )}
+              </div>
+            ) : (
+              <div>
+                <div style={{ display: 'flex', justifyContent: 'space-between', color: '#666', fontSize: '10px', fontFamily: 'monospace', marginBottom: '8px' }}>
+                  <span>EXPORTING {Math.round(exportProgress * 100)}%</span>
+                  <span onClick={cancelExport} style={{ color: '#fff', cursor: 'pointer' }}>CANCEL</span>
+                </div>
+                <div style={{ height: '2px', backgroundColor: '#222' }}>
+                  <div style={{ width: `${exportProgress * 100}%`, height: '100%', backgroundColor: '#fff', transition: 'width 0.2s' }} />
+                </div>
+              </div>
+            ))}
           </Section>
         </div>
         
@@ -2107,7 +3056,7 @@ export default function DomoDitherTool() {
             backgroundColor: '#111', 
             overflow: 'hidden',
             position: 'relative',
-            cursor: isPanning ? 'grabbing' : (image && !showComparison ? 'grab' : 'default')
+            cursor: paintingLayer ? 'crosshair' : isPanning ? 'grabbing' : (image && !showComparison ? 'grab' : 'default')
           }}
           onWheel={handleWheel}
           onMouseDown={handleMouseDown}
@@ -2171,6 +3120,13 @@ export default function DomoDitherTool() {
             </div>
           )}
           
+          {/* Render progress */}
+          {image && previewProgress !== null && (
+            <div style={{ position: 'absolute', top: 0, left: 0, right: 0, height: '2px', pointerEvents: 'none', zIndex: 10 }}>
+              <div style={{ width: `${previewProgress * 100}%`, height: '100%', backgroundColor: '#444', transition: 'width 0.1s' }} />
+            </div>
+          )}
+          
           {/* Help text */}
           {image && !showComparison && (
             <div style={{ 
@@ -2183,7 +3139,7 @@ export default function DomoDitherTool() {
               fontFamily: 'monospace',
               pointerEvents: 'none'
             }}>
-              Scroll to zoom • Drag to pan
+              {paintingLayer ? 'Drag to paint the layer mask' : 'Scroll to zoom • Drag to pan'}
             </div>
           )}
           
@@ -2218,11 +3174,28 @@ export default function DomoDitherTool() {
                 ref={canvasRef} 
                 style={{ 
                   border: '1px solid #333',
+                  // Checkerboard behind transparent paper (and in front of the original when comparing)
+                  background: transparentPaper ? 'repeating-conic-gradient(#ddd 0% 25%, #fff 0% 50%) 0 0 / 16px 16px' : 'none',
                   imageRendering: zoom > 1 ? 'pixelated' : 'auto',
                   clipPath: showComparison ? `inset(0 0 0 ${comparisonPosition * 100}%)` : 'none'
                 }} 
               />
               
+              {/* Painted mask overlay (hidden areas tinted red) */}
+              {paintingLayer && !showComparison && (
+                <canvas 
+                  ref={maskOverlayRef} 
+                  style={{ 
+                    position: 'absolute',
+                    top: '1px',
+                    left: '1px',
+                    width: 'calc(100% - 2px)',
+                    height: 'calc(100% - 2px)',
+                    pointerEvents: 'none'
+                  }} 
+                />
+              )}
+              
               {/* Comparison slider */}
               {showComparison && (
                 <ComparisonSlider 
@@ -2243,6 +3216,15 @@ export default function DomoDitherTool() {
             onCancel={() => setShowSaveModal(false)} 
           />
         )}
+        
+        {droppedRecipe && (
+          <RecipeModal
+            recipe={droppedRecipe.recipe}
+            onRestore={() => { restoreRecipe(droppedRecipe.recipe); setDroppedRecipe(null); }}
+            onOpen={() => { openImageFile(droppedRecipe.file); setDroppedRecipe(null); }}
+            onCancel={() => setDroppedRecipe(null)}
+          />
+        )}
       </div>
     </DropZone>
   );
@@ -0,0 +1,81 @@
+// Parameter animation: tracks that keyframe or oscillate one numeric setting over the
+// frames of an animated export. Pure functions on settings snapshots, shared by the UI
+// (preview of a frame) and the render worker (every frame of an export).
+//
+// A track is { id, param, layerId, mode, keys, amplitude, cycles }: param names an entry
+// of ANIMATION_PARAMS (layer params also name the layer by id), mode 'keys' interpolates
+// linearly between keys [{ frame, value }], mode 'oscillate' swings the setting's own
+// value by ±amplitude, cycles times per loop.
+import { deriveSeed } from './render';
+
+export const ANIMATION_PARAMS = {
+  angle: { label: 'ANGLE', layer: true, min: 0, max: 180, step: 1, unit: '°' },
+  offsetX: { label: 'OFFSET X', layer: true, min: -50, max: 50, step: 0.5, unit: 'px', pixels: true },
+  offsetY: { label: 'OFFSET Y', layer: true, min: -50, max: 50, step: 0.5, unit: 'px', pixels: true },
+  threshold: { label: 'DENSITY', layer: true, min: 0, max: 1, step: 0.01, clamp: true },
+  seed: { label: 'SEED', min: 0, max: 999999, step: 1, integer: true },
+  inkBleedAmount: { label: 'INK BLEED', min: 0, max: 1, step: 0.01, clamp: true }
+};
+
+// Value of a track at a frame, given the setting's own value. Fractions (clamp) stay in
+// their range; angles, offsets and seeds may swing past it.
+export function trackValue(track, base, frame, frames) {
+  const spec = ANIMATION_PARAMS[track.param];
+  let value = base;
+
+  if (track.mode === 'oscillate') {
+    value = base + track.amplitude * Math.sin(2 * Math.PI * track.cycles * frame / frames);
+  } else if (track.keys.length > 0) {
+    const keys = [...track.keys].sort((a, b) => a.frame - b.frame);
+    const next = keys.findIndex(key => key.frame >= frame);
+    if (next === -1) {
+      value = keys[keys.length - 1].value;
+    } else if (next === 0 || keys[next].frame === frame) {
+      value = keys[next].value;
+    } else {
+      const a = keys[next - 1], b = keys[next];
+      value = a.value + (b.value - a.value) * (frame - a.frame) / (b.frame - a.frame);
+    }
+  }
+  if (spec?.clamp) value = Math.min(spec.max, Math.max(spec.min, value));
+  return spec?.integer ? Math.round(value) : value;
+}
+
+// Settings at one frame. Tracks of deleted layers are skipped.
+export function animateSettings(settings, animation, frame) {
+  if (!animation?.enabled || animation.tracks.length === 0) return settings;
+  const result = { ...settings };
+
+  for (const track of animation.tracks) {
+    const spec = ANIMATION_PARAMS[track.param];
+    if (!spec) continue;
+    if (spec.layer) {
+      result.layers = result.layers.map(layer => layer.id === track.layerId
+        ? { ...layer, [track.param]: trackValue(track, layer[track.param], frame, animation.frames) }
+        : layer);
+    } else {
+      result[track.param] = trackValue(track, result[track.param], frame, animation.frames);
+    }
+  }
+  return result;
+}
+
+// Animation with pixel-measured values multiplied by factor, to go with scaleSettings
+export function scaleAnimation(animation, factor) {
+  return {
+    ...animation,
+    tracks: animation.tracks.map(track => ANIMATION_PARAMS[track.param]?.pixels
+      ? { ...track, amplitude: track.amplitude * factor, keys: track.keys.map(key => ({ ...key, value: key.value * factor })) }
+      : track)
+  };
+}
+
+// Settings with the global seed and per-layer seeds moved on to a frame, for sequences
+// that should flicker like film grain; with the same seeds noise and bleed hold still
+export function reseedSettings(settings, frame) {
+  return {
+    ...settings,
+    seed: deriveSeed(settings.seed, frame),
+    layers: settings.layers.map(layer => layer.seed == null ? layer : { ...layer, seed: deriveSeed(layer.seed, frame) })
+  };
+}
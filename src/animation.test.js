@@ -0,0 +1,95 @@
+/**
+ * @jest-environment node
+ */
+import { animateSettings, reseedSettings, scaleAnimation, trackValue } from './animation';
+
+const keys = (param, ...pairs) => ({ id: 1, param, layerId: 1, mode: 'keys', keys: pairs.map(([frame, value]) => ({ frame, value })), amplitude: 0, cycles: 1 });
+
+describe('trackValue', () => {
+  test('keyframes are hit exactly and interpolated linearly between', () => {
+    // Keys out of order, as the editor may leave them
+    const track = keys('angle', [10, 90], [0, 0], [20, 45]);
+    expect(trackValue(track, 30, 0, 24)).toBe(0);
+    expect(trackValue(track, 30, 10, 24)).toBe(90);
+    expect(trackValue(track, 30, 20, 24)).toBe(45);
+    expect(trackValue(track, 30, 5, 24)).toBe(45);
+    expect(trackValue(track, 30, 15, 24)).toBe(67.5);
+  });
+
+  test('the first and last keys hold outside their frames', () => {
+    const track = keys('offsetX', [4, -10], [8, 10]);
+    expect(trackValue(track, 0, 0, 12)).toBe(-10);
+    expect(trackValue(track, 0, 11, 12)).toBe(10);
+  });
+
+  test('a track without keys keeps the base value', () => {
+    expect(trackValue(keys('angle'), 30, 3, 12)).toBe(30);
+  });
+
+  test('fractions are clamped to their range and seeds rounded', () => {
+    expect(trackValue(keys('threshold', [0, 0.5], [10, 1.5]), 0.5, 10, 12)).toBe(1);
+    expect(trackValue(keys('seed', [0, 1], [4, 2]), 0, 1, 12)).toBe(1);
+    expect(trackValue(keys('seed', [0, 1], [4, 2]), 0, 3, 12)).toBe(2);
+  });
+
+  test('oscillation swings around the base value and closes the loop', () => {
+    const track = { id: 1, param: 'angle', layerId: 1, mode: 'oscillate', keys: [], amplitude: 10, cycles: 2 };
+    expect(trackValue(track, 45, 0, 16)).toBe(45);
+    expect(trackValue(track, 45, 2, 16)).toBeCloseTo(55);
+    expect(trackValue(track, 45, 6, 16)).toBeCloseTo(35);
+    expect(trackValue(track, 45, 16, 16)).toBeCloseTo(45);
+  });
+});
+
+describe('animateSettings', () => {
+  const settings = {
+    seed: 7,
+    inkBleedAmount: 0.2,
+    layers: [{ id: 1, angle: 15, threshold: 0.5 }, { id: 2, angle: 75, threshold: 0.5 }]
+  };
+
+  test('layer tracks change only their layer and global tracks the settings', () => {
+    const animation = {
+      enabled: true,
+      frames: 12,
+      tracks: [
+        { ...keys('angle', [0, 0], [6, 60]), layerId: 2 },
+        keys('inkBleedAmount', [0, 0], [12, 0.6]),
+        { ...keys('angle', [0, 0], [6, 60]), layerId: 99 }
+      ]
+    };
+    const frame = animateSettings(settings, animation, 3);
+    expect(frame.layers).toEqual([{ id: 1, angle: 15, threshold: 0.5 }, { id: 2, angle: 30, threshold: 0.5 }]);
+    expect(frame.inkBleedAmount).toBeCloseTo(0.15);
+    expect(frame.seed).toBe(7);
+    expect(settings.layers[1].angle).toBe(75);
+  });
+
+  test('a disabled or empty animation leaves the settings as they are', () => {
+    const tracks = [keys('angle', [0, 0], [6, 60])];
+    expect(animateSettings(settings, { enabled: false, frames: 12, tracks }, 3)).toBe(settings);
+    expect(animateSettings(settings, { enabled: true, frames: 12, tracks: [] }, 3)).toBe(settings);
+  });
+
+  test('scaleAnimation scales offsets but not angles', () => {
+    const animation = { enabled: true, frames: 12, tracks: [{ ...keys('offsetX', [0, 4]), amplitude: 2 }, keys('angle', [0, 4])] };
+    const [offset, angle] = scaleAnimation(animation, 3).tracks;
+    expect(offset.keys[0].value).toBe(12);
+    expect(offset.amplitude).toBe(6);
+    expect(angle.keys[0].value).toBe(4);
+  });
+});
+
+describe('reseedSettings', () => {
+  test('each frame moves the global and own layer seeds on, the same way every time', () => {
+    const settings = { seed: 7, layers: [{ id: 1, seed: null }, { id: 2, seed: 12 }] };
+    const first = reseedSettings(settings, 1);
+    expect(reseedSettings(settings, 1)).toEqual(first);
+    expect(first.seed).not.toBe(7);
+    expect(first.layers[0].seed).toBeNull();
+    expect(first.layers[1].seed).not.toBe(12);
+    const second = reseedSettings(settings, 2);
+    expect(second.seed).not.toBe(first.seed);
+    expect(second.layers[1].seed).not.toBe(first.layers[1].seed);
+  });
+});
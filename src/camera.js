@@ -0,0 +1,47 @@
+// Live camera input for workshops and installations: a getUserMedia stream playing in a
+// hidden <video> element. Live frames are grabbed small so the preview keeps up with the
+// camera; a snapshot grabs the camera's full resolution as a still source image.
+
+// Width of live frames, which the preview re-renders one after another
+export const CAMERA_LIVE_WIDTH = 640;
+
+// { stream, element } of the front camera, playing. Rejects when there is no camera or
+// access is denied.
+export async function openCamera() {
+  if (!navigator.mediaDevices?.getUserMedia) throw new Error('This browser has no camera access');
+  const stream = await navigator.mediaDevices.getUserMedia({
+    video: { width: { ideal: 1280 }, height: { ideal: 720 }, facingMode: 'user' },
+    audio: false
+  });
+  const element = document.createElement('video');
+  element.muted = true;
+  element.playsInline = true;
+  element.srcObject = stream;
+  try {
+    await element.play();
+  } catch (error) {
+    closeCamera({ stream, element });
+    throw error;
+  }
+  return { stream, element };
+}
+
+export function closeCamera({ stream, element }) {
+  stream.getTracks().forEach(track => track.stop());
+  element.srcObject = null;
+}
+
+// Canvas of the frame on show, at most width wide, mirrored like a looking glass if asked
+export function captureCameraFrame(element, { width = element.videoWidth, mirror = false } = {}) {
+  const scale = Math.min(1, width / element.videoWidth);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(element.videoWidth * scale);
+  canvas.height = Math.round(element.videoHeight * scale);
+  const ctx = canvas.getContext('2d');
+  if (mirror) {
+    ctx.translate(canvas.width, 0);
+    ctx.scale(-1, 1);
+  }
+  ctx.drawImage(element, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
@@ -0,0 +1,129 @@
+// Animated GIF encoder. Frames are RGBA ImageData mapped to the nearest color of a fixed
+// palette (see inkPalette in render.js) and LZW-compressed as they are added.
+
+// Nearest palette index of every pixel, memoized per color since dithered art repeats few
+function indexPixels(imageData, palette, memo) {
+  const { data } = imageData;
+  const indices = new Uint8Array(imageData.width * imageData.height);
+  for (let i = 0; i < indices.length; i++) {
+    const r = data[i * 4], g = data[i * 4 + 1], b = data[i * 4 + 2];
+    const key = (r << 16) | (g << 8) | b;
+    let index = memo.get(key);
+    if (index === undefined) {
+      let best = Infinity;
+      palette.forEach(([pr, pg, pb], p) => {
+        const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+        if (distance < best) {
+          best = distance;
+          index = p;
+        }
+      });
+      memo.set(key, index);
+    }
+    indices[i] = index;
+  }
+  return indices;
+}
+
+// Variable-length LZW codes of the indices, packed LSB first and cut into sub-blocks
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  // Dictionary as a trie: child code of (code, index), valid when its stamp is current,
+  // so a reset doesn't have to clear the table
+  const child = new Int16Array(4096 * 256);
+  const stamp = new Uint32Array(4096 * 256);
+  let generation = 1;
+  let nextCode = endCode + 1;
+  let codeSize = minCodeSize + 1;
+
+  const out = [];
+  let bits = 0;
+  let bitCount = 0;
+  const emit = (code) => {
+    bits |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      out.push(bits & 255);
+      bits >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const key = prefix * 256 + indices[i];
+    if (stamp[key] === generation) {
+      prefix = child[key];
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      generation++;
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      child[key] = nextCode++;
+      stamp[key] = generation;
+    }
+    prefix = indices[i];
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) out.push(bits & 255);
+
+  const blocks = new Uint8Array(out.length + Math.ceil(out.length / 255) + 1);
+  let n = 0;
+  for (let i = 0; i < out.length; i += 255) {
+    const size = Math.min(255, out.length - i);
+    blocks[n++] = size;
+    for (let j = 0; j < size; j++) blocks[n++] = out[i + j];
+  }
+  blocks[n] = 0; // block terminator
+  return blocks;
+}
+
+// palette is a list of up to 256 [r, g, b]; fps sets the frame delay (GIF counts in
+// hundredths of a second); loop repeats forever, else the animation plays once
+export function createGifEncoder(width, height, { palette, fps = 12, loop = true }) {
+  const tableBits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+  const minCodeSize = Math.max(2, tableBits);
+  const delay = Math.max(2, Math.round(100 / fps));
+  const memo = new Map();
+
+  const table = new Uint8Array(3 << tableBits);
+  palette.forEach((rgb, i) => table.set(rgb, i * 3));
+
+  const screen = new Uint8Array(13);
+  const view = new DataView(screen.buffer);
+  screen.set([71, 73, 70, 56, 57, 97]); // GIF89a
+  view.setUint16(6, width, true);
+  view.setUint16(8, height, true);
+  screen[10] = 0x80 | (7 << 4) | (tableBits - 1); // global color table, 8 bits per primary
+
+  const parts = [screen, table];
+  if (loop) {
+    // NETSCAPE2.0 application extension, loop count 0 (forever)
+    parts.push(new Uint8Array([0x21, 0xFF, 11, 78, 69, 84, 83, 67, 65, 80, 69, 50, 46, 48, 3, 1, 0, 0, 0]));
+  }
+
+  return {
+    async addFrame(imageData) {
+      const control = new Uint8Array([0x21, 0xF9, 4, 0, delay & 255, delay >> 8, 0, 0]);
+      const descriptor = new Uint8Array(10);
+      const descriptorView = new DataView(descriptor.buffer);
+      descriptor[0] = 0x2C;
+      descriptorView.setUint16(5, width, true);
+      descriptorView.setUint16(7, height, true);
+      parts.push(control, descriptor, new Uint8Array([minCodeSize]), lzwEncode(indexPixels(imageData, palette, memo), minCodeSize));
+    },
+
+    async finish() {
+      parts.push(new Uint8Array([0x3B]));
+      return new Blob(parts, { type: 'image/gif' });
+    }
+  };
+}
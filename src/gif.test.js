@@ -0,0 +1,92 @@
+/**
+ * @jest-environment node
+ */
+import { createGifEncoder } from './gif';
+
+// Palette indices of the first frame's image data, LZW-decoded
+async function decodeFirstFrame(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  expect(new TextDecoder().decode(bytes.subarray(0, 6))).toBe('GIF89a');
+  let offset = 13 + (3 << ((bytes[10] & 7) + 1));
+  while (bytes[offset] === 0x21) {
+    offset += 2;
+    while (bytes[offset] > 0) offset += bytes[offset] + 1;
+    offset++;
+  }
+  expect(bytes[offset]).toBe(0x2C);
+  offset += 10;
+  const minCodeSize = bytes[offset++];
+  const data = [];
+  while (bytes[offset] > 0) {
+    data.push(...bytes.subarray(offset + 1, offset + 1 + bytes[offset]));
+    offset += bytes[offset] + 1;
+  }
+
+  const clearCode = 1 << minCodeSize;
+  const indices = [];
+  let table, previous = null, resets = 0;
+  let codeSize = minCodeSize + 1;
+  let bitPos = 0;
+  const read = () => {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bitPos++) code |= ((data[bitPos >> 3] >> (bitPos & 7)) & 1) << i;
+    return code;
+  };
+  const reset = () => {
+    table = Array.from({ length: clearCode + 2 }, (_, i) => [i]);
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  for (;;) {
+    const code = read();
+    if (code === clearCode) {
+      if (table) resets++;
+      reset();
+      continue;
+    }
+    if (code === clearCode + 1) break;
+    let entry;
+    if (code < table.length) entry = table[code];
+    else if (code === table.length && previous) entry = [...previous, previous[0]];
+    else throw new Error(`Bad code ${code}`);
+    indices.push(...entry);
+    if (previous && table.length < 4096) table.push([...previous, entry[0]]);
+    previous = entry;
+    if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+  }
+  return { indices, resets };
+}
+
+test('frames decode to the nearest palette indices', async () => {
+  const palette = [[0, 0, 0], [255, 255, 255], [255, 0, 0]];
+  const image = new ImageData(8, 4);
+  const expected = [];
+  for (let i = 0; i < 32; i++) {
+    const index = (i * 7) % 5 === 0 ? 2 : i % 3 === 0 ? 1 : 0;
+    image.data.set([...palette[index].map(value => Math.max(0, value - 20)), 255], i * 4);
+    expected.push(index);
+  }
+  const encoder = createGifEncoder(8, 4, { palette });
+  await encoder.addFrame(image);
+  const { indices } = await decodeFirstFrame(await encoder.finish());
+  expect(indices).toEqual(expected);
+});
+
+test('a full code table clears and keeps decoding', async () => {
+  const palette = Array.from({ length: 256 }, (_, i) => [i, i, i]);
+  const width = 200, height = 100;
+  const image = new ImageData(width, height);
+  const expected = [];
+  let state = 12345;
+  for (let i = 0; i < width * height; i++) {
+    state = (state * 1103515245 + 12345) >>> 0;
+    const index = state >>> 24;
+    image.data.set([index, index, index, 255], i * 4);
+    expected.push(index);
+  }
+  const encoder = createGifEncoder(width, height, { palette });
+  await encoder.addFrame(image);
+  const { indices, resets } = await decodeFirstFrame(await encoder.finish());
+  expect(resets).toBeGreaterThan(0);
+  expect(indices).toEqual(expected);
+});
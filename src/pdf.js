@@ -0,0 +1,67 @@
+// Minimal PDF writer. Objects are numbered dictionaries, optionally followed by a binary
+// stream, collected as Blob parts with the byte offsets the cross-reference table needs.
+// Dictionary text is written as-is, so names and strings must already be PDF syntax.
+
+const encoder = new TextEncoder();
+
+// zlib stream of bytes (CompressionStream 'deflate'), which is what FlateDecode expects
+export async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// PDF name object of any text, e.g. a colorant: delimiters, spaces and other bytes
+// outside the printable range become #xx escapes
+export const pdfName = (text) => `/${Array.from(encoder.encode(text), (byte) =>
+  byte > 0x20 && byte < 0x7F && !'#%()/<>[]{}'.includes(String.fromCharCode(byte)) ? String.fromCharCode(byte) : `#${byte.toString(16).padStart(2, '0')}`
+).join('')}`;
+
+export function createPdfWriter() {
+  const objects = [];
+
+  const writer = {
+    // Number for an object written later with set(), for objects that refer to each other
+    reserve() {
+      objects.push(null);
+      return objects.length;
+    },
+
+    // entries is the dictionary body without << >>; a stream gets its /Length added
+    set(id, entries, stream = null) {
+      objects[id - 1] = stream
+        ? [`${id} 0 obj\n<< ${entries} /Length ${stream.length} >>\nstream\n`, stream, '\nendstream\nendobj\n']
+        : [`${id} 0 obj\n<< ${entries} >>\nendobj\n`];
+    },
+
+    add(entries, stream = null) {
+      const id = writer.reserve();
+      writer.set(id, entries, stream);
+      return id;
+    },
+
+    finish(rootId) {
+      // Header, then a comment of high bytes that marks the file as binary
+      const parts = [encoder.encode('%PDF-1.4\n'), new Uint8Array([37, 0xE2, 0xE3, 0xCF, 0xD3, 10])];
+      let offset = 15;
+      const offsets = [];
+
+      objects.forEach((object, index) => {
+        if (!object) throw new Error(`PDF object ${index + 1} was reserved but never written`);
+        offsets.push(offset);
+        for (const part of object) {
+          const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+          parts.push(bytes);
+          offset += bytes.length;
+        }
+      });
+
+      const xref = offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+      parts.push(encoder.encode(
+        `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${xref}` +
+        `trailer\n<< /Size ${objects.length + 1} /Root ${rootId} 0 R >>\nstartxref\n${offset}\n%%EOF\n`
+      ));
+      return new Blob(parts, { type: 'application/pdf' });
+    }
+  };
+  return writer;
+}
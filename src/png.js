@@ -0,0 +1,188 @@
+// Streaming PNG encoder. Rows are filtered and deflated as they arrive (through the
+// browser's CompressionStream, whose 'deflate' format is the zlib stream PNG expects)
+// and collected as IDAT chunks in a Blob, so the whole image never sits in memory.
+
+const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// CRC-32 as used by PNG chunks and ZIP entries
+export function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Length, type, data and CRC of one chunk
+export function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+// Filtered scanlines of RGBA bands through one deflate stream. Compressed pieces go to
+// onData as they come out; finish() resolves once the stream is flushed.
+function createScanlineDeflater(width, { gray = false, bitDepth = 8, alpha = false } = {}, onData) {
+  const stream = new CompressionStream('deflate');
+  const writer = stream.writable.getWriter();
+
+  // Drain compressed output concurrently so the stream never stalls on backpressure
+  const draining = (async () => {
+    const reader = stream.readable.getReader();
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      onData(value);
+    }
+  })();
+
+  // Each scanline uses the Up filter (difference to the line above), which suits the
+  // flat areas and repeated rows of dithered art
+  const channels = alpha ? 4 : 3;
+  const lineBytes = gray ? Math.ceil(width * bitDepth / 8) : width * channels;
+  let previous = new Uint8Array(lineBytes);
+
+  return {
+    rows: 0,
+
+    async writeRows(imageData) {
+      const src = imageData.data;
+      for (let y = 0; y < imageData.height; y++) {
+        const line = new Uint8Array(lineBytes);
+        for (let x = 0; x < width; x++) {
+          const i = (y * width + x) * 4;
+          if (!gray) {
+            for (let c = 0; c < channels; c++) line[x * channels + c] = src[i + c];
+          } else if (bitDepth === 1) {
+            if (src[i] >= 128) line[x >> 3] |= 0x80 >> (x & 7);
+          } else {
+            line[x] = src[i];
+          }
+        }
+
+        const filtered = new Uint8Array(lineBytes + 1);
+        filtered[0] = 2;
+        for (let i = 0; i < lineBytes; i++) filtered[1 + i] = line[i] - previous[i];
+        previous = line;
+        await writer.write(filtered);
+      }
+      this.rows += imageData.height;
+    },
+
+    async finish() {
+      await writer.close();
+      await draining;
+    }
+  };
+}
+
+function headerChunk(width, height, { gray = false, bitDepth = 8, alpha = false } = {}) {
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = bitDepth;
+  header[9] = gray ? 0 : alpha ? 6 : 2; // color type: grayscale, RGBA or RGB
+  return pngChunk('IHDR', header);
+}
+
+// Uncompressed UTF-8 iTXt chunk of a keyword (Latin-1, up to 79 characters) and its text
+function textChunk(keyword, text) {
+  const encoded = new TextEncoder().encode(text);
+  // keyword, separator, compression flag and method, empty language and translated keyword
+  const data = new Uint8Array(keyword.length + 5 + encoded.length);
+  for (let i = 0; i < keyword.length; i++) data[i] = keyword.charCodeAt(i);
+  data.set(encoded, keyword.length + 5);
+  return pngChunk('iTXt', data);
+}
+
+// Encoder for a width x height RGB image, written as bands of RGBA ImageData from the top.
+// A dpi is recorded in the pHYs chunk so print software places the image at its size.
+// gray writes the red channel as a grayscale image, at bitDepth 1 thresholded at mid-gray;
+// alpha keeps the alpha channel (RGBA). text maps keywords to strings stored as iTXt chunks.
+export function createPngEncoder(width, height, { dpi = null, gray = false, bitDepth = 8, alpha = false, text = {} } = {}) {
+  const parts = [PNG_SIGNATURE, headerChunk(width, height, { gray, bitDepth, alpha })];
+  if (dpi) {
+    const physical = new Uint8Array(9);
+    const physicalView = new DataView(physical.buffer);
+    const pixelsPerMetre = Math.round(dpi / 0.0254);
+    physicalView.setUint32(0, pixelsPerMetre);
+    physicalView.setUint32(4, pixelsPerMetre);
+    physical[8] = 1; // unit: metre
+    parts.push(pngChunk('pHYs', physical));
+  }
+  for (const [keyword, value] of Object.entries(text)) parts.push(textChunk(keyword, value));
+  const deflater = createScanlineDeflater(width, { gray, bitDepth, alpha }, (data) => parts.push(pngChunk('IDAT', data)));
+
+  return {
+    writeRows: (imageData) => deflater.writeRows(imageData),
+
+    async finish() {
+      if (deflater.rows !== height) throw new Error(`PNG expected ${height} rows, got ${deflater.rows}`);
+      await deflater.finish();
+      parts.push(pngChunk('IEND', new Uint8Array(0)));
+      return new Blob(parts, { type: 'image/png' });
+    }
+  };
+}
+
+// Animated PNG of a known number of frames, each a whole RGBA ImageData. The first frame is
+// also the still image for viewers without APNG support. loop repeats forever, else it
+// plays once. text is stored as in createPngEncoder.
+export function createApngEncoder(width, height, { frames, fps = 12, loop = true, text = {} }) {
+  const animation = new Uint8Array(8);
+  const animationView = new DataView(animation.buffer);
+  animationView.setUint32(0, frames);
+  animationView.setUint32(4, loop ? 0 : 1); // plays, 0 = forever
+
+  const parts = [PNG_SIGNATURE, headerChunk(width, height), pngChunk('acTL', animation)];
+  for (const [keyword, value] of Object.entries(text)) parts.push(textChunk(keyword, value));
+  // fcTL and fdAT chunks share one sequence
+  let sequence = 0;
+  let frameIndex = 0;
+
+  return {
+    async addFrame(imageData) {
+      const control = new Uint8Array(26);
+      const controlView = new DataView(control.buffer);
+      controlView.setUint32(0, sequence++);
+      controlView.setUint32(4, width);
+      controlView.setUint32(8, height);
+      controlView.setUint16(20, 1); // delay 1 / fps seconds
+      controlView.setUint16(22, Math.round(fps));
+      parts.push(pngChunk('fcTL', control));
+
+      const first = frameIndex++ === 0;
+      const deflater = createScanlineDeflater(width, {}, (data) => {
+        if (first) {
+          parts.push(pngChunk('IDAT', data));
+        } else {
+          const chunk = new Uint8Array(4 + data.length);
+          new DataView(chunk.buffer).setUint32(0, sequence++);
+          chunk.set(data, 4);
+          parts.push(pngChunk('fdAT', chunk));
+        }
+      });
+      await deflater.writeRows(imageData);
+      await deflater.finish();
+    },
+
+    async finish() {
+      if (frameIndex !== frames) throw new Error(`APNG expected ${frames} frames, got ${frameIndex}`);
+      parts.push(pngChunk('IEND', new Uint8Array(0)));
+      return new Blob(parts, { type: 'image/png' });
+    }
+  };
+}
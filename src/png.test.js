@@ -0,0 +1,159 @@
+/**
+ * @jest-environment node
+ */
+import { createApngEncoder, createPngEncoder } from './png';
+
+// Reference CRC-32 (bit by bit) to check the encoder's table-driven one against
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function testImage(width, height) {
+  const image = new ImageData(width, height);
+  for (let i = 0; i < width * height; i++) {
+    image.data.set([(i * 37) & 255, (i * 11) & 255, i % 3 ? 0 : 255, (i * 53) & 255], i * 4);
+  }
+  return image;
+}
+
+async function readChunks(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  expect(Array.from(bytes.subarray(0, 8))).toEqual([137, 80, 78, 71, 13, 10, 26, 10]);
+  const view = new DataView(bytes.buffer);
+  const chunks = [];
+  for (let offset = 8; offset < bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    expect(view.getUint32(offset + 8 + length)).toBe(crc32(bytes.subarray(offset + 4, offset + 8 + length)));
+    chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+async function inflate(parts) {
+  const stream = new Blob(parts).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Scanlines without their filters (all five PNG filter types)
+function unfilter(raw, lineBytes, height, pixelBytes) {
+  const out = new Uint8Array(lineBytes * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (lineBytes + 1)];
+    for (let x = 0; x < lineBytes; x++) {
+      const value = raw[y * (lineBytes + 1) + 1 + x];
+      const left = x >= pixelBytes ? out[y * lineBytes + x - pixelBytes] : 0;
+      const up = y > 0 ? out[(y - 1) * lineBytes + x] : 0;
+      const upLeft = x >= pixelBytes && y > 0 ? out[(y - 1) * lineBytes + x - pixelBytes] : 0;
+      const p = left + up - upLeft;
+      const paeth = [left, up, upLeft].sort((a, b) => Math.abs(p - a) - Math.abs(p - b))[0];
+      const predictor = [0, left, up, (left + up) >> 1, paeth][filter];
+      expect(predictor).toBeDefined();
+      out[y * lineBytes + x] = value + predictor;
+    }
+  }
+  return out;
+}
+
+async function decode(blob) {
+  const chunks = await readChunks(blob);
+  expect(chunks[0].type).toBe('IHDR');
+  expect(chunks[chunks.length - 1].type).toBe('IEND');
+  const header = new DataView(chunks[0].data.buffer, chunks[0].data.byteOffset);
+  const width = header.getUint32(0);
+  const height = header.getUint32(4);
+  const bitDepth = chunks[0].data[8];
+  const channels = { 0: 1, 2: 3, 6: 4 }[chunks[0].data[9]];
+  const lineBytes = Math.ceil(width * channels * bitDepth / 8);
+  const raw = await inflate(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data));
+  expect(raw.length).toBe((lineBytes + 1) * height);
+  return { chunks, width, height, bitDepth, channels, pixels: unfilter(raw, lineBytes, height, Math.max(1, channels * bitDepth / 8)) };
+}
+
+async function encode(image, options, bandRows = 3) {
+  const encoder = createPngEncoder(image.width, image.height, options);
+  for (let y = 0; y < image.height; y += bandRows) {
+    const rows = Math.min(bandRows, image.height - y);
+    await encoder.writeRows(new ImageData(image.data.slice(y * image.width * 4, (y + rows) * image.width * 4), image.width, rows));
+  }
+  return encoder.finish();
+}
+
+test('RGB rows written in bands decode to the source pixels', async () => {
+  const image = testImage(13, 7);
+  const { width, height, channels, pixels } = await decode(await encode(image, {}));
+  expect([width, height, channels]).toEqual([13, 7, 3]);
+  for (let i = 0; i < 13 * 7; i++) {
+    expect(Array.from(pixels.subarray(i * 3, i * 3 + 3))).toEqual(Array.from(image.data.subarray(i * 4, i * 4 + 3)));
+  }
+});
+
+test('alpha keeps the fourth channel', async () => {
+  const image = testImage(9, 5);
+  const { channels, pixels } = await decode(await encode(image, { alpha: true }));
+  expect(channels).toBe(4);
+  expect(Array.from(pixels)).toEqual(Array.from(image.data));
+});
+
+test('1-bit gray packs the red channel thresholded at mid-gray', async () => {
+  const image = testImage(19, 4);
+  const { bitDepth, channels, pixels } = await decode(await encode(image, { gray: true, bitDepth: 1 }));
+  expect([bitDepth, channels]).toEqual([1, 1]);
+  const lineBytes = Math.ceil(19 / 8);
+  for (let y = 0; y < 4; y++) {
+    for (let x = 0; x < 19; x++) {
+      const bit = (pixels[y * lineBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+      expect(bit).toBe(image.data[(y * 19 + x) * 4] >= 128 ? 1 : 0);
+    }
+  }
+});
+
+test('dpi is written to pHYs in pixels per metre', async () => {
+  const { chunks } = await decode(await encode(testImage(2, 2), { dpi: 300 }));
+  const physical = chunks.find(chunk => chunk.type === 'pHYs').data;
+  const view = new DataView(physical.buffer, physical.byteOffset);
+  expect(view.getUint32(0)).toBe(Math.round(300 / 0.0254));
+  expect(physical[8]).toBe(1);
+});
+
+test('APNG frames number their chunks in one sequence and decode to their pixels', async () => {
+  const frames = [0, 85, 170].map(shift => new ImageData(testImage(5, 3).data.map(v => (v + shift) & 255), 5, 3));
+  const encoder = createApngEncoder(5, 3, { frames: 3, fps: 10, loop: false });
+  for (const frame of frames) await encoder.addFrame(frame);
+  const chunks = await readChunks(await encoder.finish());
+
+  expect(chunks.map(chunk => chunk.type).filter(type => type !== 'IDAT' && type !== 'fdAT')).toEqual(['IHDR', 'acTL', 'fcTL', 'fcTL', 'fcTL', 'IEND']);
+  const animation = new DataView(chunks[1].data.buffer, chunks[1].data.byteOffset);
+  expect([animation.getUint32(0), animation.getUint32(4)]).toEqual([3, 1]);
+
+  const sequenced = chunks.filter(chunk => chunk.type === 'fcTL' || chunk.type === 'fdAT');
+  sequenced.forEach((chunk, i) => expect(new DataView(chunk.data.buffer, chunk.data.byteOffset).getUint32(0)).toBe(i));
+  const control = new DataView(chunks[2].data.buffer, chunks[2].data.byteOffset);
+  expect([control.getUint32(4), control.getUint32(8), control.getUint16(20), control.getUint16(22)]).toEqual([5, 3, 1, 10]);
+
+  // The IDAT after the first fcTL is frame 0, fdAT pieces after each later fcTL the others
+  const pieces = [];
+  for (const chunk of chunks) {
+    if (chunk.type === 'fcTL') pieces.push([]);
+    else if (chunk.type === 'IDAT') pieces[pieces.length - 1].push(chunk.data);
+    else if (chunk.type === 'fdAT') pieces[pieces.length - 1].push(chunk.data.subarray(4));
+  }
+  for (let f = 0; f < 3; f++) {
+    const pixels = unfilter(await inflate(pieces[f]), 15, 3, 3);
+    for (let i = 0; i < 15; i++) {
+      expect(Array.from(pixels.subarray(i * 3, i * 3 + 3))).toEqual(Array.from(frames[f].data.subarray(i * 4, i * 4 + 3)));
+    }
+  }
+});
+
+test('finish rejects when rows are missing', async () => {
+  const encoder = createPngEncoder(4, 4);
+  await encoder.writeRows(new ImageData(4, 2));
+  await expect(encoder.finish()).rejects.toThrow('PNG expected 4 rows, got 2');
+});
@@ -0,0 +1,247 @@
+// Layered Photoshop (PSD) export of a render scene (see renderScene in render.js). Layers
+// from the bottom: the background fill, one pixel layer per tool layer (its ink as the
+// color, coverage as transparency, with its blend mode, opacity, offset and mask) or the
+// gradient/palette image, then the paper texture. Channels are PackBits-compressed and the
+// merged image is the flattened render, for readers that ignore layers.
+import { DOMO_PALETTE } from './render';
+
+// PSD (version 1) limit per side; larger documents need the PSB format
+const PSD_MAX_SIZE = 30000;
+
+const BLEND_KEYS = {
+  normal: 'norm',
+  multiply: 'mul ',
+  screen: 'scrn',
+  overlay: 'over',
+  darken: 'dark',
+  lighten: 'lite'
+};
+
+// Big-endian fields written through a DataView
+function bytes(size, write) {
+  const out = new Uint8Array(size);
+  write(new DataView(out.buffer), out);
+  return out;
+}
+
+const ascii = (text) => Array.from(text, (c) => c.charCodeAt(0) & 255);
+
+// PackBits of one row: runs of three or more of a byte as (257 - n, byte), the rest as
+// literals, so a row never packs to more than width + width / 128 bytes
+export function packRow(plane, start, width, out, n) {
+  const repeats = (p) => p + 2 < start + width && plane[p] === plane[p + 1] && plane[p] === plane[p + 2];
+  let x = 0;
+  while (x < width) {
+    const p = start + x;
+    if (repeats(p)) {
+      let run = 3;
+      while (x + run < width && run < 128 && plane[p + run] === plane[p]) run++;
+      out[n++] = 257 - run;
+      out[n++] = plane[p];
+      x += run;
+      continue;
+    }
+
+    let literal = 1;
+    while (x + literal < width && literal < 128 && !repeats(p + literal)) literal++;
+    out[n++] = literal - 1;
+    out.set(plane.subarray(p, p + literal), n);
+    n += literal;
+    x += literal;
+  }
+  return n;
+}
+
+// Compressed channel as { counts, packed }: the byte count of every row, then the rows
+function packChannel(plane, width, height) {
+  const counts = new Uint8Array(height * 2);
+  const packed = new Uint8Array(height * (width + Math.ceil(width / 128)));
+  let n = 0;
+  for (let y = 0; y < height; y++) {
+    const start = n;
+    n = packRow(plane, y * width, width, packed, n);
+    counts[y * 2] = (n - start) >> 8;
+    counts[y * 2 + 1] = (n - start) & 255;
+  }
+  return { counts, packed: packed.subarray(0, n) };
+}
+
+// Channel of a single value, packed once and repeated
+function constantChannel(value, width, height) {
+  const { counts, packed } = packChannel(new Uint8Array(width).fill(value), width, 1);
+  const allCounts = new Uint8Array(height * 2);
+  const allPacked = new Uint8Array(packed.length * height);
+  for (let y = 0; y < height; y++) {
+    allCounts.set(counts, y * 2);
+    allPacked.set(packed, y * packed.length);
+  }
+  return { counts: allCounts, packed: allPacked };
+}
+
+// R, G and B planes of an RGBA image
+function imagePlanes(image) {
+  const size = image.width * image.height;
+  const planes = [new Uint8Array(size), new Uint8Array(size), new Uint8Array(size)];
+  for (let i = 0; i < size; i++) {
+    for (let c = 0; c < planes.length; c++) planes[c][i] = image.data[i * 4 + c];
+  }
+  return planes;
+}
+
+// Layer record and channel data. channels is a list of [id, packed channel] with ids -1
+// (alpha), 0-2 (RGB) and -2 (the user mask, which covers the canvas when mask is set)
+function layerParts({ name, left, top, width, height, channels, blendMode = 'normal', opacity = 1, visible = true, mask = false, canvas }) {
+  const packed = channels.map(([id, channel]) => ({ id, ...channel }));
+  const nameBytes = ascii(name).slice(0, 255);
+  const namePadded = Math.ceil((nameBytes.length + 1) / 4) * 4;
+  const maskSize = mask ? 20 : 0;
+  const extraSize = 4 + maskSize + 4 + namePadded;
+
+  const record = bytes(18 + packed.length * 6 + 16 + extraSize, (view, out) => {
+    view.setInt32(0, top);
+    view.setInt32(4, left);
+    view.setInt32(8, top + height);
+    view.setInt32(12, left + width);
+    view.setUint16(16, packed.length);
+    let o = 18;
+    for (const channel of packed) {
+      view.setInt16(o, channel.id);
+      view.setUint32(o + 2, 2 + channel.counts.length + channel.packed.length);
+      o += 6;
+    }
+    out.set(ascii('8BIM'), o);
+    out.set(ascii(BLEND_KEYS[blendMode] || BLEND_KEYS.multiply), o + 4);
+    out[o + 8] = Math.round(opacity * 255);
+    out[o + 9] = 0; // clipping: base
+    out[o + 10] = visible ? 0 : 2; // flags: bit 1 hides the layer
+    view.setUint32(o + 12, extraSize);
+    o += 16;
+    view.setUint32(o, maskSize);
+    if (mask) {
+      view.setInt32(o + 4, 0);
+      view.setInt32(o + 8, 0);
+      view.setInt32(o + 12, canvas.height);
+      view.setInt32(o + 16, canvas.width);
+      out[o + 20] = 0; // default color outside the mask: hidden
+    }
+    o += 4 + maskSize;
+    view.setUint32(o, 0); // blending ranges
+    out[o + 4] = nameBytes.length;
+    out.set(nameBytes, o + 5);
+  });
+
+  const data = packed.flatMap(({ counts, packed: rows }) => [bytes(2, (view) => view.setUint16(0, 1)), counts, rows]);
+  return { record, data };
+}
+
+// Ink coverage of a dithered plate as layer transparency, the way compositeLayer reads it
+function plateAlpha(plate) {
+  const alpha = new Uint8Array(plate.width * plate.height);
+  for (let i = 0; i < alpha.length; i++) {
+    const darkness = 1 - plate.data[i * 4] / 255;
+    if (darkness > 0.02) alpha[i] = Math.round(darkness * 255);
+  }
+  return alpha;
+}
+
+// paper is { image, visible } for the texture layer; composite is the flattened render
+export function createPsd(scene, { composite, paper }) {
+  const { width, height } = scene;
+  if (width > PSD_MAX_SIZE || height > PSD_MAX_SIZE) {
+    throw new Error(`PSD is limited to ${PSD_MAX_SIZE}px per side, this export is ${width} × ${height}`);
+  }
+  const canvas = { width, height };
+  const layers = [];
+
+  const [r, g, b] = scene.paperRgb;
+  layers.push({
+    name: 'Background',
+    left: 0, top: 0, width, height,
+    channels: [[-1, constantChannel(255, width, height)], [0, constantChannel(r, width, height)], [1, constantChannel(g, width, height)], [2, constantChannel(b, width, height)]]
+  });
+
+  if (scene.colorImage) {
+    const image = scene.colorImage;
+    const planes = imagePlanes(image);
+    layers.push({
+      name: 'Color',
+      left: Math.ceil(scene.x), top: Math.ceil(scene.y), width: image.width, height: image.height,
+      channels: [[-1, constantChannel(255, image.width, image.height)], ...planes.map((plane, c) => [c, packChannel(plane, image.width, image.height)])]
+    });
+  }
+
+  scene.layers.forEach(({ layer, rgb, x, y, plate, mask }, index) => {
+    const name = DOMO_PALETTE[layer.colorKey]?.name || layer.colorKey;
+    const channels = [
+      [-1, packChannel(plateAlpha(plate), plate.width, plate.height)],
+      ...rgb.map((value, c) => [c, constantChannel(value, plate.width, plate.height)])
+    ];
+    if (mask) {
+      const maskPlane = new Uint8Array(mask.length);
+      for (let i = 0; i < mask.length; i++) maskPlane[i] = Math.round(mask[i] * 255);
+      channels.push([-2, packChannel(maskPlane, width, height)]);
+    }
+    // Canvas pixel x shows plate pixel floor(x - offset), so the plate starts at ceil(offset)
+    layers.push({
+      name: `${index + 1} ${name}`,
+      left: Math.ceil(x), top: Math.ceil(y), width: plate.width, height: plate.height,
+      channels,
+      blendMode: layer.blendMode || 'multiply',
+      opacity: layer.opacity,
+      mask: !!mask
+    });
+  });
+
+  if (paper) {
+    const planes = imagePlanes(paper.image);
+    layers.push({
+      name: 'Paper texture',
+      left: 0, top: 0, width, height,
+      channels: [[-1, constantChannel(255, width, height)], ...planes.map((plane, c) => [c, packChannel(plane, width, height)])],
+      blendMode: 'multiply',
+      opacity: 0.3,
+      visible: paper.visible
+    });
+  }
+
+  const parts = layers.map((layer) => layerParts({ ...layer, canvas }));
+  const layerInfoSize = 2 + parts.reduce((sum, { record, data }) => sum + record.length + data.reduce((s, d) => s + d.length, 0), 0);
+  const layerInfoPadded = layerInfoSize + (layerInfoSize % 2);
+
+  const header = bytes(26, (view, out) => {
+    out.set(ascii('8BPS'));
+    view.setUint16(4, 1); // version
+    view.setUint16(12, 3); // channels
+    view.setUint32(14, height);
+    view.setUint32(18, width);
+    view.setUint16(22, 8); // depth
+    view.setUint16(24, 3); // color mode: RGB
+  });
+
+  // The merged image shows the paper texture when its layer is visible
+  const mergedPlanes = imagePlanes(composite);
+  if (paper?.visible) {
+    mergedPlanes.forEach((plane, c) => {
+      for (let i = 0; i < plane.length; i++) plane[i] = plane[i] * (0.7 + 0.3 * paper.image.data[i * 4 + c] / 255);
+    });
+  }
+  const merged = mergedPlanes.map((plane) => packChannel(plane, width, height));
+
+  return new Blob([
+    header,
+    bytes(4, () => {}), // color mode data
+    bytes(4, () => {}), // image resources
+    bytes(8, (view) => {
+      view.setUint32(0, 4 + layerInfoPadded + 4);
+      view.setUint32(4, layerInfoPadded);
+    }),
+    bytes(2, (view) => view.setInt16(0, layers.length)),
+    ...parts.map(({ record }) => record),
+    ...parts.flatMap(({ data }) => data),
+    new Uint8Array(layerInfoPadded - layerInfoSize),
+    bytes(4, () => {}), // global layer mask info
+    bytes(2, (view) => view.setUint16(0, 1)), // merged image: PackBits
+    ...merged.map(({ counts }) => counts),
+    ...merged.map(({ packed }) => packed)
+  ], { type: 'image/vnd.adobe.photoshop' });
+}
@@ -0,0 +1,36 @@
+/**
+ * @jest-environment node
+ */
+import { packRow } from './psd';
+
+function unpack(packed, length) {
+  const out = [];
+  for (let n = 0; n < packed.length;) {
+    const header = packed[n++];
+    if (header < 128) {
+      out.push(...packed.subarray(n, n + header + 1));
+      n += header + 1;
+    } else if (header > 128) {
+      out.push(...new Array(257 - header).fill(packed[n++]));
+    }
+  }
+  expect(out.length).toBe(length);
+  return out;
+}
+
+test.each([
+  ['runs', [5, 5, 5, 5, 9, 9, 9, 1, 1, 1, 1, 1]],
+  ['literals', [1, 2, 3, 4, 5, 6, 7]],
+  ['pairs stay literal', [1, 1, 2, 2, 3, 3, 4]],
+  ['long run', new Array(300).fill(42)],
+  ['long literal', Array.from({ length: 300 }, (_, i) => (i * 31) & 255)],
+  ['mixed', [...new Array(130).fill(0), 1, 2, 3, ...new Array(200).fill(7), 4, 4]]
+])('packRow unpacks to the same row (%s)', (name, row) => {
+  // The row sits in the middle of a plane to check packRow keeps to its bounds
+  const plane = new Uint8Array([3, 3, 3, ...row, 3, 3, 3]);
+  const out = new Uint8Array(row.length + Math.ceil(row.length / 128) + 4);
+  out[0] = 99;
+  const n = packRow(plane, 3, row.length, out, 1);
+  expect(out[0]).toBe(99);
+  expect(unpack(out.subarray(1, n), row.length)).toEqual(row);
+});
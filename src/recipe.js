@@ -0,0 +1,136 @@
+// Recipes: the settings an image was made with, carried in its PNG as an iTXt chunk
+// (keyword 'domo-dither', JSON text), so the exported file alone is enough to remake it.
+// A recipe is { tool, version, recipe, created, source, frame, settings }: the tool version
+// that wrote it, the recipe format, an ISO date, the source image ({ name, width, height }),
+// the animation frame a still was taken at (if any) and the settings as the UI holds them.
+// Recipes read back come from files anyone can edit, so they are conformed to a shape.
+
+export const RECIPE_KEYWORD = 'domo-dither';
+
+// The version in package.json, passed in by its scripts
+export const TOOL_VERSION = process.env.REACT_APP_VERSION;
+
+const RECIPE_FORMAT = 1;
+
+export function createRecipe(settings, { source, frame } = {}) {
+  return {
+    tool: 'domo-dither',
+    version: TOOL_VERSION,
+    recipe: RECIPE_FORMAT,
+    created: new Date().toISOString(),
+    source,
+    frame,
+    settings
+  };
+}
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Text of the recipe keyword in a tEXt or iTXt chunk (compressed or not), or null
+async function findRecipeText(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const latin1 = new TextDecoder('latin1');
+  let offset = 8;
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = latin1.decode(bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+    if (type === 'IEND') break;
+    if (type !== 'tEXt' && type !== 'iTXt') continue;
+
+    const keywordEnd = data.indexOf(0);
+    if (keywordEnd === -1 || latin1.decode(data.subarray(0, keywordEnd)) !== RECIPE_KEYWORD) continue;
+    if (type === 'tEXt') return latin1.decode(data.subarray(keywordEnd + 1));
+
+    // iTXt: compression flag and method, then language tag and translated keyword
+    const compressed = data[keywordEnd + 1] === 1;
+    const languageEnd = data.indexOf(0, keywordEnd + 3);
+    const translatedEnd = data.indexOf(0, languageEnd + 1);
+    const text = data.subarray(translatedEnd + 1);
+    return new TextDecoder().decode(compressed ? await inflate(text) : text);
+  }
+  return null;
+}
+
+// Allowed values of a string or number in a settings shape; fallback is used when a
+// value isn't one of them
+class OneOf {
+  constructor(values, fallback) {
+    this.values = values;
+    this.fallback = fallback;
+  }
+}
+
+export const oneOf = (values, fallback = values[0]) => new OneOf(values, fallback);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// What a shape gives when its value is left out or doesn't fit
+function shapeDefault(shape) {
+  if (shape instanceof OneOf) return shape.fallback;
+  if (Array.isArray(shape)) return [];
+  if (isObject(shape)) return conform({}, shape);
+  return shape;
+}
+
+// value made to fit shape, or undefined when it can't. A shape is a default value:
+// primitives must have its type (numbers finite), arrays are conformed item by item to
+// their first element (items that don't fit are dropped), objects key by key with left
+// out or unfitting keys taking the shape's default. Keys ending in '?' are optional: kept
+// when they fit, dropped otherwise. Keys the shape doesn't name pass through.
+export function conform(value, shape) {
+  if (shape instanceof OneOf) return shape.values.includes(value) ? value : undefined;
+  if (Array.isArray(shape)) {
+    if (!Array.isArray(value)) return undefined;
+    if (shape.length === 0) return value;
+    return value.map(item => conform(item, shape[0])).filter(item => item !== undefined);
+  }
+  if (isObject(shape)) {
+    if (!isObject(value)) return undefined;
+    const out = { ...value };
+    for (const [key, keyShape] of Object.entries(shape)) {
+      if (key.endsWith('?')) {
+        const name = key.slice(0, -1);
+        const fitted = name in value && value[name] !== null ? conform(value[name], keyShape) : value[name];
+        if (fitted === undefined) delete out[name];
+        else out[name] = fitted;
+      } else {
+        const fitted = conform(value[key], keyShape);
+        out[key] = fitted === undefined ? shapeDefault(keyShape) : fitted;
+      }
+    }
+    return out;
+  }
+  if (typeof value !== typeof shape) return undefined;
+  return typeof value !== 'number' || Number.isFinite(value) ? value : undefined;
+}
+
+// Everything of a recipe but its settings, which the UI checks against its own shape
+const ENVELOPE_SHAPE = {
+  tool: '',
+  version: '?',
+  recipe: RECIPE_FORMAT,
+  created: '',
+  'source?': { name: '', width: 0, height: 0 },
+  'frame?': 0,
+  settings: {}
+};
+
+// Recipe in a PNG file's bytes; null for other files and PNGs without a readable one
+export async function readPngRecipe(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const signature = [137, 80, 78, 71, 13, 10, 26, 10];
+  if (bytes.length < 8 || signature.some((value, i) => bytes[i] !== value)) return null;
+
+  try {
+    const text = await findRecipeText(bytes);
+    const recipe = text && JSON.parse(text);
+    return recipe?.tool === 'domo-dither' && isObject(recipe.settings) ? conform(recipe, ENVELOPE_SHAPE) : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * @jest-environment node
+ */
+import { createPngEncoder } from './png';
+import { conform, createRecipe, oneOf, readPngRecipe, RECIPE_KEYWORD } from './recipe';
+
+const SHAPE = {
+  count: 1,
+  name: 'a',
+  mode: oneOf(['x', 'y']),
+  nested: { on: false, items: [{ id: 0, 'extra?': [0] }] },
+  'optional?': 0
+};
+
+test('conform keeps values that fit the shape', () => {
+  const value = { count: 3, name: 'b', mode: 'y', nested: { on: true, items: [{ id: 2, extra: [1, 2], other: 'kept' }] }, optional: 5 };
+  expect(conform(value, SHAPE)).toEqual(value);
+});
+
+test('conform falls back to the defaults of the shape', () => {
+  expect(conform({ count: 'three', mode: 'z', nested: { items: 'none' }, optional: 'no' }, SHAPE)).toEqual({
+    count: 1,
+    name: 'a',
+    mode: 'x',
+    nested: { on: false, items: [] }
+  });
+  expect(conform({ count: NaN }, SHAPE).count).toBe(1);
+  expect(conform('settings', SHAPE)).toBeUndefined();
+});
+
+test('conform drops list items that do not fit', () => {
+  expect(conform([{ id: 1 }, 'x', null, { id: 'y', extra: {} }], SHAPE.nested.items)).toEqual([{ id: 1 }, { id: 0 }]);
+});
+
+test('readPngRecipe reads back the recipe a PNG was written with', async () => {
+  const settings = { layers: [{ id: 1, colorKey: 'festival' }], note: 'Überdruck — 版画' };
+  const encoder = createPngEncoder(2, 2, { text: { [RECIPE_KEYWORD]: JSON.stringify(createRecipe(settings, { source: { name: 'ä.png', width: 2, height: 2 } })) } });
+  await encoder.writeRows(new ImageData(2, 2));
+  const recipe = await readPngRecipe(await (await encoder.finish()).arrayBuffer());
+  expect(recipe.settings).toEqual(settings);
+  expect(recipe.source).toEqual({ name: 'ä.png', width: 2, height: 2 });
+});
+
+test('readPngRecipe is null for other files', async () => {
+  expect(await readPngRecipe(new TextEncoder().encode('GIF89a').buffer)).toBeNull();
+  const encoder = createPngEncoder(1, 1);
+  await encoder.writeRows(new ImageData(1, 1));
+  expect(await readPngRecipe(await (await encoder.finish()).arrayBuffer())).toBeNull();
+});
+
+test('readPngRecipe drops envelope fields that do not fit', async () => {
+  const text = JSON.stringify({ ...createRecipe({ seed: 1 }), source: 'photo.jpg', frame: '3' });
+  const encoder = createPngEncoder(1, 1, { text: { [RECIPE_KEYWORD]: text } });
+  await encoder.writeRows(new ImageData(1, 1));
+  const recipe = await readPngRecipe(await (await encoder.finish()).arrayBuffer());
+  expect(recipe.settings).toEqual({ seed: 1 });
+  expect('source' in recipe).toBe(false);
+  expect('frame' in recipe).toBe(false);
+});
@@ -0,0 +1,2286 @@
+// Rendering pipeline: palette, dither algorithms and image processing.
+// Pure functions on ImageData with no DOM access, shared by the UI and the render worker.
+
+// Domo Color Palette
+export const DOMO_PALETTE = {
+  horizon: { name: 'Horizon', hex: '#0062FF', rgb: [0, 98, 255] },
+  hearth: { name: 'Hearth', hex: '#430E0A', rgb: [67, 14, 10] },
+  festival: { name: 'Festival', hex: '#E9280A', rgb: [233, 40, 10] },
+  rooted: { name: 'Rooted', hex: '#11533B', rgb: [17, 83, 59] },
+  threshold: { name: 'Threshold', hex: '#C7A95A', rgb: [199, 169, 90] },
+  white: { name: 'White', hex: '#FFFFFF', rgb: [255, 255, 255] },
+  black: { name: 'Black', hex: '#000000', rgb: [0, 0, 0] },
+};
+
+// Curated dither algorithms (removed digital-looking ones: checker, grid, diagonal)
+export const DITHER_ALGORITHMS = {
+  none: { name: 'NONE', category: 'none', hasScale: false, hasAngle: false, description: 'No dithering applied' },
+  bayer2x2: { name: 'BAYER 2×2', category: 'ordered', hasScale: true, hasAngle: false, description: 'Small ordered pattern, creates a fine crosshatch texture' },
+  bayer4x4: { name: 'BAYER 4×4', category: 'ordered', hasScale: true, hasAngle: false, description: 'Medium ordered pattern, classic retro computer look' },
+  bayer8x8: { name: 'BAYER 8×8', category: 'ordered', hasScale: true, hasAngle: false, description: 'Large ordered pattern, smoother gradients with visible structure' },
+  floydSteinberg: { name: 'FLOYD-STEINBERG', category: 'diffusion', hasScale: true, hasAngle: false, description: 'Classic error diffusion, natural-looking results' },
+  atkinson: { name: 'ATKINSON', category: 'diffusion', hasScale: true, hasAngle: false, description: 'Mac-style dithering, higher contrast, iconic look' },
+  jarvisJudiceNinke: { name: 'JARVIS-JUDICE-NINKE', category: 'diffusion', hasScale: true, hasAngle: false, description: 'Wide 3-row kernel, smooth gradients with fewer worm artifacts' },
+  stucki: { name: 'STUCKI', category: 'diffusion', hasScale: true, hasAngle: false, description: 'Refined Jarvis kernel, clean and slightly sharper' },
+  burkes: { name: 'BURKES', category: 'diffusion', hasScale: true, hasAngle: false, description: 'Simplified 2-row Stucki, fast with crisp detail' },
+  sierra: { name: 'SIERRA', category: 'diffusion', hasScale: true, hasAngle: false, description: '3-row Sierra kernel, soft and even texture' },
+  sierra2: { name: 'SIERRA 2-ROW', category: 'diffusion', hasScale: true, hasAngle: false, description: '2-row Sierra kernel, between Floyd-Steinberg and full Sierra' },
+  sierraLite: { name: 'SIERRA LITE', category: 'diffusion', hasScale: true, hasAngle: false, description: 'Minimal 3-tap kernel, grainy and fast' },
+  ostromoukhov: { name: 'OSTROMOUKHOV', category: 'diffusion', hasScale: true, hasAngle: false, description: 'Variable coefficients per tone level, very even midtones' },
+  halftoneCircle: { name: 'HALFTONE DOTS', category: 'halftone', hasScale: true, hasAngle: true, description: 'Traditional print dots, size varies with tone' },
+  halftoneLines: { name: 'HALFTONE LINES', category: 'halftone', hasScale: true, hasAngle: true, description: 'Engraving-style lines, width varies with tone' },
+  halftoneSquare: { name: 'HALFTONE SQUARES', category: 'halftone', hasScale: true, hasAngle: true, description: 'Square dots for a more geometric look' },
+  blueNoise: { name: 'BLUE NOISE', category: 'ordered', hasScale: true, hasAngle: false, hasTexture: true, description: 'Void-and-cluster threshold texture, even organic stipple without grid or clumping' },
+  noise: { name: 'NOISE/STIPPLE', category: 'other', hasScale: true, hasAngle: false, description: 'Random stipple pattern, organic texture' },
+};
+
+// Painted masks are stored as a fixed grid stretched over the canvas
+export const PAINT_MASK_SIZE = 256;
+
+// Smallest halftone cell in device pixels; finer screens are drawn at this size
+export const MIN_HALFTONE_STEP = 3;
+
+// Blue noise texture sizes (larger tiles repeat less visibly but take longer to generate)
+export const BLUE_NOISE_SIZES = [32, 64, 128];
+export const BLUE_NOISE_DEFAULT_SIZE = 64;
+// Seed the textures themselves are generated from
+const BLUE_NOISE_TEXTURE_SEED = 1;
+
+// Integer hash (the murmur3 finalizer)
+function mix32(h) {
+  h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+  h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// Random value in [0, 1) for a seed and integer coordinates. Stateless, so a tile or band
+// rendered on its own draws exactly the numbers the whole image does there.
+function hashRandom(seed, x, y = 0, z = 0) {
+  return mix32(mix32(mix32(mix32(seed) ^ x) + y) ^ Math.imul(z, 0x9E3779B1)) / 4294967296;
+}
+
+// Seed derived from another and an index, e.g. per layer from the global seed
+export function deriveSeed(seed, index) {
+  return mix32(mix32(seed) + index + 1);
+}
+
+// Small fast PRNG (mulberry32) for reproducible sequences
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Tournament tree over n scores: update one in O(log n), read the index of
+// the smallest (the lowest index on ties) in O(1)
+function createArgminTree(n) {
+  let leaves = 1;
+  while (leaves < n) leaves *= 2;
+  const values = new Float64Array(leaves).fill(Infinity);
+  const winners = new Int32Array(leaves * 2);
+  for (let i = 0; i < leaves; i++) winners[leaves + i] = i;
+  for (let node = leaves - 1; node >= 1; node--) winners[node] = winners[node * 2];
+  
+  return {
+    set(i, value) {
+      values[i] = value;
+      for (let node = (leaves + i) >> 1; node >= 1; node >>= 1) {
+        const left = winners[node * 2], right = winners[node * 2 + 1];
+        const winner = values[right] < values[left] ? right : left;
+        // Nothing above changes once a node keeps a winner other than i
+        if (winner === winners[node] && winner !== i) break;
+        winners[node] = winner;
+      }
+    },
+    argmin: () => winners[1]
+  };
+}
+
+// Blue noise threshold texture via void-and-cluster (Ulichney 1993).
+// Energy is a Gaussian splat with toroidal wrap, so the texture tiles seamlessly. The
+// tightest cluster and largest void are kept in tournament trees that a splat updates
+// locally, so a 128 texture takes a fraction of a second rather than a full scan per point.
+// One texture is generated per size; seeds pick variants of it (see blueNoiseVariant).
+const blueNoiseCache = new Map();
+
+export function getBlueNoiseTexture(size = BLUE_NOISE_DEFAULT_SIZE) {
+  if (blueNoiseCache.has(size)) return blueNoiseCache.get(size);
+  
+  const n = size * size;
+  const sigma = 1.5;
+  const radius = Math.min(Math.floor(size / 2) - 1, Math.ceil(sigma * 3));
+  const kSize = radius * 2 + 1;
+  const kernel = new Float32Array(kSize * kSize);
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      kernel[(dy + radius) * kSize + dx + radius] = Math.exp(-(dx * dx + dy * dy) / (2 * sigma * sigma));
+    }
+  }
+  
+  const pattern = new Uint8Array(n);
+  const energy = new Float32Array(n);
+  // Tightest cluster: set pixel with the highest energy. Largest void: empty pixel with
+  // the lowest energy.
+  let clusters, voids;
+  
+  const track = (i) => {
+    clusters.set(i, pattern[i] ? -energy[i] : Infinity);
+    voids.set(i, pattern[i] ? Infinity : energy[i]);
+  };
+  const retrack = () => {
+    clusters = createArgminTree(n);
+    voids = createArgminTree(n);
+    for (let i = 0; i < n; i++) track(i);
+  };
+  
+  const splat = (idx, sign) => {
+    const x = idx % size, y = Math.floor(idx / size);
+    for (let dy = -radius; dy <= radius; dy++) {
+      const row = ((y + dy + size) % size) * size;
+      for (let dx = -radius; dx <= radius; dx++) {
+        const i = row + (x + dx + size) % size;
+        energy[i] += sign * kernel[(dy + radius) * kSize + dx + radius];
+        if (clusters) track(i);
+      }
+    }
+  };
+  
+  const toggle = (idx, value) => {
+    pattern[idx] = value;
+    splat(idx, value ? 1 : -1);
+    track(idx);
+  };
+  
+  // Seeded initial pattern (~10% of pixels)
+  const random = createRandom(BLUE_NOISE_TEXTURE_SEED);
+  const initialCount = Math.max(1, Math.floor(n * 0.1));
+  for (let placed = 0; placed < initialCount;) {
+    const idx = Math.floor(random() * n);
+    if (!pattern[idx]) {
+      pattern[idx] = 1;
+      splat(idx, 1);
+      placed++;
+    }
+  }
+  retrack();
+  
+  // Relax: move tightest clusters into largest voids until stable
+  for (let iter = 0; iter < n; iter++) {
+    const cluster = clusters.argmin();
+    toggle(cluster, 0);
+    const voidIdx = voids.argmin();
+    toggle(voidIdx, 1);
+    if (voidIdx === cluster) break;
+  }
+  
+  const ranks = new Uint32Array(n);
+  const prototype = pattern.slice();
+  const prototypeEnergy = energy.slice();
+  
+  // Phase 1: rank the initial points by removing tightest clusters
+  for (let rank = initialCount - 1; rank >= 0; rank--) {
+    const cluster = clusters.argmin();
+    toggle(cluster, 0);
+    ranks[cluster] = rank;
+  }
+  
+  // Phase 2: rank the remaining pixels by filling largest voids
+  pattern.set(prototype);
+  energy.set(prototypeEnergy);
+  retrack();
+  for (let rank = initialCount; rank < n; rank++) {
+    const voidIdx = voids.argmin();
+    toggle(voidIdx, 1);
+    ranks[voidIdx] = rank;
+  }
+  
+  const texture = new Float32Array(n);
+  for (let i = 0; i < n; i++) texture[i] = (ranks[i] + 0.5) / n;
+  
+  blueNoiseCache.set(size, texture);
+  return texture;
+}
+
+// Seeded variant of the texture of a size: one of its eight flips/transposes, shifted
+// with wrap. Each is still a seamless blue noise tile, and layers with different seeds no
+// longer put their dots in the same places. The latest few are kept.
+const BLUE_NOISE_VARIANTS_KEPT = 16;
+const blueNoiseVariants = new Map();
+
+export function blueNoiseVariant(size, seed) {
+  const key = `${size}:${seed}`;
+  if (blueNoiseVariants.has(key)) return blueNoiseVariants.get(key);
+  
+  const base = getBlueNoiseTexture(size);
+  const random = createRandom(seed);
+  const offsetX = Math.floor(random() * size);
+  const offsetY = Math.floor(random() * size);
+  const orientation = Math.floor(random() * 8);
+  const variant = new Float32Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      let u = orientation & 4 ? y : x;
+      let v = orientation & 4 ? x : y;
+      if (orientation & 1) u = size - 1 - u;
+      if (orientation & 2) v = size - 1 - v;
+      variant[y * size + x] = base[((v + offsetY) % size) * size + (u + offsetX) % size];
+    }
+  }
+  
+  if (blueNoiseVariants.size >= BLUE_NOISE_VARIANTS_KEPT) blueNoiseVariants.delete(blueNoiseVariants.keys().next().value);
+  blueNoiseVariants.set(key, variant);
+  return variant;
+}
+
+// Quantize a 0-1 tone to one of `levels` evenly spaced values (0-255), using t as the
+// switch point between neighbouring levels. With two levels this is plain thresholding.
+function quantizeTone(gray, t, levels = 2) {
+  const steps = Math.max(1, Math.round(levels) - 1);
+  const scaled = gray * steps;
+  const base = Math.max(0, Math.min(steps - 1, Math.floor(scaled)));
+  const level = base + (scaled - base > t ? 1 : 0);
+  return Math.round((level / steps) * 255);
+}
+
+// Error diffusion kernels: [dx, dy, weight] taps relative to the current pixel
+export const DIFFUSION_KERNELS = {
+  floydSteinberg: { divisor: 16, taps: [[1,0,7],[-1,1,3],[0,1,5],[1,1,1]] },
+  // Atkinson only spreads 6/8 of the error on purpose (higher contrast)
+  atkinson: { divisor: 8, taps: [[1,0,1],[2,0,1],[-1,1,1],[0,1,1],[1,1,1],[0,2,1]] },
+  jarvisJudiceNinke: { divisor: 48, taps: [[1,0,7],[2,0,5],[-2,1,3],[-1,1,5],[0,1,7],[1,1,5],[2,1,3],[-2,2,1],[-1,2,3],[0,2,5],[1,2,3],[2,2,1]] },
+  stucki: { divisor: 42, taps: [[1,0,8],[2,0,4],[-2,1,2],[-1,1,4],[0,1,8],[1,1,4],[2,1,2],[-2,2,1],[-1,2,2],[0,2,4],[1,2,2],[2,2,1]] },
+  burkes: { divisor: 32, taps: [[1,0,8],[2,0,4],[-2,1,2],[-1,1,4],[0,1,8],[1,1,4],[2,1,2]] },
+  sierra: { divisor: 32, taps: [[1,0,5],[2,0,3],[-2,1,2],[-1,1,4],[0,1,5],[1,1,4],[2,1,2],[-1,2,2],[0,2,3],[1,2,2]] },
+  sierra2: { divisor: 16, taps: [[1,0,4],[2,0,3],[-2,1,1],[-1,1,2],[0,1,3],[1,1,2],[2,1,1]] },
+  sierraLite: { divisor: 4, taps: [[1,0,2],[-1,1,1],[0,1,1]] },
+};
+
+// Rows below the current one that any kernel reaches
+const DIFFUSION_SPILL_ROWS = 2;
+
+// Ostromoukhov (2001) variable coefficients for levels 0-127: [right, down-left, down, divisor].
+// Levels 128-255 mirror this table.
+export const OSTROMOUKHOV_COEFFICIENTS = [
+  [13,0,5,18], [13,0,5,18], [21,0,10,31], [7,0,4,11], [8,0,5,13], [47,3,28,78], [23,3,13,39], [15,3,8,26],
+  [22,6,11,39], [43,15,20,78], [7,3,3,13], [501,224,211,936], [249,116,103,468], [165,80,67,312], [123,62,49,234], [489,256,191,936],
+  [81,44,31,156], [483,272,181,936], [60,35,22,117], [53,32,19,104], [237,148,83,468], [471,304,161,936], [3,2,1,6], [481,314,185,980],
+  [354,226,155,735], [1389,866,685,2940], [227,138,125,490], [267,158,163,588], [327,188,220,735], [61,34,45,140], [627,338,505,1470], [1227,638,1075,2940],
+  [20,10,19,49], [1937,1000,1767,4704], [977,520,855,2352], [657,360,551,1568], [71,40,57,168], [2005,1160,1539,4704], [337,200,247,784], [2039,1240,1425,4704],
+  [257,160,171,588], [691,440,437,1568], [1045,680,627,2352], [301,200,171,672], [177,120,95,392], [2141,1480,1083,4704], [1079,760,513,2352], [725,520,323,1568],
+  [137,100,57,294], [2209,1640,855,4704], [53,40,19,112], [2243,1720,741,4704], [565,440,171,1176], [759,600,209,1568], [1147,920,285,2352], [2311,1880,513,4704],
+  [97,80,19,196], [335,280,57,672], [1181,1000,171,2352], [793,680,95,1568], [599,520,57,1176], [2413,2120,171,4704], [405,360,19,784], [2447,2200,57,4704],
+  [11,10,0,21], [158,151,3,312], [178,179,7,364], [1030,1091,63,2184], [248,277,21,546], [318,375,35,728], [458,571,63,1092], [878,1159,147,2184],
+  [5,7,1,13], [172,181,37,390], [97,76,22,195], [72,41,17,130], [119,47,29,195], [4,1,1,6], [4,1,1,6], [4,1,1,6],
+  [4,1,1,6], [4,1,1,6], [4,1,1,6], [4,1,1,6], [4,1,1,6], [4,1,1,6], [65,18,17,100], [95,29,26,150],
+  [185,62,53,300], [30,11,9,50], [35,14,11,60], [85,37,28,150], [55,26,19,100], [80,41,29,150], [155,86,59,300], [5,3,2,10],
+  [5,3,2,10], [5,3,2,10], [5,3,2,10], [5,3,2,10], [5,3,2,10], [5,3,2,10], [305,176,119,600], [155,86,59,300],
+  [105,56,39,200], [80,41,29,150], [65,32,23,120], [55,26,19,100], [335,152,113,600], [85,37,28,150], [115,48,37,200], [35,14,11,60],
+  [355,136,109,600], [30,11,9,50], [365,128,107,600], [185,62,53,300], [25,8,7,40], [95,29,26,150], [385,112,103,600], [65,18,17,100],
+  [395,104,101,600], [4,1,1,6], [4,1,1,6], [4,1,1,6], [4,1,1,6], [4,1,1,6], [4,1,1,6], [4,1,1,6],
+];
+
+// Average luminance over pixelScale × pixelScale blocks
+function blockAverageGray(imageData, pixelScale) {
+  const data = imageData.data;
+  const w = imageData.width, h = imageData.height;
+  const sw = Math.ceil(w / pixelScale);
+  const sh = Math.ceil(h / pixelScale);
+  const gray = new Float32Array(sw * sh);
+  
+  for (let sy = 0; sy < sh; sy++) {
+    for (let sx = 0; sx < sw; sx++) {
+      let sum = 0, count = 0;
+      for (let dy = 0; dy < pixelScale && sy * pixelScale + dy < h; dy++) {
+        for (let dx = 0; dx < pixelScale && sx * pixelScale + dx < w; dx++) {
+          const idx = ((sy * pixelScale + dy) * w + (sx * pixelScale + dx)) * 4;
+          sum += data[idx] * 0.299 + data[idx+1] * 0.587 + data[idx+2] * 0.114;
+          count++;
+        }
+      }
+      gray[sy * sw + sx] = sum / count;
+    }
+  }
+  return { gray, sw, sh };
+}
+
+// Shared error diffusion engine. Serpentine scanning alternates row direction
+// (mirroring the kernel) to break up directional worms; errorStrength scales
+// how much quantization error is passed on.
+// For tiled rendering the image can be a band starting at row originY (a multiple of
+// scale) of a fullHeight image; error spilling past the band is kept in carry and
+// added to the next band, so the bands join up exactly like one full pass.
+export function errorDiffusion(imageData, threshold, scale, kernelKey, { serpentine = false, errorStrength = 1, levels = 2, originY = 0, fullHeight = imageData.height, carry = null } = {}) {
+  const data = new Uint8ClampedArray(imageData.data);
+  const w = imageData.width, h = imageData.height;
+  const pixelScale = Math.max(1, Math.floor(scale || 1));
+  const thresh = 80 + threshold * 100;
+  const variable = kernelKey === 'ostromoukhov';
+  const kernel = DIFFUSION_KERNELS[kernelKey] || DIFFUSION_KERNELS.floydSteinberg;
+  
+  const block = blockAverageGray(imageData, pixelScale);
+  const { sw, sh } = block;
+  const input = variable ? block.gray : null;
+  const firstRow = Math.floor(originY / pixelScale);
+  const rowLimit = Math.min(sh + DIFFUSION_SPILL_ROWS, Math.ceil(fullHeight / pixelScale) - firstRow);
+  const gray = new Float32Array(sw * (sh + DIFFUSION_SPILL_ROWS));
+  gray.set(block.gray);
+  if (carry?.error) {
+    for (let i = 0; i < carry.error.length; i++) gray[i] += carry.error[i];
+  }
+  
+  for (let y = 0; y < sh; y++) {
+    const reverse = serpentine && (firstRow + y) % 2 === 1;
+    const dir = reverse ? -1 : 1;
+    for (let step = 0; step < sw; step++) {
+      const x = reverse ? sw - 1 - step : step;
+      const i = y * sw + x;
+      const oldPixel = gray[i];
+      const newPixel = quantizeTone(oldPixel / 255, thresh / 255, levels);
+      gray[i] = newPixel;
+      const error = (oldPixel - newPixel) * errorStrength;
+      if (error === 0) continue;
+      
+      if (variable) {
+        const level = Math.max(0, Math.min(255, Math.round(input[i])));
+        const [right, downLeft, down, divisor] = OSTROMOUKHOV_COEFFICIENTS[level <= 127 ? level : 255 - level];
+        const nx = x + dir, px = x - dir;
+        if (nx >= 0 && nx < sw) gray[i + dir] += error * right / divisor;
+        if (y + 1 < rowLimit) {
+          if (px >= 0 && px < sw) gray[i + sw - dir] += error * downLeft / divisor;
+          gray[i + sw] += error * down / divisor;
+        }
+        continue;
+      }
+      
+      const taps = kernel.taps;
+      for (let t = 0; t < taps.length; t++) {
+        const nx = x + taps[t][0] * dir;
+        const ny = y + taps[t][1];
+        if (nx >= 0 && nx < sw && ny < rowLimit) gray[ny * sw + nx] += error * taps[t][2] / kernel.divisor;
+      }
+    }
+  }
+  if (carry) carry.error = gray.slice(sw * sh);
+  
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const sx = Math.floor(x / pixelScale);
+      const sy = Math.floor(y / pixelScale);
+      const idx = (y * w + x) * 4;
+      data[idx] = data[idx+1] = data[idx+2] = gray[sy * sw + sx];
+    }
+  }
+  return new ImageData(data, w, h);
+}
+
+// Shared ordered dithering against a flat size × size threshold map (values 0-1).
+// originY is the image's first row when it is a band of a larger image.
+function orderedDither(imageData, threshold, scale, { map, size }, levels = 2, originY = 0) {
+  const data = new Uint8ClampedArray(imageData.data);
+  const w = imageData.width, h = imageData.height;
+  const thresholdOffset = (threshold - 0.5) * 0.8;
+  const pixelScale = Math.max(1, Math.floor(scale || 1));
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = (y * w + x) * 4;
+      const gray = (data[i] * 0.299 + data[i+1] * 0.587 + data[i+2] * 0.114) / 255;
+      const mx = Math.floor(x / pixelScale) % size;
+      const my = Math.floor((y + originY) / pixelScale) % size;
+      const result = quantizeTone(gray, map[my * size + mx] + thresholdOffset, levels);
+      data[i] = data[i+1] = data[i+2] = result;
+    }
+  }
+  return new ImageData(data, w, h);
+}
+
+// Bayer matrices
+const BAYER_2x2 = [[0,2],[3,1]].flat().map(v => v/4);
+const BAYER_4x4 = [[0,8,2,10],[12,4,14,6],[3,11,1,9],[15,7,13,5]].flat().map(v => v/16);
+const BAYER_8x8 = [[0,32,8,40,2,34,10,42],[48,16,56,24,50,18,58,26],[12,44,4,36,14,46,6,38],[60,28,52,20,62,30,54,22],[3,35,11,43,1,33,9,41],[51,19,59,27,49,17,57,25],[15,47,7,39,13,45,5,37],[63,31,55,23,61,29,53,21]].flat().map(v => v/64);
+
+// Threshold map for an ordered algorithm, shared by the layer and palette modes
+function getThresholdMap(type, { textureSize = BLUE_NOISE_DEFAULT_SIZE, seed = 0 } = {}) {
+  switch (type) {
+    case 'bayer2x2': return { map: BAYER_2x2, size: 2 };
+    case 'bayer4x4': return { map: BAYER_4x4, size: 4 };
+    case 'bayer8x8': return { map: BAYER_8x8, size: 8 };
+    case 'blueNoise': return { map: blueNoiseVariant(textureSize, seed), size: textureSize };
+    default: return null;
+  }
+}
+
+// Grid cells of a rotated halftone screen that can touch the image; cell (ix, iy) sits at
+// (ix * step - extent, iy * step - extent) in screen coordinates. The grid is centred on
+// the full image, so a band (rows from originY of a fullHeight image) gets exactly the
+// dots the full image has there. Positions come from cell indices rather than a running
+// sum, so fractional steps (physical screen rulings) also line up across bands.
+function halftoneGridRange(w, h, step, cos, sin, originY = 0, fullHeight = h) {
+  const extent = Math.max(w, fullHeight) * 2;
+  let gxMin = Infinity, gxMax = -Infinity, gyMin = Infinity, gyMax = -Infinity;
+  for (const px of [-step - w / 2, w / 2 + step]) {
+    for (const py of [originY - step - fullHeight / 2, originY + h + step - fullHeight / 2]) {
+      const gx = px * cos + py * sin;
+      const gy = -px * sin + py * cos;
+      gxMin = Math.min(gxMin, gx); gxMax = Math.max(gxMax, gx);
+      gyMin = Math.min(gyMin, gy); gyMax = Math.max(gyMax, gy);
+    }
+  }
+  const first = (v) => Math.max(0, Math.ceil((v + extent) / step));
+  const end = (v) => Math.ceil((Math.min(extent, v + step) + extent) / step);
+  return { extent, ixStart: first(gxMin), ixEnd: end(gxMax), iyStart: first(gyMin), iyEnd: end(gyMax) };
+}
+
+// Visit each cell of a rotated halftone screen that can touch the image, with its centre
+// and the gray tone (0-1) sampled there
+function forEachHalftoneCell(imageData, step, angle, originY, fullHeight, visit) {
+  const w = imageData.width, h = imageData.height;
+  const src = imageData.data;
+  const rad = (angle * Math.PI) / 180;
+  const cos = Math.cos(rad), sin = Math.sin(rad);
+  
+  const { extent, ixStart, ixEnd, iyStart, iyEnd } = halftoneGridRange(w, h, step, cos, sin, originY, fullHeight);
+  
+  for (let iy = iyStart; iy < iyEnd; iy++) {
+    const gy = iy * step - extent;
+    for (let ix = ixStart; ix < ixEnd; ix++) {
+      const gx = ix * step - extent;
+      const cx = gx * cos - gy * sin + w / 2;
+      const cy = gx * sin + gy * cos + fullHeight / 2 - originY;
+      
+      if (cx < -step || cx >= w + step || cy < -step || cy >= h + step) continue;
+      
+      const sampleX = Math.max(0, Math.min(w - 1, Math.round(cx)));
+      const sampleY = Math.max(0, Math.min(h - 1, Math.round(cy)));
+      const si = (sampleY * w + sampleX) * 4;
+      visit(cx, cy, (src[si] * 0.299 + src[si+1] * 0.587 + src[si+2] * 0.114) / 255);
+    }
+  }
+}
+
+// Halftone element sizes for a gray tone: dot radius, square half-side, line half-width
+function halftoneDotRadius(gray, step, threshold) {
+  const maxRadius = step * 0.48;
+  return Math.sqrt(1 - gray) * maxRadius * (0.6 + threshold * 0.7);
+}
+
+function halftoneSquareHalf(gray, step, threshold) {
+  const maxSize = step * 0.85;
+  return Math.sqrt(1 - gray) * maxSize * (0.4 + threshold * 0.6) / 2;
+}
+
+function halftoneLineHalfWidth(gray, spacing, threshold) {
+  const maxWidth = spacing * 0.7;
+  return Math.sqrt(1 - gray) * maxWidth * (0.5 + threshold * 0.7) / 2;
+}
+
+// Dithering Algorithms
+const ditherAlgorithms = {
+  none: (imageData) => imageData,
+  
+  bayer2x2: (imageData, threshold, scale = 1, angle, options = {}) => orderedDither(imageData, threshold, scale, getThresholdMap('bayer2x2'), options.levels, options.originY),
+
+  bayer4x4: (imageData, threshold, scale = 1, angle, options = {}) => orderedDither(imageData, threshold, scale, getThresholdMap('bayer4x4'), options.levels, options.originY),
+
+  bayer8x8: (imageData, threshold, scale = 1, angle, options = {}) => orderedDither(imageData, threshold, scale, getThresholdMap('bayer8x8'), options.levels, options.originY),
+
+  blueNoise: (imageData, threshold, scale = 1, angle, options = {}) => orderedDither(imageData, threshold, scale, getThresholdMap('blueNoise', { textureSize: options.textureSize, seed: options.seed }), options.levels, options.originY),
+
+  floydSteinberg: (imageData, threshold, scale, angle, options) => errorDiffusion(imageData, threshold, scale, 'floydSteinberg', options),
+  atkinson: (imageData, threshold, scale, angle, options) => errorDiffusion(imageData, threshold, scale, 'atkinson', options),
+  jarvisJudiceNinke: (imageData, threshold, scale, angle, options) => errorDiffusion(imageData, threshold, scale, 'jarvisJudiceNinke', options),
+  stucki: (imageData, threshold, scale, angle, options) => errorDiffusion(imageData, threshold, scale, 'stucki', options),
+  burkes: (imageData, threshold, scale, angle, options) => errorDiffusion(imageData, threshold, scale, 'burkes', options),
+  sierra: (imageData, threshold, scale, angle, options) => errorDiffusion(imageData, threshold, scale, 'sierra', options),
+  sierra2: (imageData, threshold, scale, angle, options) => errorDiffusion(imageData, threshold, scale, 'sierra2', options),
+  sierraLite: (imageData, threshold, scale, angle, options) => errorDiffusion(imageData, threshold, scale, 'sierraLite', options),
+  ostromoukhov: (imageData, threshold, scale, angle, options) => errorDiffusion(imageData, threshold, scale, 'ostromoukhov', options),
+
+  halftoneCircle: (imageData, threshold, dotSize = 6, angle = 15, { originY = 0, fullHeight = imageData.height } = {}) => {
+    const data = new Uint8ClampedArray(imageData.data);
+    const w = imageData.width, h = imageData.height;
+    data.fill(255);
+    
+    const step = Math.max(MIN_HALFTONE_STEP, dotSize);
+    
+    forEachHalftoneCell(imageData, step, angle, originY, fullHeight, (cx, cy, gray) => {
+      const radius = halftoneDotRadius(gray, step, threshold);
+      if (radius < 0.5) return;
+      
+      const minX = Math.max(0, Math.floor(cx - radius - 1));
+      const maxX = Math.min(w - 1, Math.ceil(cx + radius + 1));
+      const minY = Math.max(0, Math.floor(cy - radius - 1));
+      const maxY = Math.min(h - 1, Math.ceil(cy + radius + 1));
+      
+      for (let py = minY; py <= maxY; py++) {
+        for (let px = minX; px <= maxX; px++) {
+          const dx = px - cx;
+          const dy = py - cy;
+          const dist = Math.sqrt(dx * dx + dy * dy);
+          
+          if (dist <= radius + 0.7) {
+            const i = (py * w + px) * 4;
+            const coverage = Math.max(0, Math.min(1, radius - dist + 0.7));
+            const newVal = Math.round(255 * (1 - coverage));
+            data[i] = Math.min(data[i], newVal);
+            data[i+1] = Math.min(data[i+1], newVal);
+            data[i+2] = Math.min(data[i+2], newVal);
+          }
+        }
+      }
+    });
+    return new ImageData(data, w, h);
+  },
+
+  halftoneLines: (imageData, threshold, lineSpacing = 4, angle = 45, { originY = 0 } = {}) => {
+    const data = new Uint8ClampedArray(imageData.data);
+    const w = imageData.width, h = imageData.height;
+    data.fill(255);
+    
+    const rad = (angle * Math.PI) / 180;
+    const cos = Math.cos(rad), sin = Math.sin(rad);
+    const spacing = Math.max(MIN_HALFTONE_STEP, lineSpacing);
+    
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const i = (y * w + x) * 4;
+        const gray = (imageData.data[i] * 0.299 + imageData.data[i+1] * 0.587 + imageData.data[i+2] * 0.114) / 255;
+        
+        const rx = x * cos + (y + originY) * sin;
+        
+        const linePos = ((rx % spacing) + spacing) % spacing;
+        const centerDist = Math.abs(linePos - spacing / 2);
+        
+        const halfWidth = halftoneLineHalfWidth(gray, spacing, threshold);
+        
+        if (centerDist <= halfWidth + 0.7) {
+          const coverage = Math.max(0, Math.min(1, halfWidth - centerDist + 0.7));
+          const val = Math.round(255 * (1 - coverage));
+          data[i] = data[i+1] = data[i+2] = val;
+        }
+      }
+    }
+    return new ImageData(data, w, h);
+  },
+
+  halftoneSquare: (imageData, threshold, size = 6, angle = 0, { originY = 0, fullHeight = imageData.height } = {}) => {
+    const data = new Uint8ClampedArray(imageData.data);
+    const w = imageData.width, h = imageData.height;
+    data.fill(255);
+    
+    const step = Math.max(MIN_HALFTONE_STEP, size);
+    const rad = (angle * Math.PI) / 180;
+    const cos = Math.cos(rad), sin = Math.sin(rad);
+    
+    forEachHalftoneCell(imageData, step, angle, originY, fullHeight, (cx, cy, gray) => {
+      const squareHalf = halftoneSquareHalf(gray, step, threshold);
+      if (squareHalf < 0.3) return;
+      
+      const extent = squareHalf + 1;
+      const minX = Math.max(0, Math.floor(cx - extent));
+      const maxX = Math.min(w - 1, Math.ceil(cx + extent));
+      const minY = Math.max(0, Math.floor(cy - extent));
+      const maxY = Math.min(h - 1, Math.ceil(cy + extent));
+      
+      for (let py = minY; py <= maxY; py++) {
+        for (let px = minX; px <= maxX; px++) {
+          const dx = px - cx;
+          const dy = py - cy;
+          const rdx = dx * cos + dy * sin;
+          const rdy = -dx * sin + dy * cos;
+          
+          const distX = Math.abs(rdx) - squareHalf;
+          const distY = Math.abs(rdy) - squareHalf;
+          const dist = Math.max(distX, distY);
+          
+          if (dist < 0.7) {
+            const i = (py * w + px) * 4;
+            const coverage = Math.max(0, Math.min(1, -dist + 0.7));
+            const newVal = Math.round(255 * (1 - coverage));
+            data[i] = Math.min(data[i], newVal);
+            data[i+1] = Math.min(data[i+1], newVal);
+            data[i+2] = Math.min(data[i+2], newVal);
+          }
+        }
+      }
+    });
+    return new ImageData(data, w, h);
+  },
+
+  noise: (imageData, threshold, scale = 1, angle, { levels, originY = 0, seed = 0 } = {}) => {
+    const data = new Uint8ClampedArray(imageData.data);
+    const w = imageData.width, h = imageData.height;
+    const pixelScale = Math.max(1, Math.floor(scale));
+    const decisionThreshold = 0.3 + (1 - threshold) * 0.4;
+    const noiseAmount = 0.25;
+    
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const i = (y * w + x) * 4;
+        const gray = (data[i] * 0.299 + data[i+1] * 0.587 + data[i+2] * 0.114) / 255;
+        const sx = Math.floor(x / pixelScale);
+        const sy = Math.floor((y + originY) / pixelScale);
+        const noise = hashRandom(seed, sx, sy);
+        const adjustedThreshold = decisionThreshold + (noise - 0.5) * noiseAmount;
+        const result = quantizeTone(gray, adjustedThreshold, levels);
+        data[i] = data[i+1] = data[i+2] = result;
+      }
+    }
+    return new ImageData(data, w, h);
+  }
+};
+
+// Run a dither algorithm, passing only the parameters it understands
+function runDither(type, imageData, { threshold, scale, angle, ...options }) {
+  const algo = ditherAlgorithms[type];
+  const algoInfo = DITHER_ALGORITHMS[type];
+  if (!algo || !algoInfo) return null;
+  return algo(imageData, threshold, algoInfo.hasScale ? scale : undefined, algoInfo.hasAngle ? angle : undefined, options);
+}
+
+// Vector form of a halftone layer, in image pixels: { dots } as [cx, cy, r] triples or
+// { polygons } as flat [x, y, ...] outlines (rotated squares, variable-width lines), or
+// null for algorithms without geometry. Sizes gain the 0.2px by which the rasterizer's
+// soft edge reaches 50% coverage, so vector and raster weights match.
+export function halftoneShapes(type, imageData, { threshold, scale, angle }) {
+  const w = imageData.width, h = imageData.height;
+  const rad = (angle * Math.PI) / 180;
+  const cos = Math.cos(rad), sin = Math.sin(rad);
+  const step = Math.max(MIN_HALFTONE_STEP, scale);
+  
+  if (type === 'halftoneCircle') {
+    const dots = [];
+    forEachHalftoneCell(imageData, step, angle, 0, h, (cx, cy, gray) => {
+      const radius = halftoneDotRadius(gray, step, threshold);
+      if (radius >= 0.5) dots.push(cx, cy, radius + 0.2);
+    });
+    return { dots: Float32Array.from(dots) };
+  }
+  
+  if (type === 'halftoneSquare') {
+    const polygons = [];
+    forEachHalftoneCell(imageData, step, angle, 0, h, (cx, cy, gray) => {
+      const squareHalf = halftoneSquareHalf(gray, step, threshold);
+      if (squareHalf < 0.3) return;
+      const u = squareHalf + 0.2;
+      const ux = cos * u, uy = sin * u, vx = -sin * u, vy = cos * u;
+      polygons.push(Float32Array.of(
+        cx - ux - vx, cy - uy - vy,
+        cx + ux - vx, cy + uy - vy,
+        cx + ux + vx, cy + uy + vy,
+        cx - ux + vx, cy - uy + vy
+      ));
+    });
+    return { polygons };
+  }
+  
+  if (type === 'halftoneLines') {
+    // Line centres sit at rx = x cos + y sin = (k + 0.5) * spacing; walk each one a pixel at
+    // a time along (-sin, cos), splitting it where it thins out
+    const polygons = [];
+    const src = imageData.data;
+    const corners = [[0, 0], [w, 0], [0, h], [w, h]];
+    const across = corners.map(([x, y]) => x * cos + y * sin);
+    const along = corners.map(([x, y]) => -x * sin + y * cos);
+    const tStart = Math.floor(Math.min(...along)) - 1;
+    const tEnd = Math.ceil(Math.max(...along)) + 1;
+    
+    for (let k = Math.floor(Math.min(...across) / step) - 1; k <= Math.ceil(Math.max(...across) / step); k++) {
+      const c = (k + 0.5) * step;
+      let left = [], right = [];
+      const flush = () => {
+        if (left.length >= 4) polygons.push(Float32Array.from([...left, ...right.reverse().flat()]));
+        left = [];
+        right = [];
+      };
+      
+      for (let t = tStart; t <= tEnd; t++) {
+        const x = c * cos - t * sin;
+        const y = c * sin + t * cos;
+        if (x < -1 || x > w + 1 || y < -1 || y > h + 1) {
+          flush();
+          continue;
+        }
+        const si = (Math.max(0, Math.min(h - 1, Math.round(y))) * w + Math.max(0, Math.min(w - 1, Math.round(x)))) * 4;
+        const gray = (src[si] * 0.299 + src[si+1] * 0.587 + src[si+2] * 0.114) / 255;
+        const half = halftoneLineHalfWidth(gray, step, threshold) + 0.2;
+        if (half < 0.35) {
+          flush();
+          continue;
+        }
+        left.push(x + cos * half, y + sin * half);
+        right.push([x - cos * half, y - sin * half]);
+      }
+      flush();
+    }
+    return { polygons };
+  }
+  
+  return null;
+}
+
+// Blend modes
+const blendModes = {
+  normal: (base, blend, alpha) => blend * alpha + base * (1 - alpha),
+  multiply: (base, blend, alpha) => ((base/255) * (blend/255) * 255) * alpha + base * (1 - alpha),
+  screen: (base, blend, alpha) => (255 - ((255-base)/255) * ((255-blend)/255) * 255) * alpha + base * (1 - alpha),
+  overlay: (base, blend, alpha) => {
+    const result = base < 128 ? (2*base*blend)/255 : 255 - (2*(255-base)*(255-blend))/255;
+    return result * alpha + base * (1 - alpha);
+  },
+  darken: (base, blend, alpha) => Math.min(base, blend) * alpha + base * (1 - alpha),
+  lighten: (base, blend, alpha) => Math.max(base, blend) * alpha + base * (1 - alpha),
+};
+
+// Apply brightness and contrast
+function applyBrightnessContrast(imageData, brightness, contrast) {
+  const data = new Uint8ClampedArray(imageData.data);
+  const factor = (259 * (contrast * 255 + 255)) / (255 * (259 - contrast * 255));
+  
+  for (let i = 0; i < data.length; i += 4) {
+    let r = data[i] + brightness * 255;
+    let g = data[i + 1] + brightness * 255;
+    let b = data[i + 2] + brightness * 255;
+    
+    r = factor * (r - 128) + 128;
+    g = factor * (g - 128) + 128;
+    b = factor * (b - 128) + 128;
+    
+    data[i] = Math.max(0, Math.min(255, r));
+    data[i + 1] = Math.max(0, Math.min(255, g));
+    data[i + 2] = Math.max(0, Math.min(255, b));
+  }
+  
+  return new ImageData(data, imageData.width, imageData.height);
+}
+
+// Monotone cubic (Fritsch-Carlson) curve through [x, y] points (0-1) as a 256-entry LUT.
+// Monotone interpolation never overshoots between points, so tones can't fold back.
+export function buildCurveLut(points) {
+  const lut = new Float32Array(256);
+  const pts = [...points].sort((a, b) => a[0] - b[0]);
+  const n = pts.length;
+  if (n < 2) {
+    for (let i = 0; i < 256; i++) lut[i] = i / 255;
+    return lut;
+  }
+  
+  const slopes = [];
+  for (let i = 0; i < n - 1; i++) {
+    const dx = pts[i + 1][0] - pts[i][0];
+    slopes.push(dx > 0 ? (pts[i + 1][1] - pts[i][1]) / dx : 0);
+  }
+  const tangents = pts.map((_, i) => {
+    if (i === 0) return slopes[0];
+    if (i === n - 1) return slopes[n - 2];
+    return slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+  });
+  for (let i = 0; i < n - 1; i++) {
+    if (slopes[i] === 0) {
+      tangents[i] = tangents[i + 1] = 0;
+      continue;
+    }
+    const a = tangents[i] / slopes[i], b = tangents[i + 1] / slopes[i];
+    const sum = a * a + b * b;
+    if (sum > 9) {
+      const tau = 3 / Math.sqrt(sum);
+      tangents[i] = tau * a * slopes[i];
+      tangents[i + 1] = tau * b * slopes[i];
+    }
+  }
+  
+  let segment = 0;
+  for (let i = 0; i < 256; i++) {
+    const x = i / 255;
+    let y;
+    if (x <= pts[0][0]) y = pts[0][1];
+    else if (x >= pts[n - 1][0]) y = pts[n - 1][1];
+    else {
+      while (segment < n - 2 && x > pts[segment + 1][0]) segment++;
+      const [x0, y0] = pts[segment], [x1, y1] = pts[segment + 1];
+      const h = x1 - x0, t = (x - x0) / h;
+      const t2 = t * t, t3 = t2 * t;
+      y = (2 * t3 - 3 * t2 + 1) * y0 + (t3 - 2 * t2 + t) * h * tangents[segment]
+        + (-2 * t3 + 3 * t2) * y1 + (t3 - t2) * h * tangents[segment + 1];
+    }
+    lut[i] = Math.max(0, Math.min(1, y));
+  }
+  return lut;
+}
+
+function isIdentityCurve(points) {
+  return !points || (points.length === 2 && points.every(([x, y]) => x === y));
+}
+
+// Combined levels (black point, white point, gamma) + curve LUT (0-255), or null if both are neutral
+export function buildToneLut(levels, curvePoints) {
+  const { black = 0, white = 255, gamma = 1 } = levels || {};
+  const neutralLevels = black === 0 && white === 255 && gamma === 1;
+  if (neutralLevels && isIdentityCurve(curvePoints)) return null;
+  
+  const curve = buildCurveLut(curvePoints || [[0, 0], [1, 1]]);
+  const lut = new Uint8ClampedArray(256);
+  for (let i = 0; i < 256; i++) {
+    const v = Math.max(0, Math.min(1, (i - black) / Math.max(1, white - black)));
+    const leveled = Math.pow(v, 1 / gamma);
+    lut[i] = Math.round(curve[Math.round(leveled * 255)] * 255);
+  }
+  return lut;
+}
+
+function applyToneLut(imageData, lut) {
+  const data = new Uint8ClampedArray(imageData.data);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = lut[data[i]];
+    data[i + 1] = lut[data[i + 1]];
+    data[i + 2] = lut[data[i + 2]];
+  }
+  return new ImageData(data, imageData.width, imageData.height);
+}
+
+// Luminance histogram (256 bins), of the channels mapped through lut if given
+export function computeHistogram(imageData, lut = null) {
+  const histogram = new Uint32Array(256);
+  const data = imageData.data;
+  for (let i = 0; i < data.length; i += 4) {
+    const r = lut ? lut[data[i]] : data[i];
+    const g = lut ? lut[data[i + 1]] : data[i + 1];
+    const b = lut ? lut[data[i + 2]] : data[i + 2];
+    histogram[Math.round(r * 0.299 + g * 0.587 + b * 0.114)]++;
+  }
+  return histogram;
+}
+
+// Separable Gaussian blur (sigma = radius) on RGB
+function gaussianBlur(imageData, radius) {
+  const w = imageData.width, h = imageData.height;
+  if (radius <= 0) return imageData;
+  
+  const sigma = radius;
+  const size = Math.ceil(sigma * 3);
+  const kernel = new Float32Array(size * 2 + 1);
+  let sum = 0;
+  for (let i = -size; i <= size; i++) {
+    kernel[i + size] = Math.exp(-(i * i) / (2 * sigma * sigma));
+    sum += kernel[i + size];
+  }
+  for (let i = 0; i < kernel.length; i++) kernel[i] /= sum;
+  
+  const src = imageData.data;
+  const temp = new Float32Array(w * h * 3);
+  const data = new Uint8ClampedArray(src.length);
+  
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let r = 0, g = 0, b = 0;
+      for (let k = -size; k <= size; k++) {
+        const sx = Math.max(0, Math.min(w - 1, x + k));
+        const si = (y * w + sx) * 4;
+        const weight = kernel[k + size];
+        r += src[si] * weight; g += src[si + 1] * weight; b += src[si + 2] * weight;
+      }
+      const ti = (y * w + x) * 3;
+      temp[ti] = r; temp[ti + 1] = g; temp[ti + 2] = b;
+    }
+  }
+  
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let r = 0, g = 0, b = 0;
+      for (let k = -size; k <= size; k++) {
+        const sy = Math.max(0, Math.min(h - 1, y + k));
+        const ti = (sy * w + x) * 3;
+        const weight = kernel[k + size];
+        r += temp[ti] * weight; g += temp[ti + 1] * weight; b += temp[ti + 2] * weight;
+      }
+      const i = (y * w + x) * 4;
+      data[i] = r; data[i + 1] = g; data[i + 2] = b; data[i + 3] = src[i + 3];
+    }
+  }
+  return new ImageData(data, w, h);
+}
+
+// Unsharp mask: push each pixel away from its blurred value where the difference exceeds threshold
+function unsharpMask(imageData, amount, radius, threshold = 0) {
+  const blurred = gaussianBlur(imageData, radius).data;
+  const src = imageData.data;
+  const data = new Uint8ClampedArray(src.length);
+  const minDiff = threshold * 255;
+  for (let i = 0; i < src.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      const diff = src[i + c] - blurred[i + c];
+      data[i + c] = Math.abs(diff) > minDiff ? src[i + c] + diff * amount : src[i + c];
+    }
+    data[i + 3] = src[i + 3];
+  }
+  return new ImageData(data, imageData.width, imageData.height);
+}
+
+// Median filter per channel, using a sliding histogram along each row (Huang)
+function medianFilter(imageData, radius) {
+  const w = imageData.width, h = imageData.height;
+  const r = Math.max(1, Math.round(radius));
+  const src = imageData.data;
+  const data = new Uint8ClampedArray(src);
+  const histogram = new Uint32Array(256);
+  
+  for (let c = 0; c < 3; c++) {
+    for (let y = 0; y < h; y++) {
+      histogram.fill(0);
+      const y0 = Math.max(0, y - r), y1 = Math.min(h - 1, y + r);
+      let count = 0;
+      
+      const addColumn = (x, sign) => {
+        if (x < 0 || x >= w) return;
+        for (let yy = y0; yy <= y1; yy++) {
+          histogram[src[(yy * w + x) * 4 + c]] += sign;
+          count += sign;
+        }
+      };
+      
+      for (let x = -r; x < r; x++) addColumn(x, 1);
+      for (let x = 0; x < w; x++) {
+        addColumn(x + r, 1);
+        addColumn(x - r - 1, -1);
+        let seen = 0, median = 0;
+        const half = count / 2;
+        while (median < 255 && seen + histogram[median] <= half) {
+          seen += histogram[median];
+          median++;
+        }
+        data[(y * w + x) * 4 + c] = median;
+      }
+    }
+  }
+  return new ImageData(data, w, h);
+}
+
+// Posterize each channel to N levels
+function posterize(imageData, levels) {
+  const steps = Math.max(1, Math.round(levels) - 1);
+  const data = new Uint8ClampedArray(imageData.data);
+  for (let i = 0; i < data.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      data[i + c] = Math.round(Math.round((data[i + c] / 255) * steps) / steps * 255);
+    }
+  }
+  return new ImageData(data, imageData.width, imageData.height);
+}
+
+// Edge extraction as dark lines on white, so layers dither the outlines.
+// Sobel gives soft gradient-strength lines; Canny gives thin binary lines
+// (non-maximum suppression + hysteresis between the low/high thresholds).
+// renderScale compensates for the gentler per-pixel gradients of a higher-resolution render.
+function detectEdges(imageData, { method = 'sobel', strength = 1, low = 0.1, high = 0.25 } = {}, renderScale = 1) {
+  const source = method === 'canny' ? gaussianBlur(imageData, 1.4 * renderScale) : imageData;
+  const w = imageData.width, h = imageData.height;
+  const src = source.data;
+  const gray = new Float32Array(w * h);
+  for (let i = 0; i < w * h; i++) {
+    gray[i] = (src[i * 4] * 0.299 + src[i * 4 + 1] * 0.587 + src[i * 4 + 2] * 0.114) / 255;
+  }
+  
+  const at = (x, y) => gray[Math.max(0, Math.min(h - 1, y)) * w + Math.max(0, Math.min(w - 1, x))];
+  const magnitude = new Float32Array(w * h);
+  const direction = new Uint8Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const gx = -at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1) + at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1);
+      const gy = -at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1) + at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1);
+      const i = y * w + x;
+      magnitude[i] = Math.hypot(gx, gy) / 4 * renderScale;
+      // Quantize gradient direction to 0°, 45°, 90°, 135°
+      const angle = ((Math.atan2(gy, gx) * 180) / Math.PI + 180) % 180;
+      direction[i] = angle < 22.5 || angle >= 157.5 ? 0 : angle < 67.5 ? 1 : angle < 112.5 ? 2 : 3;
+    }
+  }
+  
+  const data = new Uint8ClampedArray(w * h * 4);
+  
+  if (method !== 'canny') {
+    for (let i = 0; i < w * h; i++) {
+      const v = 255 - Math.min(255, magnitude[i] * strength * 255);
+      data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = v;
+      data[i * 4 + 3] = 255;
+    }
+    return new ImageData(data, w, h);
+  }
+  
+  // Non-maximum suppression
+  const neighbours = [[1, 0], [1, 1], [0, 1], [-1, 1]];
+  const thin = new Float32Array(w * h);
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      const i = y * w + x;
+      const [dx, dy] = neighbours[direction[i]];
+      const m = magnitude[i];
+      if (m >= magnitude[i + dy * w + dx] && m >= magnitude[i - dy * w - dx]) thin[i] = m;
+    }
+  }
+  
+  // Hysteresis: keep weak edges only when connected to strong ones
+  const edges = new Uint8Array(w * h);
+  const stack = [];
+  for (let i = 0; i < w * h; i++) {
+    if (thin[i] >= high && !edges[i]) {
+      edges[i] = 1;
+      stack.push(i);
+      while (stack.length) {
+        const j = stack.pop();
+        const jx = j % w, jy = Math.floor(j / w);
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = jx + dx, ny = jy + dy;
+            if (nx < 0 || nx >= w || ny < 0 || ny >= h) continue;
+            const n = ny * w + nx;
+            if (!edges[n] && thin[n] >= low) {
+              edges[n] = 1;
+              stack.push(n);
+            }
+          }
+        }
+      }
+    }
+  }
+  
+  for (let i = 0; i < w * h; i++) {
+    const v = edges[i] ? 0 : 255;
+    data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = v;
+    data[i * 4 + 3] = 255;
+  }
+  return new ImageData(data, w, h);
+}
+
+// Run the enabled pre-filters in order
+export function applyPreFilters(imageData, filters, renderScale = 1) {
+  let result = imageData;
+  for (const filter of filters || []) {
+    if (!filter.enabled) continue;
+    switch (filter.type) {
+      case 'blur': result = gaussianBlur(result, filter.radius); break;
+      case 'unsharp': result = unsharpMask(result, filter.amount, filter.radius, filter.threshold); break;
+      case 'median': result = medianFilter(result, filter.radius); break;
+      case 'posterize': result = posterize(result, filter.levels); break;
+      case 'edges': result = detectEdges(result, filter, renderScale); break;
+      default: break;
+    }
+  }
+  return result;
+}
+
+// Rows a pre-filter chain reads beyond each output row (how far tiles must overlap).
+// Canny's hysteresis can follow an edge further; tracing is cut off past this margin.
+function preFilterHalo(filters, renderScale = 1) {
+  let halo = 0;
+  for (const filter of filters || []) {
+    if (!filter.enabled) continue;
+    switch (filter.type) {
+      case 'blur':
+      case 'unsharp': halo += Math.ceil(filter.radius * 3); break;
+      case 'median': halo += Math.max(1, Math.round(filter.radius)); break;
+      case 'edges': halo += filter.method === 'canny' ? Math.ceil(16 * renderScale) : 1; break;
+      default: break;
+    }
+  }
+  return halo;
+}
+
+// Invert image data
+function invertImageData(imageData) {
+  const data = new Uint8ClampedArray(imageData.data);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = 255 - data[i];
+    data[i + 1] = 255 - data[i + 1];
+    data[i + 2] = 255 - data[i + 2];
+  }
+  return new ImageData(data, imageData.width, imageData.height);
+}
+
+// Dilation passes for an ink bleed amount; each pass spreads ink by one pixel, so a
+// render at renderScale times the size needs that many times the passes
+function inkBleedPasses(amount, renderScale = 1) {
+  return Math.max(1, Math.round(amount * 3 * renderScale));
+}
+
+// Ink bleed effect - simulates capillary action via randomized dilation (fiber spread).
+// The spread is drawn from the seed at each pixel's position (rows from originY).
+function applyInkBleed(imageData, amount, roughness = 0.5, { renderScale = 1, seed = 0, originY = 0 } = {}) {
+  const w = imageData.width, h = imageData.height;
+  const original = new Uint8ClampedArray(imageData.data); // Read-only copy
+  const result = new Uint8ClampedArray(imageData.data);   // Output buffer
+  
+  // Number of dilation passes based on amount (1-3 passes at 1x)
+  const passes = inkBleedPasses(amount, renderScale);
+  
+  // Probability of a white pixel bleeding based on amount and roughness
+  // Higher roughness = more irregular/random spread
+  const baseProb = 0.3 + amount * 0.5; // 0.3 to 0.8 range
+  
+  // Run multiple dilation passes
+  for (let pass = 0; pass < passes; pass++) {
+    // Use result from previous pass as the new "original" for this pass
+    if (pass > 0) {
+      for (let i = 0; i < original.length; i++) {
+        original[i] = result[i];
+      }
+    }
+    
+    // Iterate through every pixel
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const i = (y * w + x) * 4;
+        
+        // Check if current pixel is white (paper)
+        const gray = original[i] * 0.299 + original[i + 1] * 0.587 + original[i + 2] * 0.114;
+        const isPaper = gray >= 128;
+        
+        if (isPaper) {
+          // Check 4 neighbors (Up, Down, Left, Right)
+          const neighbors = [
+            [x, y - 1], // Up
+            [x, y + 1], // Down
+            [x - 1, y], // Left
+            [x + 1, y]  // Right
+          ];
+          
+          let hasInkNeighbor = false;
+          let inkColor = [0, 0, 0];
+          
+          for (const [nx, ny] of neighbors) {
+            if (nx >= 0 && nx < w && ny >= 0 && ny < h) {
+              const ni = (ny * w + nx) * 4;
+              const neighborGray = original[ni] * 0.299 + original[ni + 1] * 0.587 + original[ni + 2] * 0.114;
+              if (neighborGray < 128) {
+                hasInkNeighbor = true;
+                inkColor = [original[ni], original[ni + 1], original[ni + 2]];
+                break;
+              }
+            }
+          }
+          
+          if (hasInkNeighbor) {
+            // Calculate bleed probability with roughness adding randomness
+            const prob = baseProb * (1 - roughness * 0.5 + hashRandom(seed, x, y + originY, pass * 2) * roughness);
+            
+            if (hashRandom(seed, x, y + originY, pass * 2 + 1) < prob) {
+              // Flip to ink - but at 90% opacity (slightly lighter than core ink)
+              // This simulates ink thinning as it spreads into paper fibers
+              const bleedOpacity = 0.9;
+              result[i] = Math.round(inkColor[0] * bleedOpacity + 255 * (1 - bleedOpacity));
+              result[i + 1] = Math.round(inkColor[1] * bleedOpacity + 255 * (1 - bleedOpacity));
+              result[i + 2] = Math.round(inkColor[2] * bleedOpacity + 255 * (1 - bleedOpacity));
+            }
+          }
+        }
+        // If it's already ink, keep it as-is (already copied from original)
+      }
+    }
+  }
+  
+  return new ImageData(result, w, h);
+}
+
+// Interpolate between colors
+function interpolateColor(color1, color2, t) {
+  return [
+    Math.round(color1[0] + (color2[0] - color1[0]) * t),
+    Math.round(color1[1] + (color2[1] - color1[1]) * t),
+    Math.round(color1[2] + (color2[2] - color1[2]) * t)
+  ];
+}
+
+// Apply gradient map
+function applyGradientMap(imageData, gradientColors) {
+  const data = new Uint8ClampedArray(imageData.data);
+  const colors = gradientColors.map(key => DOMO_PALETTE[key]?.rgb || [0, 0, 0]);
+  const numStops = colors.length;
+  
+  for (let i = 0; i < data.length; i += 4) {
+    const gray = (data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114) / 255;
+    
+    const scaledPos = gray * (numStops - 1);
+    const index = Math.min(Math.floor(scaledPos), numStops - 2);
+    const t = scaledPos - index;
+    
+    const [r, g, b] = interpolateColor(colors[index], colors[index + 1], t);
+    
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+  }
+  
+  return new ImageData(data, imageData.width, imageData.height);
+}
+
+// sRGB (0-255) to CIE Lab (D65), for perceptual color distance
+export function rgbToLab([r, g, b]) {
+  const toLinear = (c) => {
+    const v = c / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  };
+  const lr = toLinear(r), lg = toLinear(g), lb = toLinear(b);
+  const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+  const y = lr * 0.2126 + lg * 0.7152 + lb * 0.0722;
+  const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+  const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  const fx = f(x), fy = f(y), fz = f(z);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+// Nearest palette color by Lab distance, memoized on a 5-bit-per-channel RGB grid
+export function createPaletteMatcher(colors) {
+  const labs = colors.map(rgbToLab);
+  const cache = new Int16Array(32768).fill(-1);
+  return (r, g, b) => {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    if (cache[key] >= 0) return cache[key];
+    // Match the grid cell centre so the result is independent of visit order
+    const [l, a, bb] = rgbToLab([(r & ~7) + 4, (g & ~7) + 4, (b & ~7) + 4]);
+    let best = 0, bestDist = Infinity;
+    for (let i = 0; i < labs.length; i++) {
+      const dl = l - labs[i][0], da = a - labs[i][1], db = bb - labs[i][2];
+      const dist = dl * dl + da * da + db * db;
+      if (dist < bestDist) { bestDist = dist; best = i; }
+    }
+    cache[key] = best;
+    return best;
+  };
+}
+
+// Palette dither: quantize the RGB source straight to a set of palette colors.
+// Diffusion kernels spread the RGB error vector; ordered maps jitter the color
+// before matching (strength = spread). 'none' snaps to the nearest color.
+// Bands (originY, fullHeight, carry) work as in errorDiffusion.
+export function paletteDither(imageData, colorKeys, method, { scale = 1, strength = 1, serpentine = false, textureSize, seed, originY = 0, fullHeight = imageData.height, carry = null } = {}) {
+  const colors = colorKeys.map(key => DOMO_PALETTE[key]?.rgb || [0, 0, 0]);
+  const nearest = createPaletteMatcher(colors);
+  const w = imageData.width, h = imageData.height;
+  const src = imageData.data;
+  const pixelScale = Math.max(1, Math.floor(scale));
+  const sw = Math.ceil(w / pixelScale);
+  const sh = Math.ceil(h / pixelScale);
+  const firstRow = Math.floor(originY / pixelScale);
+  const rowLimit = Math.min(sh + DIFFUSION_SPILL_ROWS, Math.ceil(fullHeight / pixelScale) - firstRow);
+  
+  // Block-average RGB
+  const rgb = new Float32Array(sw * (sh + DIFFUSION_SPILL_ROWS) * 3);
+  for (let sy = 0; sy < sh; sy++) {
+    for (let sx = 0; sx < sw; sx++) {
+      let r = 0, g = 0, b = 0, count = 0;
+      for (let dy = 0; dy < pixelScale && sy * pixelScale + dy < h; dy++) {
+        for (let dx = 0; dx < pixelScale && sx * pixelScale + dx < w; dx++) {
+          const idx = ((sy * pixelScale + dy) * w + (sx * pixelScale + dx)) * 4;
+          r += src[idx]; g += src[idx + 1]; b += src[idx + 2];
+          count++;
+        }
+      }
+      const o = (sy * sw + sx) * 3;
+      rgb[o] = r / count; rgb[o + 1] = g / count; rgb[o + 2] = b / count;
+    }
+  }
+  
+  const indices = new Uint8Array(sw * sh);
+  const clamp = (v) => Math.max(0, Math.min(255, Math.round(v)));
+  const thresholdMap = getThresholdMap(method, { textureSize, seed });
+  const isDiffusion = DITHER_ALGORITHMS[method]?.category === 'diffusion';
+  
+  if (thresholdMap) {
+    const { map, size } = thresholdMap;
+    const spread = strength * 128;
+    for (let y = 0; y < sh; y++) {
+      for (let x = 0; x < sw; x++) {
+        const i = y * sw + x;
+        const offset = (map[((firstRow + y) % size) * size + (x % size)] - 0.5) * spread;
+        indices[i] = nearest(clamp(rgb[i * 3] + offset), clamp(rgb[i * 3 + 1] + offset), clamp(rgb[i * 3 + 2] + offset));
+      }
+    }
+  } else if (isDiffusion) {
+    const variable = method === 'ostromoukhov';
+    const kernel = DIFFUSION_KERNELS[method] || DIFFUSION_KERNELS.floydSteinberg;
+    const spreadError = (x, y, dx, dy, weight, er, eg, eb) => {
+      const nx = x + dx, ny = y + dy;
+      if (nx < 0 || nx >= sw || ny >= rowLimit) return;
+      const o = (ny * sw + nx) * 3;
+      rgb[o] += er * weight; rgb[o + 1] += eg * weight; rgb[o + 2] += eb * weight;
+    };
+    
+    if (carry?.error) {
+      for (let i = 0; i < carry.error.length; i++) rgb[i] += carry.error[i];
+    }
+    
+    for (let y = 0; y < sh; y++) {
+      const reverse = serpentine && (firstRow + y) % 2 === 1;
+      const dir = reverse ? -1 : 1;
+      for (let step = 0; step < sw; step++) {
+        const x = reverse ? sw - 1 - step : step;
+        const i = y * sw + x;
+        const r = clamp(rgb[i * 3]), g = clamp(rgb[i * 3 + 1]), b = clamp(rgb[i * 3 + 2]);
+        const index = nearest(r, g, b);
+        indices[i] = index;
+        const [pr, pg, pb] = colors[index];
+        const er = (r - pr) * strength, eg = (g - pg) * strength, eb = (b - pb) * strength;
+        
+        if (variable) {
+          const level = clamp(r * 0.299 + g * 0.587 + b * 0.114);
+          const [right, downLeft, down, divisor] = OSTROMOUKHOV_COEFFICIENTS[level <= 127 ? level : 255 - level];
+          spreadError(x, y, dir, 0, right / divisor, er, eg, eb);
+          spreadError(x, y, -dir, 1, downLeft / divisor, er, eg, eb);
+          spreadError(x, y, 0, 1, down / divisor, er, eg, eb);
+        } else {
+          for (const [dx, dy, weight] of kernel.taps) {
+            spreadError(x, y, dx * dir, dy, weight / kernel.divisor, er, eg, eb);
+          }
+        }
+      }
+    }
+    if (carry) carry.error = rgb.slice(sw * sh * 3);
+  } else {
+    for (let i = 0; i < sw * sh; i++) {
+      indices[i] = nearest(clamp(rgb[i * 3]), clamp(rgb[i * 3 + 1]), clamp(rgb[i * 3 + 2]));
+    }
+  }
+  
+  const data = new Uint8ClampedArray(w * h * 4);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const [r, g, b] = colors[indices[Math.floor(y / pixelScale) * sw + Math.floor(x / pixelScale)]];
+      const idx = (y * w + x) * 4;
+      data[idx] = r; data[idx + 1] = g; data[idx + 2] = b; data[idx + 3] = 255;
+    }
+  }
+  return new ImageData(data, w, h);
+}
+
+// Extract the grayscale source a layer dithers (see SOURCE_CHANNELS)
+function extractChannel(imageData, { channel = 'luminance', channelInvert = false, hueCenter = 0, hueRange = 30, hueFalloff = 20 } = {}) {
+  if (channel === 'luminance' && !channelInvert) return imageData;
+  
+  const src = imageData.data;
+  const data = new Uint8ClampedArray(src.length);
+  
+  for (let i = 0; i < src.length; i += 4) {
+    const r = src[i], g = src[i + 1], b = src[i + 2];
+    let value;
+    
+    if (channel === 'red') value = r;
+    else if (channel === 'green') value = g;
+    else if (channel === 'blue') value = b;
+    else if (channel === 'saturation' || channel === 'hue') {
+      const max = Math.max(r, g, b), min = Math.min(r, g, b);
+      const saturation = max === 0 ? 0 : (max - min) / max;
+      let amount = saturation;
+      
+      if (channel === 'hue') {
+        let hue = 0;
+        if (max !== min) {
+          const d = max - min;
+          if (max === r) hue = ((g - b) / d + 6) % 6;
+          else if (max === g) hue = (b - r) / d + 2;
+          else hue = (r - g) / d + 4;
+          hue *= 60;
+        }
+        const dist = Math.abs(((hue - hueCenter) % 360 + 540) % 360 - 180);
+        let weight;
+        if (dist <= hueRange) weight = 1;
+        else if (hueFalloff <= 0 || dist >= hueRange + hueFalloff) weight = 0;
+        else weight = 1 - (dist - hueRange) / hueFalloff;
+        amount *= weight;
+      }
+      value = 255 * (1 - amount);
+    } else {
+      value = r * 0.299 + g * 0.587 + b * 0.114;
+    }
+    
+    if (channelInvert) value = 255 - value;
+    data[i] = data[i + 1] = data[i + 2] = value;
+    data[i + 3] = 255;
+  }
+  
+  return new ImageData(data, imageData.width, imageData.height);
+}
+
+// Smooth 0-1 ramp between edge0 and edge1
+function smoothstep(edge0, edge1, x) {
+  if (edge1 <= edge0) return x < edge0 ? 0 : 1;
+  const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
+
+// Painted mask bytes <-> base64, so masks survive presets and JSON
+export function encodeMaskData(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return btoa(binary);
+}
+
+export function decodeMaskData(str, size = PAINT_MASK_SIZE * PAINT_MASK_SIZE) {
+  if (!str) return new Uint8Array(size).fill(255);
+  const binary = atob(str);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// Per-pixel mask weights (0-1) for a layer in canvas space, or null when unmasked.
+// Tonal masks read source luminance at the same position the layer samples its plate
+// from (sx = x + mapX), so they follow the layer's misregistration.
+// For tiled rendering only canvas rows [originY, originY + rows) are built, and
+// sourceData may be a band of the source starting at row sourceY.
+export function buildLayerMask(mask, width, height, sourceData, mapX = 0, mapY = 0, { originY = 0, rows = height, sourceY = 0 } = {}) {
+  if (!mask || !['tonal', 'linear', 'radial', 'painted'].includes(mask.type)) return null;
+  
+  const weights = new Float32Array(width * rows);
+  const maxDim = Math.max(width, height);
+  
+  if (mask.type === 'tonal') {
+    const { low = 0, high = 1, softness = 0 } = mask;
+    const src = sourceData.data;
+    const sw = sourceData.width, sh = sourceData.height;
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < width; x++) {
+        const sx = Math.max(0, Math.min(sw - 1, Math.floor(x + mapX)));
+        const sy = Math.max(0, Math.min(sh - 1, Math.floor(y + originY + mapY) - sourceY));
+        const si = (sy * sw + sx) * 4;
+        const lum = (src[si] * 0.299 + src[si + 1] * 0.587 + src[si + 2] * 0.114) / 255;
+        weights[y * width + x] = smoothstep(low - softness, low, lum) * (1 - smoothstep(high, high + softness, lum));
+      }
+    }
+  } else if (mask.type === 'linear') {
+    const rad = ((mask.angle ?? 90) * Math.PI) / 180;
+    const dx = Math.cos(rad), dy = Math.sin(rad);
+    const half = Math.max(0.001, mask.width ?? 0.4) / 2;
+    const position = mask.position ?? 0.5;
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < width; x++) {
+        // Project onto the gradient direction, aspect-correct around the canvas centre
+        const t = ((x - width / 2) * dx + (y + originY - height / 2) * dy) / maxDim + 0.5;
+        weights[y * width + x] = smoothstep(position - half, position + half, t);
+      }
+    }
+  } else if (mask.type === 'radial') {
+    const { cx = 0.5, cy = 0.5, radius = 0.3, feather = 0.2 } = mask;
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < width; x++) {
+        const dist = Math.hypot(x - cx * width, y + originY - cy * height) / maxDim;
+        weights[y * width + x] = 1 - smoothstep(radius, radius + feather, dist);
+      }
+    }
+  } else if (mask.type === 'painted') {
+    const size = PAINT_MASK_SIZE;
+    const bytes = decodeMaskData(mask.data);
+    for (let y = 0; y < rows; y++) {
+      const v = ((y + originY) / Math.max(1, height - 1)) * (size - 1);
+      const y0 = Math.floor(v), y1 = Math.min(size - 1, y0 + 1), fy = v - y0;
+      for (let x = 0; x < width; x++) {
+        const u = (x / Math.max(1, width - 1)) * (size - 1);
+        const x0 = Math.floor(u), x1 = Math.min(size - 1, x0 + 1), fx = u - x0;
+        const top = bytes[y0 * size + x0] * (1 - fx) + bytes[y0 * size + x1] * fx;
+        const bottom = bytes[y1 * size + x0] * (1 - fx) + bytes[y1 * size + x1] * fx;
+        weights[y * width + x] = (top * (1 - fy) + bottom * fy) / 255;
+      }
+    }
+  }
+  
+  if (mask.invert) {
+    for (let i = 0; i < weights.length; i++) weights[i] = 1 - weights[i];
+  }
+  return weights;
+}
+
+// Stamp a round brush into a painted mask grid; (u, v) are 0-1 canvas coordinates and
+// radiusU/radiusV the brush radius in the same units (they differ for non-square canvases)
+export function paintMaskDab(bytes, u, v, radiusU, radiusV, value) {
+  const size = PAINT_MASK_SIZE;
+  const cx = u * (size - 1), cy = v * (size - 1);
+  const rx = Math.max(0.5, radiusU * (size - 1)), ry = Math.max(0.5, radiusV * (size - 1));
+  const minX = Math.max(0, Math.floor(cx - rx)), maxX = Math.min(size - 1, Math.ceil(cx + rx));
+  const minY = Math.max(0, Math.floor(cy - ry)), maxY = Math.min(size - 1, Math.ceil(cy + ry));
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      const d = Math.hypot((x - cx) / rx, (y - cy) / ry);
+      if (d > 1) continue;
+      // Soft edge over the outer 30% of the brush
+      const strength = 1 - smoothstep(0.7, 1, d);
+      const i = y * size + x;
+      bytes[i] = Math.round(bytes[i] + (value - bytes[i]) * strength);
+    }
+  }
+}
+
+// Parse '#rrggbb' into [r, g, b]
+function hexToRgb(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// Automatic ink separation: decompose the source into one coverage plate per ink.
+// Works in optical density relative to the paper (multiply-style overprinting), where
+// stacked inks add up. Per color, coverages are solved with a few sweeps of bounded
+// coordinate descent; a small penalty prefers using less ink. Results are memoized on a
+// 5-bit RGB grid. Each plate is returned as grayscale (black = full ink) so layers can
+// dither it like any other source.
+export function separateInks(imageData, inkColors, paperRgb) {
+  const w = imageData.width, h = imageData.height;
+  const src = imageData.data;
+  const inkCount = inkColors.length;
+  const density = (value, paper) => Math.max(0, -Math.log(Math.max(value, 4) / Math.max(paper, 4)));
+  const inkDensities = inkColors.map(ink => ink.map((c, ch) => density(c, paperRgb[ch])));
+  const norms = inkDensities.map(d => d[0] * d[0] + d[1] * d[1] + d[2] * d[2]);
+  const inkPenalty = 0.01;
+  
+  const cache = new Float32Array(32768 * inkCount).fill(-1);
+  const coverage = new Float32Array(inkCount);
+  
+  const solve = (r, g, b) => {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    const base = key * inkCount;
+    if (cache[base] >= 0) return base;
+    
+    // Sample the grid cell centre so the cache is independent of visit order
+    const target = [
+      density((r & ~7) + 4, paperRgb[0]),
+      density((g & ~7) + 4, paperRgb[1]),
+      density((b & ~7) + 4, paperRgb[2])
+    ];
+    coverage.fill(0);
+    for (let sweep = 0; sweep < 12; sweep++) {
+      for (let k = 0; k < inkCount; k++) {
+        if (norms[k] === 0) continue;
+        let dot = 0;
+        for (let ch = 0; ch < 3; ch++) {
+          let residual = target[ch];
+          for (let j = 0; j < inkCount; j++) {
+            if (j !== k) residual -= coverage[j] * inkDensities[j][ch];
+          }
+          dot += inkDensities[k][ch] * residual;
+        }
+        coverage[k] = Math.max(0, Math.min(1, (dot - inkPenalty) / norms[k]));
+      }
+    }
+    for (let k = 0; k < inkCount; k++) cache[base + k] = coverage[k];
+    return base;
+  };
+  
+  const plates = inkColors.map(() => new Uint8ClampedArray(w * h * 4));
+  for (let i = 0; i < src.length; i += 4) {
+    const base = solve(src[i], src[i + 1], src[i + 2]);
+    for (let k = 0; k < inkCount; k++) {
+      const plate = plates[k];
+      plate[i] = plate[i + 1] = plate[i + 2] = Math.round(255 * (1 - cache[base + k]));
+      plate[i + 3] = 255;
+    }
+  }
+  return plates.map(plate => new ImageData(plate, w, h));
+}
+
+// Thrown from a render checkpoint when a newer render has superseded this one
+export class RenderCancelled extends Error {
+  constructor() {
+    super('Render cancelled');
+    this.name = 'RenderCancelled';
+  }
+}
+
+// Brightness/contrast, levels/curve, pre-filters and invert. The histogram is of what
+// the curve sees: the tones after brightness/contrast and levels.
+function adjustSource(sourceData, { brightness, contrast, inputLevels, toneCurve, preFilters, invert, renderScale }, withHistogram = false) {
+  let adjusted = sourceData;
+  
+  if (brightness !== 0 || contrast !== 0) {
+    adjusted = applyBrightnessContrast(adjusted, brightness, contrast);
+  }
+  
+  const histogram = withHistogram ? computeHistogram(adjusted, buildToneLut(inputLevels, null)) : null;
+  
+  const toneLut = buildToneLut(inputLevels, toneCurve);
+  if (toneLut) {
+    adjusted = applyToneLut(adjusted, toneLut);
+  }
+  
+  adjusted = applyPreFilters(adjusted, preFilters, renderScale);
+  
+  if (invert) {
+    adjusted = invertImageData(adjusted);
+  }
+  
+  return { adjusted, histogram };
+}
+
+// Which of the whole-image color modes is active, if any
+function getColorMode({ gradientEnabled, gradientColors, paletteEnabled, paletteColors }) {
+  if (gradientEnabled && gradientColors.length >= 2) return 'gradient';
+  if (paletteEnabled && paletteColors.length >= 2) return 'palette';
+  return null;
+}
+
+// Gradient map and palette dither modes: color the adjusted source directly.
+// band passes originY/fullHeight/carry through for tiled rendering.
+function renderColorMode(adjusted, colorMode, settings, band = {}) {
+  const { gradientColors, gradientDitherType, gradientDitherThreshold, gradientDitherScale, gradientDitherAngle } = settings;
+  
+  if (colorMode === 'palette') {
+    return paletteDither(adjusted, settings.paletteColors, settings.paletteDitherType, {
+      scale: settings.paletteDitherScale,
+      strength: settings.paletteDitherStrength,
+      serpentine: settings.paletteSerpentine,
+      seed: settings.seed,
+      ...band
+    });
+  }
+  
+  const ditheredData = gradientDitherType !== 'none' && runDither(gradientDitherType, adjusted, {
+    seed: settings.seed,
+    threshold: gradientDitherThreshold,
+    scale: gradientDitherScale,
+    angle: gradientDitherAngle,
+    ...band
+  });
+  if (!ditheredData) return applyGradientMap(adjusted, gradientColors);
+  
+  const colors = gradientColors.map(key => DOMO_PALETTE[key]?.rgb || [0, 0, 0]);
+  const resultData = new Uint8ClampedArray(ditheredData.data);
+  
+  for (let i = 0; i < resultData.length; i += 4) {
+    const ditheredVal = ditheredData.data[i] / 255;
+    let r, g, b;
+    if (colors.length === 2) {
+      if (ditheredVal < 0.5) {
+        [r, g, b] = colors[0];
+      } else {
+        [r, g, b] = colors[1];
+      }
+    } else {
+      const colorIdx = Math.round(ditheredVal * (colors.length - 1));
+      [r, g, b] = colors[Math.min(colorIdx, colors.length - 1)];
+    }
+    resultData[i] = r;
+    resultData[i + 1] = g;
+    resultData[i + 2] = b;
+  }
+  
+  return new ImageData(resultData, ditheredData.width, ditheredData.height);
+}
+
+// Grayscale source a layer dithers: its channel (or its separation plate) through its curve
+function getLayerSource(source, layer, isPlate = false) {
+  let layerSource = isPlate ? source : extractChannel(source, layer);
+  
+  const layerToneLut = buildToneLut(null, layer.curve);
+  if (layerToneLut) {
+    layerSource = applyToneLut(layerSource, layerToneLut);
+  }
+  return layerSource;
+}
+
+function ditherLayer(layerSource, layer, band = {}) {
+  return runDither(layer.ditherType, layerSource, {
+    threshold: layer.threshold,
+    scale: layer.scale,
+    angle: layer.angle,
+    textureSize: layer.textureSize,
+    serpentine: layer.serpentine,
+    errorStrength: layer.errorStrength,
+    levels: layer.levels,
+    seed: layer.seed,
+    ...band
+  });
+}
+
+// Effective seed per layer: its own override, else one derived from the global seed and
+// the layer's position, so layers don't share a noise or bleed pattern
+export function seedLayers(layers, seed = 0) {
+  return layers.map((layer, index) => ({ ...layer, seed: layer.seed ?? deriveSeed(seed, index) }));
+}
+
+function fillBackground(width, rows, [r, g, b], alpha = 255) {
+  const imageData = new ImageData(width, rows);
+  const data = imageData.data;
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+    data[i + 3] = alpha;
+  }
+  return imageData;
+}
+
+// Canvas rows to composite onto: the paper, or with transparentPaper a clear white sheet
+// whose alpha builds up as ink coverage (see removePaper)
+function paperBackground(width, rows, paperRgb, transparentPaper) {
+  return transparentPaper ? fillBackground(width, rows, [255, 255, 255], 0) : fillBackground(width, rows, paperRgb);
+}
+
+// Straight colors of a composite over clear white paper: each pixel's ink color is what,
+// laid over white at its coverage, gives the composited color
+function removePaper(imageData) {
+  const data = imageData.data;
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = data[i + 3];
+    if (alpha === 0 || alpha === 255) continue;
+    for (let c = 0; c < 3; c++) data[i + c] = 255 - (255 - data[i + c]) * 255 / alpha;
+  }
+}
+
+// Copy the colored scaled image (rows from plateY) onto canvas rows from baseY
+function placeColorImage(base, colored, { offsetX, offsetY, scaledWidth, scaledHeight, baseY = 0, plateY = 0 }) {
+  const width = base.width;
+  
+  for (let y = 0; y < base.height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sx = Math.floor(x + offsetX);
+      const sy = Math.floor(y + baseY + offsetY);
+      
+      if (sx >= 0 && sx < scaledWidth && sy >= 0 && sy < scaledHeight) {
+        const si = ((sy - plateY) * scaledWidth + sx) * 4;
+        const di = (y * width + x) * 4;
+        
+        base.data[di] = colored.data[si];
+        base.data[di + 1] = colored.data[si + 1];
+        base.data[di + 2] = colored.data[si + 2];
+        base.data[di + 3] = 255;
+      }
+    }
+  }
+}
+
+// Blend one dithered layer plate (rows from plateY) onto canvas rows from baseY
+function compositeLayer(base, ditheredData, layer, { offsetX, offsetY, scaledWidth, scaledHeight, maskWeights = null, baseY = 0, plateY = 0 }) {
+  const width = base.width;
+  const [r, g, b] = DOMO_PALETTE[layer.colorKey]?.rgb || [0, 0, 0];
+  const blendFn = blendModes[layer.blendMode] || blendModes.multiply;
+  
+  for (let y = 0; y < base.height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sx = Math.floor(x + offsetX - layer.offsetX);
+      const sy = Math.floor(y + baseY + offsetY - layer.offsetY);
+      
+      if (sx >= 0 && sx < scaledWidth && sy >= 0 && sy < scaledHeight) {
+        const si = ((sy - plateY) * scaledWidth + sx) * 4;
+        const di = (y * width + x) * 4;
+        
+        const darkness = (1 - (ditheredData.data[si] / 255)) * (maskWeights ? maskWeights[y * width + x] : 1);
+        // Treat near-white pixels as fully transparent (screen print behavior)
+        if (darkness > 0.02) {
+          const alpha = layer.opacity * darkness;
+          base.data[di] = blendFn(base.data[di], r, alpha);
+          base.data[di + 1] = blendFn(base.data[di + 1], g, alpha);
+          base.data[di + 2] = blendFn(base.data[di + 2], b, alpha);
+          // Coverage so far, for transparent paper (opaque paper stays opaque)
+          base.data[di + 3] = 255 - (255 - base.data[di + 3]) * (1 - alpha);
+        }
+      }
+    }
+  }
+}
+
+// Memo for renderImage, kept between renders of the same source. Each stage is keyed by
+// the settings it depends on, plus the version of the stage it was computed from, so a
+// change only re-runs its own stage and what comes after it: offset, blend or opacity
+// edits re-composite from the cached plates, a dither change re-dithers one layer.
+export function createRenderCache() {
+  return {
+    source: null,
+    adjusted: null,
+    adjustedKey: null,
+    adjustedVersion: 0,
+    histogram: null,
+    separation: null,
+    separationKey: null,
+    separationVersion: 0,
+    plates: new Map(),
+    composite: null,
+    compositeKey: null
+  };
+}
+
+// Everything about a layer except how it is placed and composited
+function layerPlateKey(layer, bleedKey, plateKey) {
+  const { id, offsetX, offsetY, blendMode, opacity, visible, mask, colorKey, ...params } = layer;
+  return JSON.stringify([params, bleedKey, plateKey]);
+}
+
+// Full pipeline for one settings snapshot. sourceData is the image already scaled by
+// settings.imageScale; the result is width x height with the scaled image centred.
+// With settings.transparentPaper the paper is left out and ink coverage becomes alpha.
+// checkpoint(progress) is awaited between stages so the caller can report progress,
+// yield to incoming messages and abort a stale render by throwing RenderCancelled.
+// Pass the same cache (and sourceData object) across renders to reuse unchanged stages.
+// Settings for rendering factor times larger. Everything measured in pixels (dot, line and
+// block sizes, layer offsets, filter radii, bleed spread) grows with the canvas, so a 4x
+// render is the same design with finer detail rather than a blown-up 1x one.
+export function scaleSettings(settings, factor) {
+  if (factor === 1) return settings;
+  return {
+    ...settings,
+    renderScale: (settings.renderScale || 1) * factor,
+    gradientDitherScale: settings.gradientDitherScale * factor,
+    paletteDitherScale: settings.paletteDitherScale * factor,
+    preFilters: (settings.preFilters || []).map(filter => 'radius' in filter ? { ...filter, radius: filter.radius * factor } : filter),
+    layers: settings.layers.map(layer => ({
+      ...layer,
+      scale: layer.scale * factor,
+      offsetX: layer.offsetX * factor,
+      offsetY: layer.offsetY * factor
+    }))
+  };
+}
+
+export async function renderImage(sourceData, width, height, settings, { checkpoint = () => {}, withHistogram = false, cache = createRenderCache() } = {}) {
+  const { layers, autoSeparation, backgroundColor, inkBleed, inkBleedAmount, inkBleedRoughness, renderScale = 1, seed = 0 } = settings;
+  
+  if (cache.source !== sourceData) {
+    Object.assign(cache, createRenderCache(), { source: sourceData });
+  }
+  
+  const compositeKey = JSON.stringify([width, height, settings]);
+  if (cache.compositeKey === compositeKey) {
+    return { imageData: new ImageData(new Uint8ClampedArray(cache.composite.data), width, height), histogram: withHistogram ? cache.histogram : null };
+  }
+  
+  const scaledWidth = sourceData.width;
+  const scaledHeight = sourceData.height;
+  const visibleLayers = seedLayers(layers, seed).filter(layer => layer.visible !== false);
+  const colorMode = getColorMode(settings);
+  const totalSteps = 2 + (colorMode ? 1 : visibleLayers.length);
+  let step = 0;
+  const advance = () => checkpoint(++step / totalSteps);
+  
+  const adjustedKey = JSON.stringify([settings.brightness, settings.contrast, settings.inputLevels, settings.toneCurve, settings.preFilters, settings.invert, renderScale]);
+  if (cache.adjustedKey !== adjustedKey) {
+    const { adjusted, histogram } = adjustSource(sourceData, settings, true);
+    cache.adjusted = adjusted;
+    cache.adjustedKey = adjustedKey;
+    cache.adjustedVersion++;
+    cache.histogram = histogram;
+  }
+  const adjustedSource = cache.adjusted;
+  await advance();
+  
+  const paperRgb = hexToRgb(backgroundColor);
+  const baseImageData = paperBackground(width, height, paperRgb, settings.transparentPaper);
+  const placement = { offsetX: (scaledWidth - width) / 2, offsetY: (scaledHeight - height) / 2, scaledWidth, scaledHeight };
+  const bleedKey = inkBleed && inkBleedAmount > 0 ? [inkBleedAmount, inkBleedRoughness, renderScale] : null;
+  
+  if (colorMode) {
+    const modeKey = JSON.stringify([colorMode, settings.gradientColors, settings.gradientDitherType, settings.gradientDitherThreshold, settings.gradientDitherScale, settings.gradientDitherAngle, settings.paletteColors, settings.paletteDitherType, settings.paletteDitherScale, settings.paletteDitherStrength, settings.paletteSerpentine, seed, bleedKey, cache.adjustedVersion]);
+    let cached = cache.plates.get('mode');
+    
+    if (!cached || cached.key !== modeKey) {
+      let finalImageData = renderColorMode(adjustedSource, colorMode, settings);
+      
+      // Apply ink bleed if enabled
+      if (bleedKey) {
+        finalImageData = applyInkBleed(finalImageData, inkBleedAmount, inkBleedRoughness, { renderScale, seed });
+      }
+      
+      cached = { key: modeKey, data: finalImageData };
+      cache.plates.clear();
+      cache.plates.set('mode', cached);
+    }
+    await advance();
+    
+    placeColorImage(baseImageData, cached.data, placement);
+  } else {
+    // Layer mode
+    // Auto separation gives each layer its own ink plate instead of the shared source
+    let plates = null;
+    if (autoSeparation && visibleLayers.length > 0) {
+      const inkColors = visibleLayers.map(layer => DOMO_PALETTE[layer.colorKey]?.rgb || [0, 0, 0]);
+      const separationKey = JSON.stringify([inkColors, backgroundColor, cache.adjustedVersion]);
+      if (cache.separationKey !== separationKey) {
+        cache.separation = separateInks(adjustedSource, inkColors, paperRgb);
+        cache.separationKey = separationKey;
+        cache.separationVersion++;
+      }
+      plates = cache.separation;
+    }
+    
+    const usedPlates = new Set();
+    
+    for (let layerIndex = 0; layerIndex < visibleLayers.length; layerIndex++) {
+      const layer = visibleLayers[layerIndex];
+      const sourceKey = plates ? ['separation', cache.separationVersion, layerIndex] : ['source', cache.adjustedVersion];
+      const plateKey = layerPlateKey(layer, bleedKey, sourceKey);
+      let cached = cache.plates.get(layer.id);
+      
+      if (!cached || cached.key !== plateKey) {
+        const layerSource = getLayerSource(plates ? plates[layerIndex] : adjustedSource, layer, !!plates);
+        let ditheredData = ditherLayer(layerSource, layer);
+        
+        // Apply ink bleed to layer if enabled
+        if (ditheredData && bleedKey) {
+          ditheredData = applyInkBleed(ditheredData, inkBleedAmount, inkBleedRoughness, { renderScale, seed: layer.seed });
+        }
+        
+        cached = { key: plateKey, data: ditheredData };
+        cache.plates.set(layer.id, cached);
+      }
+      usedPlates.add(layer.id);
+      
+      if (cached.data) {
+        const maskWeights = buildLayerMask(layer.mask, width, height, adjustedSource, placement.offsetX - layer.offsetX, placement.offsetY - layer.offsetY);
+        compositeLayer(baseImageData, cached.data, layer, { ...placement, maskWeights });
+      }
+      await advance();
+    }
+    
+    // Drop plates of deleted or hidden layers
+    for (const id of cache.plates.keys()) {
+      if (!usedPlates.has(id)) cache.plates.delete(id);
+    }
+  }
+  
+  if (settings.transparentPaper) removePaper(baseImageData);
+  cache.composite = new ImageData(new Uint8ClampedArray(baseImageData.data), width, height);
+  cache.compositeKey = compositeKey;
+  await advance();
+  return { imageData: baseImageData, histogram: withHistogram ? cache.histogram : null };
+}
+
+// Layer-by-layer description of a render, for exporters that keep layers apart instead of
+// flattening them. Plates stay in scaled-source pixels; each is drawn on the width x height
+// canvas translated by its (x, y) and clipped to plateWidth x plateHeight. Layers are
+//   { layer, hex, rgb, x, y, plate, shapes, mask }
+// where plate is the dithered ImageData (dark = ink), shapes the halftone geometry when
+// vector is set (see halftoneShapes; plate is then null and ink bleed is left out) and
+// mask the canvas-sized layer mask weights or null. The color modes give a single colorImage.
+export async function renderScene(sourceData, width, height, settings, { vector = false, checkpoint = () => {} } = {}) {
+  const { layers, autoSeparation, backgroundColor, inkBleed, inkBleedAmount, inkBleedRoughness, renderScale = 1, seed = 0 } = settings;
+  const visibleLayers = seedLayers(layers, seed).filter(layer => layer.visible !== false);
+  const colorMode = getColorMode(settings);
+  const paperRgb = hexToRgb(backgroundColor);
+  const offsetX = (sourceData.width - width) / 2;
+  const offsetY = (sourceData.height - height) / 2;
+  const bleed = inkBleed && inkBleedAmount > 0;
+  const totalSteps = 2 + (colorMode ? 0 : visibleLayers.length);
+  let step = 0;
+  const advance = () => checkpoint(++step / totalSteps);
+  
+  const scene = { width, height, plateWidth: sourceData.width, plateHeight: sourceData.height, paper: backgroundColor, paperRgb, colorImage: null, x: -offsetX, y: -offsetY, layers: [] };
+  const { adjusted } = adjustSource(sourceData, settings);
+  await advance();
+  
+  if (colorMode) {
+    scene.colorImage = renderColorMode(adjusted, colorMode, settings);
+    if (bleed) scene.colorImage = applyInkBleed(scene.colorImage, inkBleedAmount, inkBleedRoughness, { renderScale, seed });
+    await advance();
+    return scene;
+  }
+  
+  const inkColors = visibleLayers.map(layer => DOMO_PALETTE[layer.colorKey]?.rgb || [0, 0, 0]);
+  const plates = autoSeparation && visibleLayers.length > 0 ? separateInks(adjusted, inkColors, paperRgb) : null;
+  
+  for (let layerIndex = 0; layerIndex < visibleLayers.length; layerIndex++) {
+    const layer = visibleLayers[layerIndex];
+    const layerSource = getLayerSource(plates ? plates[layerIndex] : adjusted, layer, !!plates);
+    const shapes = vector ? halftoneShapes(layer.ditherType, layerSource, layer) : null;
+    let plate = null;
+    if (!shapes) {
+      plate = ditherLayer(layerSource, layer);
+      if (plate && bleed) plate = applyInkBleed(plate, inkBleedAmount, inkBleedRoughness, { renderScale, seed: layer.seed });
+    }
+    
+    if (shapes || plate) {
+      scene.layers.push({
+        layer,
+        hex: DOMO_PALETTE[layer.colorKey]?.hex || '#000000',
+        rgb: inkColors[layerIndex],
+        x: layer.offsetX - offsetX,
+        y: layer.offsetY - offsetY,
+        plate,
+        shapes,
+        mask: buildLayerMask(layer.mask, width, height, adjusted, offsetX - layer.offsetX, offsetY - layer.offsetY)
+      });
+    }
+    await advance();
+  }
+  return scene;
+}
+
+// Flattened canvas of a scene, as renderImage draws it. Only raster plates are composited,
+// so the scene must not come from a vector render.
+export function flattenScene(scene) {
+  const base = fillBackground(scene.width, scene.height, scene.paperRgb);
+  const placement = { offsetX: -scene.x, offsetY: -scene.y, scaledWidth: scene.plateWidth, scaledHeight: scene.plateHeight };
+  if (scene.colorImage) placeColorImage(base, scene.colorImage, placement);
+  for (const { layer, plate, mask } of scene.layers) {
+    if (plate) compositeLayer(base, plate, layer, { ...placement, maskWeights: mask });
+  }
+  return base;
+}
+
+// Colors a render can show, for indexed (GIF) output: the gradient ramp, the palette
+// dither inks, or the paper with every mix of layer inks composited over it, at each tone
+// a layer's levels give. Always includes the paper; at most 256 colors.
+export function inkPalette(settings) {
+  const paper = hexToRgb(settings.backgroundColor);
+  const colorMode = getColorMode(settings);
+  let colors;
+  
+  if (colorMode === 'gradient') {
+    const stops = settings.gradientColors.map(key => DOMO_PALETTE[key]?.rgb || [0, 0, 0]);
+    colors = [paper];
+    for (let i = 0; i < 255; i++) {
+      const position = i / 254 * (stops.length - 1);
+      const index = Math.min(Math.floor(position), stops.length - 2);
+      colors.push(interpolateColor(stops[index], stops[index + 1], position - index));
+    }
+  } else if (colorMode === 'palette') {
+    colors = [paper, ...settings.paletteColors.map(key => DOMO_PALETTE[key]?.rgb || [0, 0, 0])];
+  } else {
+    const layers = settings.layers.filter(layer => layer.visible !== false);
+    // Coverage steps per layer; full coverage only when the tints would make too many mixes
+    let steps = layers.map(layer => Math.max(2, layer.levels || 2));
+    if (steps.reduce((count, n) => count * n, 1) > 256) steps = steps.map(() => 2);
+    colors = [paper];
+    layers.forEach((layer, i) => {
+      const ink = DOMO_PALETTE[layer.colorKey]?.rgb || [0, 0, 0];
+      const blendFn = blendModes[layer.blendMode] || blendModes.multiply;
+      const mixed = [];
+      for (const base of colors) {
+        for (let step = 1; step < steps[i]; step++) {
+          const alpha = layer.opacity * step / (steps[i] - 1);
+          mixed.push(base.map((c, channel) => Math.round(blendFn(c, ink[channel], alpha))));
+        }
+      }
+      colors = colors.concat(mixed);
+    });
+  }
+  
+  const unique = new Map(colors.map(rgb => [rgb.join(','), rgb]));
+  return [...unique.values()].slice(0, 256);
+}
+
+// Warm paper with fibrous grain, after the preview's paper mode overlay (a fractal noise
+// over a #fffdf5 to #f0f0e0 diagonal, multiplied at 30%). grain is the noise cell in pixels.
+export function renderPaperTexture(width, height, { seed = 0, grain = 1.5 } = {}) {
+  const texture = new ImageData(width, height);
+  const data = texture.data;
+  const cell = Math.max(1, grain);
+  const from = [255, 253, 245];
+  const to = [240, 240, 224];
+  
+  for (let y = 0; y < height; y++) {
+    const fy = y / cell;
+    const iy = Math.floor(fy);
+    const ty = smoothstep(0, 1, fy - iy);
+    for (let x = 0; x < width; x++) {
+      const fx = x / cell;
+      const ix = Math.floor(fx);
+      const tx = smoothstep(0, 1, fx - ix);
+      const top = hashRandom(seed, ix, iy, 1) * (1 - tx) + hashRandom(seed, ix + 1, iy, 1) * tx;
+      const bottom = hashRandom(seed, ix, iy + 1, 1) * (1 - tx) + hashRandom(seed, ix + 1, iy + 1, 1) * tx;
+      const noise = (top * (1 - ty) + bottom * ty) * 0.6 + hashRandom(seed, x, y, 2) * 0.4;
+      const t = (x / width + y / height) / 2;
+      const i = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        data[i + c] = (from[c] + (to[c] - from[c]) * t) * 0.75 + noise * 255 * 0.25;
+      }
+      data[i + 3] = 255;
+    }
+  }
+  return texture;
+}
+
+// Rows [a, b) of an image as a new ImageData
+function sliceRows(imageData, a, b) {
+  const rowBytes = imageData.width * 4;
+  return new ImageData(imageData.data.slice(a * rowBytes, b * rowBytes), imageData.width, b - a);
+}
+
+function concatRows(top, bottom) {
+  const data = new Uint8ClampedArray(top.data.length + bottom.data.length);
+  data.set(top.data);
+  data.set(bottom.data, top.data.length);
+  return new ImageData(data, top.width, top.height + bottom.height);
+}
+
+// One stage of the tiled pipeline: a forward-only window over the rows of a full-size
+// image, holding one or more planes. rows(a, b) computes the rows it doesn't have yet,
+// in order, through produce(from, to), which returns planes starting at row `from` and
+// may run past `to` (block-aligned stages). trim(row) releases the rows above `row`;
+// sequential stages (error diffusion) first render up to it so their state carries over,
+// others just skip ahead.
+function createRowStage(width, height, produce, { sequential = false } = {}) {
+  let start = 0, end = 0;
+  let planes = null;
+  
+  const stage = {
+    width,
+    height,
+    rows(a, b) {
+      a = Math.max(0, a);
+      b = Math.min(height, b);
+      if (a < start) throw new Error(`Row ${a} was already released`);
+      while (end < b) {
+        const produced = produce(end, b);
+        planes = planes ? planes.map((plane, i) => concatRows(plane, produced[i])) : produced;
+        end += produced[0].height;
+      }
+      return planes.map(plane => sliceRows(plane, a - start, b - start));
+    },
+    trim(row) {
+      row = Math.min(height, row);
+      if (row <= start) return;
+      if (sequential && row > end) stage.rows(end, row);
+      if (row >= end) {
+        planes = null;
+        start = end = row;
+        return;
+      }
+      planes = planes.map(plane => sliceRows(plane, row - start, end - start));
+      start = row;
+    }
+  };
+  return stage;
+}
+
+// How a dither algorithm tiles: error diffusion runs on block-aligned bands in order,
+// dot screens need a cell of overlap so dots straddling a border come out whole, and
+// everything else is per pixel.
+function getDitherTiling(type, scale) {
+  if (DITHER_ALGORITHMS[type]?.category === 'diffusion') {
+    return { pixelScale: Math.max(1, Math.floor(scale || 1)), halo: 0, sequential: true };
+  }
+  if (type === 'halftoneCircle' || type === 'halftoneSquare') {
+    return { pixelScale: 1, halo: Math.ceil(Math.max(MIN_HALFTONE_STEP, scale)) + 2, sequential: false };
+  }
+  return { pixelScale: 1, halo: 0, sequential: false };
+}
+
+// Dithered rows of an input stage; dither(band, { originY, fullHeight, carry }) renders a
+// band in full-image coordinates
+function createDitherStage(input, { pixelScale, halo, sequential }, dither) {
+  const carry = {};
+  return createRowStage(input.width, input.height, (a, b) => {
+    const end = Math.min(input.height, Math.ceil(b / pixelScale) * pixelScale);
+    const top = Math.max(0, a - halo);
+    const band = input.rows(top, end + halo)[0];
+    const dithered = dither(band, { originY: top, fullHeight: input.height, carry });
+    return [sliceRows(dithered, a - top, end - top)];
+  }, { sequential });
+}
+
+function createBleedStage(input, amount, roughness, { renderScale, seed }) {
+  const halo = inkBleedPasses(amount, renderScale);
+  return createRowStage(input.width, input.height, (a, b) => {
+    const top = Math.max(0, a - halo);
+    const band = input.rows(top, b + halo)[0];
+    return [sliceRows(applyInkBleed(band, amount, roughness, { renderScale, seed, originY: top }), a - top, b - top)];
+  });
+}
+
+// Tiled renderer for exports too large to hold in memory. source is the scaled source as
+// { width, height, readRows(a, b) }; the width x height result is produced in bands of
+// tileRows, top to bottom, and each band is awaited through onRows(imageData, y) so it can
+// stream into an encoder. Every stage only keeps the rows nearby bands still need.
+// Output matches renderImage except for Canny edges traced further than the pre-filter
+// overlap.
+export async function renderTiled(source, width, height, settings, { onRows, checkpoint = () => {}, tileRows = 256 } = {}) {
+  const { layers, autoSeparation, backgroundColor, inkBleed, inkBleedAmount, inkBleedRoughness, renderScale = 1, seed = 0 } = settings;
+  const scaledWidth = source.width;
+  const scaledHeight = source.height;
+  const visibleLayers = seedLayers(layers, seed).filter(layer => layer.visible !== false);
+  const colorMode = getColorMode(settings);
+  const paperRgb = hexToRgb(backgroundColor);
+  const placement = { offsetX: (scaledWidth - width) / 2, offsetY: (scaledHeight - height) / 2, scaledWidth, scaledHeight };
+  const bleed = inkBleed && inkBleedAmount > 0;
+  
+  // Stages with how far above the first plate row of a band they can still be read
+  // (the overlaps of the stages after them), so each releases rows as soon as it can
+  const stages = [];
+  const addStage = (stage, reach) => {
+    stages.push({ stage, reach });
+    return stage;
+  };
+  
+  const bleedHalo = bleed ? inkBleedPasses(inkBleedAmount, renderScale) : 0;
+  const ditherTilings = colorMode
+    ? [colorMode === 'palette'
+        ? { pixelScale: Math.max(1, Math.floor(settings.paletteDitherScale)), halo: 0, sequential: true }
+        : getDitherTiling(settings.gradientDitherType, settings.gradientDitherScale)]
+    : visibleLayers.map(layer => getDitherTiling(layer.ditherType, layer.scale));
+  const ditherReach = bleedHalo + Math.max(0, ...ditherTilings.map(tiling => tiling.halo));
+  const filterHalo = preFilterHalo(settings.preFilters, renderScale);
+  
+  const withBleed = (stage, seed) => bleed ? addStage(createBleedStage(stage, inkBleedAmount, inkBleedRoughness, { renderScale, seed }), 0) : stage;
+  
+  const sourceStage = addStage(createRowStage(scaledWidth, scaledHeight, (a, b) => [source.readRows(a, b)]), ditherReach + filterHalo);
+  const adjustedStage = addStage(createRowStage(scaledWidth, scaledHeight, (a, b) => {
+    const top = Math.max(0, a - filterHalo);
+    const { adjusted } = adjustSource(sourceStage.rows(top, b + filterHalo)[0], settings);
+    return [sliceRows(adjusted, a - top, b - top)];
+  }), ditherReach);
+  
+  // Each visible layer (or the color mode) becomes a chain ending in its plate stage
+  let plateStages;
+  
+  if (colorMode) {
+    const ditherStage = createDitherStage(adjustedStage, ditherTilings[0], (band, options) => renderColorMode(band, colorMode, settings, options));
+    plateStages = [withBleed(addStage(ditherStage, bleedHalo), seed)];
+  } else {
+    const separationStage = autoSeparation && visibleLayers.length > 0
+      ? addStage(createRowStage(scaledWidth, scaledHeight, (a, b) => separateInks(
+          adjustedStage.rows(a, b)[0],
+          visibleLayers.map(layer => DOMO_PALETTE[layer.colorKey]?.rgb || [0, 0, 0]),
+          paperRgb
+        )), ditherReach)
+      : null;
+    
+    plateStages = visibleLayers.map((layer, layerIndex) => {
+      if (!ditherAlgorithms[layer.ditherType]) return null;
+      const layerSourceStage = addStage(createRowStage(scaledWidth, scaledHeight, (a, b) => [
+        separationStage
+          ? getLayerSource(separationStage.rows(a, b)[layerIndex], layer, true)
+          : getLayerSource(adjustedStage.rows(a, b)[0], layer)
+      ]), ditherReach);
+      const ditherStage = createDitherStage(layerSourceStage, ditherTilings[layerIndex], (band, options) => ditherLayer(band, layer, options));
+      return withBleed(addStage(ditherStage, bleedHalo), layer.seed);
+    });
+  }
+  
+  const shifts = colorMode ? [placement.offsetY] : visibleLayers.map(layer => placement.offsetY - layer.offsetY);
+  const minShift = shifts.length ? Math.min(...shifts) : 0;
+  
+  // Scaled-source rows [a, b) that canvas rows [y0, y1) sample with a vertical shift
+  const plateRange = (y0, y1, shift) => [Math.max(0, Math.floor(y0 + shift)), Math.min(scaledHeight, Math.floor(y1 - 1 + shift) + 1)];
+  
+  for (let y0 = 0; y0 < height; y0 += tileRows) {
+    const y1 = Math.min(height, y0 + tileRows);
+    const base = paperBackground(width, y1 - y0, paperRgb, settings.transparentPaper);
+    
+    if (colorMode) {
+      const [a, b] = plateRange(y0, y1, placement.offsetY);
+      if (a < b) placeColorImage(base, plateStages[0].rows(a, b)[0], { ...placement, baseY: y0, plateY: a });
+    } else {
+      visibleLayers.forEach((layer, layerIndex) => {
+        if (!plateStages[layerIndex]) return;
+        const shift = placement.offsetY - layer.offsetY;
+        const [a, b] = plateRange(y0, y1, shift);
+        if (a >= b) return;
+        
+        const plate = plateStages[layerIndex].rows(a, b)[0];
+        const maskSource = layer.mask?.type === 'tonal' ? adjustedStage.rows(a, b)[0] : null;
+        const maskWeights = buildLayerMask(layer.mask, width, height, maskSource, placement.offsetX - layer.offsetX, shift, { originY: y0, rows: y1 - y0, sourceY: a });
+        compositeLayer(base, plate, layer, { ...placement, maskWeights, baseY: y0, plateY: a });
+      });
+    }
+    
+    if (settings.transparentPaper) removePaper(base);
+    await onRows(base, y0);
+    
+    // Release rows no later band can reach, downstream first so sequential stages can
+    // still read their inputs while catching up
+    const firstPlateRow = Math.floor(y1 + minShift);
+    for (let i = stages.length - 1; i >= 0; i--) {
+      stages[i].stage.trim(firstPlateRow - stages[i].reach);
+    }
+    await checkpoint(y1 / height);
+  }
+}
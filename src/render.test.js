@@ -0,0 +1,400 @@
+/**
+ * @jest-environment node
+ */
+import {
+  applyPreFilters,
+  blueNoiseVariant,
+  buildCurveLut,
+  buildLayerMask,
+  buildToneLut,
+  computeHistogram,
+  createPaletteMatcher,
+  decodeMaskData,
+  deriveSeed,
+  DIFFUSION_KERNELS,
+  errorDiffusion,
+  encodeMaskData,
+  getBlueNoiseTexture,
+  OSTROMOUKHOV_COEFFICIENTS,
+  PAINT_MASK_SIZE,
+  paintMaskDab,
+  paletteDither,
+  renderImage,
+  renderTiled,
+  rgbToLab,
+  seedLayers,
+  separateInks
+} from './render';
+
+// Image of gray values, one row per list
+function grayImage(rows) {
+  const image = new ImageData(rows[0].length, rows.length);
+  rows.flat().forEach((value, i) => image.data.set([value, value, value, 255], i * 4));
+  return image;
+}
+
+// Image of one flat color
+function flatImage(rgb, width, height) {
+  const image = new ImageData(width, height);
+  for (let i = 0; i < width * height; i++) image.data.set([...rgb, 255], i * 4);
+  return image;
+}
+
+// Gray values of one row of an image
+const row = (image, y) => Array.from({ length: image.width }, (_, x) => image.data[(y * image.width + x) * 4]);
+
+// Smallest distance between two of the points, measured across the wrap
+function minWrappedDistance(points, size) {
+  let best = Infinity;
+  for (let a = 0; a < points.length; a++) {
+    for (let b = a + 1; b < points.length; b++) {
+      const dx = Math.abs(points[a] % size - points[b] % size);
+      const dy = Math.abs(Math.floor(points[a] / size) - Math.floor(points[b] / size));
+      best = Math.min(best, Math.hypot(Math.min(dx, size - dx), Math.min(dy, size - dy)));
+    }
+  }
+  return best;
+}
+
+describe('blue noise', () => {
+  test('the texture ranks every pixel once', () => {
+    const texture = getBlueNoiseTexture(32);
+    const ranks = Array.from(texture, value => Math.round(value * 32 * 32 - 0.5)).sort((a, b) => a - b);
+    expect(ranks).toEqual(Array.from({ length: 32 * 32 }, (_, i) => i));
+  });
+
+  test('the lightest tones are spread evenly, across the tile edges too', () => {
+    for (const size of [32, 64]) {
+      const texture = getBlueNoiseTexture(size);
+      const points = [];
+      texture.forEach((value, i) => { if (value < 0.1) points.push(i); });
+      expect(minWrappedDistance(points, size)).toBeGreaterThanOrEqual(2);
+    }
+  });
+
+  test('seeds pick shifted and turned variants that tile as well', () => {
+    const base = Array.from(getBlueNoiseTexture(32)).sort((a, b) => a - b);
+    const variant = blueNoiseVariant(32, 7);
+    expect(Array.from(variant).sort((a, b) => a - b)).toEqual(base);
+    const points = [];
+    variant.forEach((value, i) => { if (value < 0.1) points.push(i); });
+    expect(minWrappedDistance(points, 32)).toBeGreaterThanOrEqual(2);
+  });
+
+  test('the same seed gives the same variant and another seed a different one', () => {
+    const variant = Array.from(blueNoiseVariant(32, 7));
+    expect(Array.from(blueNoiseVariant(32, 7))).toEqual(variant);
+    expect(Array.from(blueNoiseVariant(32, 8))).not.toEqual(variant);
+  });
+});
+
+describe('error diffusion', () => {
+  // Threshold of the middle of the tone range
+  const MID = 0.475;
+
+  test('every kernel passes on all of the error, except Atkinson by design', () => {
+    for (const [key, { divisor, taps }] of Object.entries(DIFFUSION_KERNELS)) {
+      const spread = taps.reduce((sum, [, , weight]) => sum + weight, 0) / divisor;
+      expect(spread).toBeCloseTo(key === 'atkinson' ? 6 / 8 : 1);
+    }
+    for (const [right, downLeft, down, divisor] of OSTROMOUKHOV_COEFFICIENTS) {
+      expect(right + downLeft + down).toBe(divisor);
+    }
+  });
+
+  test.each([...Object.keys(DIFFUSION_KERNELS).filter(key => key !== 'atkinson'), 'ostromoukhov'])('%s keeps the tone of a flat gray', (key) => {
+    const image = grayImage(Array.from({ length: 48 }, () => new Array(48).fill(64)));
+    for (const serpentine of [false, true]) {
+      const { data } = errorDiffusion(image, MID, 1, key, { serpentine });
+      const white = data.filter((value, i) => i % 4 === 0 && value === 255).length;
+      expect(white / (48 * 48)).toBeCloseTo(64 / 255, 1);
+    }
+  });
+
+  test('serpentine scans every other row right to left with the kernel mirrored', () => {
+    const tones = Array.from({ length: 40 }, (_, x) => (x * 97 + x * x * 13) % 256);
+    const white = new Array(tones.length).fill(255);
+    for (const key of ['floydSteinberg', 'stucki', 'ostromoukhov']) {
+      const forward = errorDiffusion(grayImage([white, [...tones].reverse()]), MID, 1, key);
+      const serpentine = errorDiffusion(grayImage([white, tones]), MID, 1, key, { serpentine: true });
+      expect(row(serpentine, 1)).toEqual(row(forward, 1).reverse());
+      expect(row(errorDiffusion(grayImage([white, tones]), MID, 1, key), 1)).not.toEqual(row(serpentine, 1));
+    }
+  });
+
+  test('with no error strength every pixel is thresholded on its own', () => {
+    const tones = [0, 40, 90, 127, 128, 170, 255, 126, 129, 60];
+    const { data } = errorDiffusion(grayImage([tones, tones]), MID, 1, 'jarvisJudiceNinke', { errorStrength: 0 });
+    const expected = tones.map(value => value > 127.5 ? 255 : 0);
+    expect(row({ data, width: tones.length }, 0)).toEqual(expected);
+    expect(row({ data, width: tones.length }, 1)).toEqual(expected);
+  });
+});
+
+describe('palette dither', () => {
+  test('rgbToLab matches the CIE reference values', () => {
+    const [l, a, b] = rgbToLab([255, 0, 0]);
+    expect(l).toBeCloseTo(53.24, 1);
+    expect(a).toBeCloseTo(80.09, 0);
+    expect(b).toBeCloseTo(67.20, 0);
+    rgbToLab([255, 255, 255]).forEach((value, i) => expect(value).toBeCloseTo([100, 0, 0][i], 1));
+  });
+
+  test('colors match the palette color nearest in Lab, not in RGB', () => {
+    const keys = ['horizon', 'hearth', 'festival', 'rooted', 'threshold', 'white', 'black'];
+    const nearest = createPaletteMatcher([[0, 98, 255], [67, 14, 10], [233, 40, 10], [17, 83, 59], [199, 169, 90], [255, 255, 255], [0, 0, 0]]);
+    // Festival and Threshold are nearer in RGB
+    expect(keys[nearest(160, 80, 60)]).toBe('hearth');
+    expect(keys[nearest(150, 150, 200)]).toBe('white');
+    expect(keys[nearest(0, 98, 255)]).toBe('horizon');
+  });
+
+  test('without dithering every pixel snaps to its nearest color', () => {
+    const image = flatImage([160, 80, 60], 4, 2);
+    const { data } = paletteDither(image, ['festival', 'hearth', 'white'], 'none');
+    for (let i = 0; i < 8; i++) expect(Array.from(data.subarray(i * 4, i * 4 + 3))).toEqual([67, 14, 10]);
+  });
+
+  test('vector error diffusion mixes the palette colors to the source color on average', () => {
+    // 0.4 Festival + 0.3 Horizon + 0.1 White + 0.2 Black
+    const source = [119, 71, 106];
+    const { data } = paletteDither(flatImage(source, 40, 40), ['festival', 'horizon', 'white', 'black'], 'floydSteinberg', { serpentine: true });
+    const mean = [0, 1, 2].map(c => data.filter((value, i) => i % 4 === c).reduce((sum, value) => sum + value, 0) / 1600);
+    mean.forEach((value, c) => expect(Math.abs(value - source[c])).toBeLessThan(8));
+  });
+});
+
+describe('ink separation', () => {
+  test('a multiply mix of two inks separates into their coverages', () => {
+    const inks = [[17, 83, 59], [199, 169, 90]];
+    const paper = [255, 255, 255];
+    const mixes = [[0.6, 0.3], [0, 0.8], [1, 0], [0.25, 0.5], [0, 0]];
+    // Overprinted inks multiply: at coverage c an ink filters the paper by (ink / paper) ^ c
+    const overprint = coverages => paper.map((value, ch) => value * coverages.reduce((filter, c, k) => filter * (inks[k][ch] / value) ** c, 1));
+    const image = new ImageData(mixes.length, 1);
+    mixes.forEach((coverages, i) => image.data.set([...overprint(coverages).map(Math.round), 255], i * 4));
+
+    const plates = separateInks(image, inks, paper);
+    expect(plates).toHaveLength(2);
+    mixes.forEach((coverages, i) => {
+      const separated = plates.map(plate => 1 - plate.data[i * 4] / 255);
+      separated.forEach((c, k) => expect(Math.abs(c - coverages[k])).toBeLessThan(0.08));
+      overprint(separated).forEach((value, ch) => expect(Math.abs(value - image.data[i * 4 + ch])).toBeLessThan(8));
+    });
+  });
+});
+
+describe('layer masks', () => {
+  const at = (weights, width, x, y) => weights[y * width + x];
+
+  test('a tonal mask keeps the tones in its range, read where the layer samples', () => {
+    const source = grayImage([[0, 64, 128, 192, 255]]);
+    const weights = buildLayerMask({ type: 'tonal', low: 0.2, high: 0.6, softness: 0 }, 5, 1, source);
+    expect(Array.from(weights)).toEqual([0, 1, 1, 0, 0]);
+    const shifted = buildLayerMask({ type: 'tonal', low: 0.2, high: 0.6, softness: 0 }, 5, 1, source, 1, 0);
+    expect(Array.from(shifted)).toEqual([1, 1, 0, 0, 0]);
+  });
+
+  test('linear and radial masks ramp across the canvas', () => {
+    const linear = buildLayerMask({ type: 'linear', angle: 90, position: 0.5, width: 0.4 }, 10, 10, null);
+    expect(at(linear, 10, 5, 0)).toBe(0);
+    expect(at(linear, 10, 5, 5)).toBeCloseTo(0.5);
+    expect(at(linear, 10, 5, 9)).toBe(1);
+    const radial = buildLayerMask({ type: 'radial', cx: 0.5, cy: 0.5, radius: 0.2, feather: 0.1 }, 20, 20, null);
+    expect(at(radial, 20, 10, 10)).toBe(1);
+    expect(at(radial, 20, 0, 0)).toBe(0);
+  });
+
+  test('invert flips the weights and unknown masks are none', () => {
+    const linear = buildLayerMask({ type: 'linear', angle: 0, position: 0.5, width: 0.4, invert: true }, 10, 1, null);
+    expect(linear[0]).toBe(1);
+    expect(linear[9]).toBe(0);
+    expect(buildLayerMask({ type: 'sparkle' }, 10, 1, null)).toBeNull();
+    expect(buildLayerMask(null, 10, 1, null)).toBeNull();
+  });
+
+  test('painted masks survive encoding and stretch over the canvas', () => {
+    const bytes = decodeMaskData(null);
+    expect(bytes.every(value => value === 255)).toBe(true);
+    paintMaskDab(bytes, 0, 0, 0.1, 0.1, 0);
+    const decoded = decodeMaskData(encodeMaskData(bytes));
+    expect(Array.from(decoded)).toEqual(Array.from(bytes));
+    expect(decoded).toHaveLength(PAINT_MASK_SIZE * PAINT_MASK_SIZE);
+    const weights = buildLayerMask({ type: 'painted', data: encodeMaskData(bytes) }, 40, 40, null);
+    expect(at(weights, 40, 0, 0)).toBe(0);
+    expect(at(weights, 40, 39, 39)).toBe(1);
+  });
+});
+
+describe('tone curve', () => {
+  test.each([
+    [[[0, 0], [1, 1]]],
+    [[[0, 0], [0.25, 0.6], [0.5, 0.62], [1, 1]]],
+    [[[0, 0.2], [0.3, 0.2], [0.7, 0.9], [1, 0.9]]],
+    [[[0, 0], [0.1, 0.9], [0.9, 0.95], [1, 1]]]
+  ])('monotonic points give a monotonic curve through them (%j)', (points) => {
+    const lut = buildCurveLut(points);
+    for (let i = 1; i < 256; i++) expect(lut[i]).toBeGreaterThanOrEqual(lut[i - 1]);
+    for (const [x, y] of points) expect(lut[Math.round(x * 255)]).toBeCloseTo(y, 1);
+  });
+
+  test('levels map the black and white points to the ends, and neutral tones to no lut', () => {
+    expect(buildToneLut({ black: 0, white: 255, gamma: 1 }, [[0, 0], [1, 1]])).toBeNull();
+    const lut = buildToneLut({ black: 50, white: 200, gamma: 1 }, null);
+    expect([lut[0], lut[50], lut[125], lut[200], lut[255]]).toEqual([0, 0, 128, 255, 255]);
+  });
+
+  test('the histogram counts the tones after the lut', () => {
+    const image = grayImage([[10, 10, 100, 250]]);
+    const histogram = computeHistogram(image, buildToneLut({ black: 10, white: 250, gamma: 1 }, null));
+    expect(histogram[0]).toBe(2);
+    expect(histogram[255]).toBe(1);
+    expect(histogram.reduce((sum, count) => sum + count, 0)).toBe(4);
+    expect(computeHistogram(image)[10]).toBe(2);
+  });
+});
+
+describe('pre-filters', () => {
+  const flat = () => grayImage(Array.from({ length: 9 }, () => new Array(13).fill(100)));
+  // Dark left half, light right half, the step between x = 5 and 6
+  const step = () => grayImage(Array.from({ length: 12 }, () => Array.from({ length: 12 }, (_, x) => x <= 5 ? 0 : 255)));
+  const filter = (type, options = {}) => ({ type, enabled: true, ...options });
+
+  test.each([
+    [filter('blur', { radius: 2 })],
+    [filter('unsharp', { amount: 1, radius: 2, threshold: 0 })],
+    [filter('median', { radius: 1 })],
+    [filter('posterize', { levels: 4 })],
+    [filter('edges', { method: 'sobel', strength: 1 })],
+    [filter('edges', { method: 'canny', strength: 1, low: 0.1, high: 0.25 })]
+  ])('%j keeps the image size', (preFilter) => {
+    const result = applyPreFilters(grayImage([[0, 50, 200], [255, 90, 10]]), [preFilter]);
+    expect([result.width, result.height, result.data.length]).toEqual([3, 2, 24]);
+  });
+
+  test('blur, unsharp mask and median leave a flat image flat', () => {
+    for (const preFilter of [filter('blur', { radius: 3 }), filter('unsharp', { amount: 2, radius: 2 }), filter('median', { radius: 2 })]) {
+      expect(row(applyPreFilters(flat(), [preFilter]), 4)).toEqual(new Array(13).fill(100));
+    }
+  });
+
+  test('median removes a lone speck', () => {
+    const image = flat();
+    image.data.set([255, 255, 255], (4 * 13 + 6) * 4);
+    expect(row(applyPreFilters(image, [filter('median', { radius: 1 })]), 4)).toEqual(new Array(13).fill(100));
+  });
+
+  test('posterize rounds to evenly spaced levels', () => {
+    const result = applyPreFilters(grayImage([[0, 40, 100, 130, 220, 255]]), [filter('posterize', { levels: 4 })]);
+    expect(row(result, 0)).toEqual([0, 0, 85, 170, 255, 255]);
+  });
+
+  test('edges draw dark lines on white where the tone steps', () => {
+    const sobel = row(applyPreFilters(step(), [filter('edges', { method: 'sobel', strength: 1 })]), 6);
+    expect(sobel.slice(5, 7)).toEqual([0, 0]);
+    expect([...sobel.slice(0, 4), ...sobel.slice(8)]).toEqual(new Array(8).fill(255));
+    const canny = row(applyPreFilters(step(), [filter('edges', { method: 'canny', low: 0.1, high: 0.25 })]), 6);
+    const dark = canny.filter(value => value === 0).length;
+    expect(dark).toBeGreaterThanOrEqual(1);
+    expect(dark).toBeLessThanOrEqual(2);
+    expect(canny.slice(0, 4).concat(canny.slice(8))).toEqual(new Array(8).fill(255));
+  });
+
+  test('filters run in list order and disabled ones are skipped', () => {
+    const image = step();
+    const blurThenPosterize = applyPreFilters(image, [filter('blur', { radius: 2 }), filter('posterize', { levels: 3 })]);
+    const posterizeThenBlur = applyPreFilters(image, [filter('posterize', { levels: 3 }), filter('blur', { radius: 2 })]);
+    expect(row(blurThenPosterize, 0)).not.toEqual(row(posterizeThenBlur, 0));
+    expect(applyPreFilters(image, [{ ...filter('blur', { radius: 2 }), enabled: false }])).toBe(image);
+  });
+});
+
+describe('tiled rendering', () => {
+  const WIDTH = 130;
+  const HEIGHT = 100;
+
+  const source = () => {
+    const image = new ImageData(WIDTH, HEIGHT);
+    for (let y = 0; y < HEIGHT; y++) {
+      for (let x = 0; x < WIDTH; x++) image.data.set([x * 2, y * 2, x + y, 255], (y * WIDTH + x) * 4);
+    }
+    return image;
+  };
+
+  const SETTINGS = {
+    brightness: 0,
+    contrast: 0,
+    inputLevels: null,
+    toneCurve: null,
+    preFilters: [],
+    invert: false,
+    backgroundColor: '#ffffff',
+    inkBleed: false,
+    layers: [
+      { id: 1, colorKey: 'festival', ditherType: 'halftoneCircle', threshold: 0.5, scale: 8, angle: 15, offsetX: 3, offsetY: 0, blendMode: 'multiply', opacity: 0.8, visible: true },
+      { id: 2, colorKey: 'horizon', ditherType: 'bayer4x4', threshold: 0.5, scale: 1, angle: 0, offsetX: 0, offsetY: 0, blendMode: 'multiply', opacity: 1, visible: true, levels: 3 }
+    ]
+  };
+
+  test.each([
+    ['layers', SETTINGS],
+    ['transparent paper', { ...SETTINGS, backgroundColor: '#f0e0d0', transparentPaper: true }],
+    ['error diffusion', { ...SETTINGS, layers: [{ ...SETTINGS.layers[1], ditherType: 'floydSteinberg' }] }],
+    ['seeded noise and ink bleed', { ...SETTINGS, seed: 3, inkBleed: true, inkBleedAmount: 0.6, inkBleedRoughness: 0.5, layers: [{ ...SETTINGS.layers[1], ditherType: 'noise' }] }]
+  ])('bands put together are the renderImage output (%s)', async (name, settings) => {
+    const image = source();
+    const { imageData } = await renderImage(image, 140, 100, settings);
+    const bands = [];
+    await renderTiled({
+      width: WIDTH,
+      height: HEIGHT,
+      readRows: (a, b) => new ImageData(image.data.slice(a * WIDTH * 4, b * WIDTH * 4), WIDTH, b - a)
+    }, 140, 100, settings, { onRows: (band, y) => bands.push({ band, y }), tileRows: 17 });
+
+    expect(bands.length).toBeGreaterThan(1);
+    let y = 0;
+    for (const { band, y: bandY } of bands) {
+      expect(bandY).toBe(y);
+      expect(band.width).toBe(140);
+      y += band.height;
+    }
+    expect(y).toBe(100);
+    const tiled = new Uint8ClampedArray(imageData.data.length);
+    bands.forEach(({ band, y: bandY }) => tiled.set(band.data, bandY * 140 * 4));
+    expect(tiled).toEqual(imageData.data);
+  });
+});
+
+describe('seeds', () => {
+  const SETTINGS = {
+    brightness: 0,
+    contrast: 0,
+    inputLevels: null,
+    toneCurve: null,
+    preFilters: [],
+    invert: false,
+    backgroundColor: '#ffffff',
+    inkBleed: true,
+    inkBleedAmount: 0.5,
+    inkBleedRoughness: 0.5,
+    layers: [
+      { id: 1, colorKey: 'festival', ditherType: 'noise', threshold: 0.5, scale: 1, angle: 0, offsetX: 0, offsetY: 0, blendMode: 'multiply', opacity: 1, visible: true },
+      { id: 2, colorKey: 'horizon', ditherType: 'blueNoise', threshold: 0.5, scale: 1, angle: 0, offsetX: 0, offsetY: 0, blendMode: 'multiply', opacity: 1, visible: true }
+    ]
+  };
+
+  test('layers without their own seed get different ones derived from the global seed', () => {
+    const layers = seedLayers([{ id: 1 }, { id: 2 }, { id: 3, seed: 5 }], 42);
+    expect(layers.map(layer => layer.seed)).toEqual([deriveSeed(42, 0), deriveSeed(42, 1), 5]);
+    expect(layers[0].seed).not.toBe(layers[1].seed);
+    expect(seedLayers([{ id: 1 }], 43)[0].seed).not.toBe(layers[0].seed);
+  });
+
+  test('the same seed renders the same image and another seed a different one', async () => {
+    const image = flatImage([128, 128, 128], 48, 32);
+    const render = async (seed) => (await renderImage(image, 48, 32, { ...SETTINGS, seed })).imageData.data;
+    const first = await render(1);
+    expect(await render(1)).toEqual(first);
+    expect(await render(2)).not.toEqual(first);
+  });
+});
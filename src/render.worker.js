@@ -0,0 +1,348 @@
+/* eslint-disable no-restricted-globals */
+import { renderImage, renderTiled, renderScene, flattenScene, renderPaperTexture, inkPalette, scaleSettings, createRenderCache, RenderCancelled } from './render';
+import { animateSettings, reseedSettings } from './animation';
+import { RECIPE_KEYWORD } from './recipe';
+import { createPngEncoder, createApngEncoder } from './png';
+import { createTiffEncoder } from './tiff';
+import { createGifEncoder } from './gif';
+import { createWebmEncoder } from './webm';
+import { createSvg } from './svg';
+import { createSeparations } from './separations';
+import { createPsd } from './psd';
+import { createSpotPdf } from './spotpdf';
+import { createZip } from './zip';
+
+// Render worker. Holds the current source bitmap and renders settings snapshots off the
+// main thread. Messages:
+//   { type: 'source', bitmap }                  replace the source (bitmap is transferred)
+//   { type: 'render', id, settings, encode }    render; a newer id cancels older renders
+//   { type: 'sequence', id, settings, encode }  start a frame sequence export (video input)
+//   { type: 'frame', id, bitmap, index }        add a sequence frame; replies { type: 'frame' }
+//   { type: 'finish', id }                      end the sequence; replies 'done' with the Blob
+// Replies are { type: 'progress' | 'done' | 'error', id, ... }. Preview renders return the
+// ImageData (buffer transferred); exports pass encode: { format, scale, width, height, dpi }
+// and get a Blob back, re-rendered at scale times the size (centred on a width x height
+// page when given). PNGs and TIFFs (format 'tiff', encode.bitDepth 1 or 8) are rendered in
+// tiles streamed into the encoder, so poster-sized prints fit in memory; JPEG and WebP
+// (encode.quality) are drawn on one canvas. PNGs and APNGs carry encode.recipe in an iTXt
+// chunk. SVGs (format 'svg', with an optional physical size), spot colour PDFs (format
+// 'pdf'), separations (format 'separations', options in encode.separations) and PSDs
+// (format 'psd', with encode.paperTexture showing the paper layer) are built from the layer
+// scene in one piece. Animations (format 'gif', 'apng' or 'webm') render every frame of
+// encode.animation whole.
+// The scaled source and the render cache persist between renders of the same source.
+
+let source = null;
+let scaled = null;
+let latestId = 0;
+const cache = createRenderCache();
+
+// Pixels per export tile; bands are as many full-width rows as fit
+const TILE_PIXELS = 4000000;
+
+// Browser canvas area limit (Chrome's) and WebP's per-side limit
+const CANVAS_MAX_AREA = 16384 * 16384;
+const WEBP_MAX_SIZE = 16383;
+
+function scaledSize(bitmap, imageScale) {
+  return {
+    width: Math.max(1, Math.round(bitmap.width * imageScale)),
+    height: Math.max(1, Math.round(bitmap.height * imageScale))
+  };
+}
+
+// Rows [a, b) of the source scaled by imageScale, over the neutral gray fill the
+// pipeline expects
+function readSourceRows(bitmap, imageScale, a, b) {
+  const { width, height } = scaledSize(bitmap, imageScale);
+  const canvas = new OffscreenCanvas(width, b - a);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#888888';
+  ctx.fillRect(0, 0, width, b - a);
+  ctx.drawImage(bitmap, 0, -a, width, height);
+  return ctx.getImageData(0, 0, width, b - a);
+}
+
+// Canvas size of an export: the page when given, else the source at scale
+function exportSize({ scale = 1, width, height }) {
+  return {
+    width: width || Math.round(source.width * scale),
+    height: height || Math.round(source.height * scale)
+  };
+}
+
+// iTXt entry of the recipe the UI sends with PNG exports (see recipe.js)
+function recipeText({ recipe }) {
+  return recipe ? { [RECIPE_KEYWORD]: JSON.stringify(recipe) } : {};
+}
+
+// Render in tiles at the export size, handing each band of rows to onRows. The source is
+// resampled straight to the export size and every pixel measure scaled with it, so higher
+// resolutions get smoother dots and finer grain, not bigger pixels.
+async function renderExportTiles(settings, encode, checkpoint, onRows) {
+  const { scale = 1 } = encode;
+  const imageScale = settings.imageScale * scale;
+  const { width, height } = scaledSize(source, imageScale);
+  const { width: outWidth, height: outHeight } = exportSize(encode);
+  await renderTiled({ width, height, readRows: (a, b) => readSourceRows(source, imageScale, a, b) }, outWidth, outHeight, scaleSettings(settings, scale), {
+    onRows,
+    checkpoint,
+    tileRows: Math.max(16, Math.min(512, Math.floor(TILE_PIXELS / outWidth)))
+  });
+}
+
+// PNG and TIFF (format 'tiff', encode.bitDepth 1 or 8) are streamed into their encoders
+async function exportTiled(settings, encode, checkpoint) {
+  const { dpi, format, bitDepth } = encode;
+  const { width, height } = exportSize(encode);
+  const alpha = !!settings.transparentPaper;
+  const encoder = format === 'tiff'
+    ? createTiffEncoder(width, height, { dpi, bitDepth, alpha })
+    : createPngEncoder(width, height, { dpi, alpha, text: recipeText(encode) });
+  await renderExportTiles(settings, encode, checkpoint, (imageData) => encoder.writeRows(imageData));
+  return encoder.finish();
+}
+
+// JPEG's JFIF header records its density as pixels per inch
+function setJpegDpi(bytes, dpi) {
+  const isJfif = bytes[2] === 0xFF && bytes[3] === 0xE0 && String.fromCharCode(...bytes.subarray(6, 11)) === 'JFIF\0';
+  if (!isJfif) return;
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  bytes[13] = 1; // units: dots per inch
+  view.setUint16(14, Math.round(dpi));
+  view.setUint16(16, Math.round(dpi));
+}
+
+// JPEG and WebP (formats 'jpeg' and 'webp', encode.quality 0-1) come from the browser's
+// encoders, so the whole image is drawn on one canvas first
+async function exportCanvasImage(settings, encode, checkpoint) {
+  const { format, quality, dpi } = encode;
+  const { width, height } = exportSize(encode);
+  if (width * height > CANVAS_MAX_AREA) throw new Error(`${format.toUpperCase()} export is limited to ${CANVAS_MAX_AREA / 1e6}MP, use PNG or TIFF for this size`);
+  if (format === 'webp' && Math.max(width, height) > WEBP_MAX_SIZE) throw new Error(`WebP is limited to ${WEBP_MAX_SIZE}px per side, use PNG or TIFF for this size`);
+
+  const canvas = new OffscreenCanvas(width, height);
+  const context = canvas.getContext('2d');
+  await renderExportTiles(settings, encode, checkpoint, (imageData, y) => context.putImageData(imageData, 0, y));
+  const blob = await canvas.convertToBlob({ type: `image/${format}`, quality });
+  if (format !== 'jpeg' || !dpi) return blob;
+
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  setJpegDpi(bytes, dpi);
+  return new Blob([bytes], { type: blob.type });
+}
+
+// PNG data URL of an ImageData, for images embedded in vector exports
+async function encodeImage(imageData) {
+  const canvas = new OffscreenCanvas(imageData.width, imageData.height);
+  canvas.getContext('2d').putImageData(imageData, 0, 0);
+  const bytes = new Uint8Array(await (await canvas.convertToBlob({ type: 'image/png' })).arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return `data:image/png;base64,${btoa(binary)}`;
+}
+
+async function exportSvg(settings, encode, checkpoint) {
+  const { scale = 1, size } = encode;
+  const imageScale = settings.imageScale * scale;
+  const { height } = scaledSize(source, imageScale);
+  const { width: outWidth, height: outHeight } = exportSize(encode);
+  const scene = await renderScene(readSourceRows(source, imageScale, 0, height), outWidth, outHeight, scaleSettings(settings, scale), {
+    vector: true,
+    checkpoint
+  });
+  return createSvg(scene, { encodeImage, size });
+}
+
+// Film plates per layer. Offsets are zeroed so the plates register; trap comes in image
+// pixels like the layer measures and is scaled with them
+async function exportSeparations(settings, encode, checkpoint) {
+  const { scale = 1, dpi, separations } = encode;
+  const imageScale = settings.imageScale * scale;
+  const { height } = scaledSize(source, imageScale);
+  const { width: outWidth, height: outHeight } = exportSize(encode);
+  const registered = { ...settings, layers: settings.layers.map(layer => ({ ...layer, offsetX: 0, offsetY: 0 })) };
+  const scene = await renderScene(readSourceRows(source, imageScale, 0, height), outWidth, outHeight, scaleSettings(registered, scale), {
+    checkpoint: (progress) => checkpoint(progress / 2)
+  });
+  return createSeparations(scene, {
+    ...separations,
+    trap: separations.trap * scale,
+    dpi,
+    checkpoint: (progress) => checkpoint(0.5 + progress / 2)
+  });
+}
+
+async function exportPsd(settings, encode, checkpoint) {
+  const { scale = 1, paperTexture } = encode;
+  const imageScale = settings.imageScale * scale;
+  const { height } = scaledSize(source, imageScale);
+  const { width: outWidth, height: outHeight } = exportSize(encode);
+  const scaledSettings = scaleSettings(settings, scale);
+  const scene = await renderScene(readSourceRows(source, imageScale, 0, height), outWidth, outHeight, scaledSettings, { checkpoint });
+  const paper = renderPaperTexture(outWidth, outHeight, { seed: settings.seed, grain: 1.5 * (scaledSettings.renderScale || 1) });
+  return createPsd(scene, { composite: flattenScene(scene), paper: { image: paper, visible: paperTexture } });
+}
+
+async function exportSpotPdf(settings, encode, checkpoint) {
+  const { scale = 1, dpi } = encode;
+  const imageScale = settings.imageScale * scale;
+  const { height } = scaledSize(source, imageScale);
+  const { width: outWidth, height: outHeight } = exportSize(encode);
+  const scene = await renderScene(readSourceRows(source, imageScale, 0, height), outWidth, outHeight, scaleSettings(settings, scale), {
+    vector: true,
+    checkpoint: (progress) => checkpoint(progress / 2)
+  });
+  return createSpotPdf(scene, { dpi, checkpoint: (progress) => checkpoint(0.5 + progress / 2) });
+}
+
+// Frames are settings snapshots from the animation tracks. The render cache carries over
+// from frame to frame, so only the stages a track touches run again.
+async function exportAnimation(settings, encode, checkpoint) {
+  const { scale = 1, format, animation } = encode;
+  const { frames, fps, loop } = animation;
+  const imageScale = settings.imageScale * scale;
+  const { height } = scaledSize(source, imageScale);
+  const { width: outWidth, height: outHeight } = exportSize(encode);
+  const sourceData = readSourceRows(source, imageScale, 0, height);
+  const frameCache = createRenderCache();
+
+  const encoder = format === 'gif' ? createGifEncoder(outWidth, outHeight, { palette: inkPalette(settings), fps, loop })
+    : format === 'apng' ? createApngEncoder(outWidth, outHeight, { frames, fps, loop, text: recipeText(encode) })
+    : createWebmEncoder(outWidth, outHeight, { fps });
+
+  for (let frame = 0; frame < frames; frame++) {
+    const frameSettings = scaleSettings(animateSettings(settings, animation, frame), scale);
+    const { imageData } = await renderImage(sourceData, outWidth, outHeight, frameSettings, {
+      checkpoint: (progress) => checkpoint((frame + progress) / frames),
+      cache: frameCache
+    });
+    await encoder.addFrame(imageData);
+  }
+  return encoder.finish();
+}
+
+const EXPORTERS = {
+  png: exportTiled,
+  tiff: exportTiled,
+  jpeg: exportCanvasImage,
+  webp: exportCanvasImage,
+  svg: exportSvg,
+  pdf: exportSpotPdf,
+  separations: exportSeparations,
+  psd: exportPsd,
+  gif: exportAnimation,
+  apng: exportAnimation,
+  webm: exportAnimation
+};
+
+async function render({ id, settings, encode }) {
+  latestId = id;
+
+  // Yield between stages so a newer render message can arrive and supersede this one
+  const checkpoint = async (progress) => {
+    self.postMessage({ type: 'progress', id, progress });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (id !== latestId) throw new RenderCancelled();
+  };
+
+  try {
+    await checkpoint(0);
+
+    if (encode) {
+      const blob = await EXPORTERS[encode.format](settings, encode, checkpoint);
+      self.postMessage({ type: 'done', id, blob });
+      return;
+    }
+
+    if (!scaled || scaled.imageScale !== settings.imageScale) {
+      const { height } = scaledSize(source, settings.imageScale);
+      scaled = { imageScale: settings.imageScale, data: readSourceRows(source, settings.imageScale, 0, height) };
+    }
+    const { imageData, histogram } = await renderImage(scaled.data, source.width, source.height, settings, {
+      checkpoint,
+      withHistogram: true,
+      cache
+    });
+    self.postMessage({ type: 'done', id, imageData, histogram }, [imageData.data.buffer]);
+  } catch (error) {
+    if (error instanceof RenderCancelled) return;
+    self.postMessage({ type: 'error', id, message: error.message });
+  }
+}
+
+// Frame sequences come from video input: the UI sends each frame as its own bitmap once
+// the last was added, so only one decoded frame is in flight, and the encoder lives
+// between messages. encode is { format: 'webm' | 'frames', scale, fps, frames, flicker,
+// animation }: 'frames' is a ZIP of numbered PNGs (with alpha for transparent paper),
+// flicker moves the seeds on every frame and animation tracks repeat every animation.frames.
+let sequence = null;
+
+function createPngSequenceEncoder(width, height, { alpha }) {
+  const files = [];
+  return {
+    async addFrame(imageData) {
+      const encoder = createPngEncoder(width, height, { alpha });
+      await encoder.writeRows(imageData);
+      files.push({ name: `frame-${String(files.length + 1).padStart(5, '0')}.png`, blob: await encoder.finish() });
+    },
+    finish: () => createZip(files)
+  };
+}
+
+async function addSequenceFrame({ id, bitmap, index }) {
+  const { settings, encode } = sequence;
+  const { scale = 1, format, fps, frames, flicker, animation } = encode;
+
+  try {
+    const imageScale = settings.imageScale * scale;
+    const sourceData = readSourceRows(bitmap, imageScale, 0, scaledSize(bitmap, imageScale).height);
+    const width = Math.round(bitmap.width * scale);
+    const height = Math.round(bitmap.height * scale);
+    bitmap.close();
+
+    if (!sequence.encoder) {
+      sequence.encoder = format === 'webm'
+        ? createWebmEncoder(width, height, { fps })
+        : createPngSequenceEncoder(width, height, { alpha: !!settings.transparentPaper });
+    }
+    let frameSettings = animateSettings(settings, animation, index % animation.frames);
+    if (flicker) frameSettings = reseedSettings(frameSettings, index);
+    const { imageData } = await renderImage(sourceData, width, height, scaleSettings(frameSettings, scale), {
+      checkpoint: (progress) => self.postMessage({ type: 'progress', id, progress: (index + progress) / frames })
+    });
+    await sequence.encoder.addFrame(imageData);
+    self.postMessage({ type: 'frame', id, index });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error.message });
+  }
+}
+
+async function finishSequence({ id }) {
+  try {
+    const blob = await sequence.encoder.finish();
+    sequence = null;
+    self.postMessage({ type: 'done', id, blob });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error.message });
+  }
+}
+
+self.onmessage = (e) => {
+  const message = e.data;
+  if (message.type === 'sequence') {
+    sequence = { settings: message.settings, encode: message.encode, encoder: null };
+  } else if (message.type === 'frame' && sequence) {
+    addSequenceFrame(message);
+  } else if (message.type === 'finish' && sequence?.encoder) {
+    finishSequence(message);
+  } else if (message.type === 'source') {
+    if (source) source.close();
+    source = message.bitmap;
+    scaled = null;
+  } else if (message.type === 'render' && source) {
+    render(message);
+  }
+};
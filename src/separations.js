@@ -0,0 +1,226 @@
+// Screenprint separations: one film plate per visible layer of a render scene (see
+// renderScene in render.js), black where the ink goes. Each plate sits in a margin with
+// crop marks at the trim, registration targets on every side and a label naming the ink,
+// and is packaged as a ZIP of PNGs or one PDF page per plate. The caller renders the scene
+// with layer offsets zeroed, so plates register. Runs in the render worker: the label is
+// drawn with OffscreenCanvas.
+import { DOMO_PALETTE } from './render';
+import { createPngEncoder } from './png';
+import { createZip } from './zip';
+import { createPdfWriter, deflate } from './pdf';
+
+const MM_PER_INCH = 25.4;
+
+// Rows per band handed to the PNG encoder
+const BAND_ROWS = 256;
+
+// Margin for the marks: 12mm at print resolution, else a share of the canvas
+function markMargin(width, height, dpi) {
+  return dpi ? Math.round(12 / MM_PER_INCH * dpi) : Math.max(48, Math.round(Math.min(width, height) * 0.06));
+}
+
+// Ink coverage (0-255) of one scene layer over the canvas, read the way compositeLayer does
+export function layerCoverage(scene, { plate, x, y, mask }) {
+  const { width, height, plateWidth, plateHeight } = scene;
+  const coverage = new Uint8Array(width * height);
+
+  for (let cy = 0; cy < height; cy++) {
+    const sy = Math.floor(cy - y);
+    if (sy < 0 || sy >= plateHeight) continue;
+    for (let cx = 0; cx < width; cx++) {
+      const sx = Math.floor(cx - x);
+      if (sx < 0 || sx >= plateWidth) continue;
+      const i = cy * width + cx;
+      const darkness = (1 - plate.data[(sy * plateWidth + sx) * 4] / 255) * (mask ? mask[i] : 1);
+      if (darkness > 0.02) coverage[i] = Math.round(darkness * 255);
+    }
+  }
+  return coverage;
+}
+
+// Trap (amount > 0, spreads the ink under its neighbours) or choke (amount < 0, pulls it
+// back) by |amount| pixels: a separable max or min filter, so the grown edge is square
+function trapCoverage(coverage, width, height, amount) {
+  const radius = Math.round(Math.abs(amount));
+  if (!radius) return coverage;
+  const pick = amount > 0 ? Math.max : Math.min;
+
+  const pass = (src, length, lines, step, lineStep) => {
+    const out = new Uint8Array(src.length);
+    for (let line = 0; line < lines; line++) {
+      const base = line * lineStep;
+      for (let i = 0; i < length; i++) {
+        let value = src[base + i * step];
+        const end = Math.min(length - 1, i + radius);
+        for (let k = Math.max(0, i - radius); k <= end; k++) value = pick(value, src[base + k * step]);
+        out[base + i * step] = value;
+      }
+    }
+    return out;
+  };
+  return pass(pass(coverage, width, height, 1, width), height, width, width, 1);
+}
+
+function fillRect(sheet, x0, y0, x1, y1) {
+  for (let y = Math.max(0, y0); y < Math.min(sheet.height, y1); y++) {
+    sheet.data.fill(0, y * sheet.width + Math.max(0, x0), y * sheet.width + Math.min(sheet.width, x1));
+  }
+}
+
+// Circle with a cross through it, centred on (cx, cy)
+function drawTarget(sheet, cx, cy, radius, line) {
+  const arm = Math.round(radius * 1.5);
+  const half = line / 2;
+  for (let y = cy - radius - line; y <= cy + radius + line; y++) {
+    for (let x = cx - radius - line; x <= cx + radius + line; x++) {
+      if (Math.abs(Math.hypot(x - cx, y - cy) - radius) <= half) sheet.data[y * sheet.width + x] = 0;
+    }
+  }
+  fillRect(sheet, cx - arm, cy - Math.floor(half), cx + arm + 1, cy - Math.floor(half) + line);
+  fillRect(sheet, cx - Math.floor(half), cy - arm, cx - Math.floor(half) + line, cy + arm + 1);
+}
+
+// Crop marks at the four trim corners and a registration target centred on each side
+function drawMarks(sheet, margin, trimWidth, trimHeight) {
+  const line = Math.max(1, Math.round(margin / 60));
+  const gap = Math.round(margin / 6);
+  const left = margin, top = margin, right = margin + trimWidth, bottom = margin + trimHeight;
+  const shift = Math.floor(line / 2);
+
+  for (const x of [left, right]) {
+    fillRect(sheet, x - shift, 0, x - shift + line, top - gap);
+    fillRect(sheet, x - shift, bottom + gap, x - shift + line, sheet.height);
+  }
+  for (const y of [top, bottom]) {
+    fillRect(sheet, 0, y - shift, left - gap, y - shift + line);
+    fillRect(sheet, right + gap, y - shift, sheet.width, y - shift + line);
+  }
+
+  const radius = Math.round(margin / 5);
+  const middle = Math.round(margin / 2);
+  drawTarget(sheet, left + Math.round(trimWidth / 2), middle, radius, line);
+  drawTarget(sheet, left + Math.round(trimWidth / 2), bottom + middle, radius, line);
+  drawTarget(sheet, middle, top + Math.round(trimHeight / 2), radius, line);
+  drawTarget(sheet, right + middle, top + Math.round(trimHeight / 2), radius, line);
+}
+
+// One line of text at (x, y), cut off at maxWidth
+function drawLabel(sheet, text, x, y, size, maxWidth) {
+  const font = `${size}px monospace`;
+  const measure = new OffscreenCanvas(1, 1).getContext('2d');
+  measure.font = font;
+  const width = Math.max(1, Math.min(maxWidth, Math.ceil(measure.measureText(text).width)));
+  const height = Math.ceil(size * 1.25);
+
+  const ctx = new OffscreenCanvas(width, height).getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = '#000000';
+  ctx.font = font;
+  ctx.textBaseline = 'top';
+  ctx.fillText(text, 0, 0);
+
+  const pixels = ctx.getImageData(0, 0, width, height).data;
+  for (let ly = 0; ly < height; ly++) {
+    for (let lx = 0; lx < width; lx++) {
+      const i = (y + ly) * sheet.width + x + lx;
+      sheet.data[i] = Math.min(sheet.data[i], pixels[(ly * width + lx) * 4]);
+    }
+  }
+}
+
+// Gray film sheet (255 = clear) of one layer with its marks and label
+function buildSheet(scene, entry, label, { trap, dpi }) {
+  const margin = markMargin(scene.width, scene.height, dpi);
+  const sheet = { width: scene.width + 2 * margin, height: scene.height + 2 * margin, margin };
+  sheet.data = new Uint8Array(sheet.width * sheet.height).fill(255);
+
+  const coverage = trapCoverage(layerCoverage(scene, entry), scene.width, scene.height, trap);
+  for (let y = 0; y < scene.height; y++) {
+    const row = (y + margin) * sheet.width + margin;
+    for (let x = 0; x < scene.width; x++) sheet.data[row + x] = 255 - coverage[y * scene.width + x];
+  }
+
+  drawMarks(sheet, margin, scene.width, scene.height);
+  // Label in the top margin, clear of the corner crop mark and the top target
+  const size = Math.max(8, Math.round(margin / 6));
+  const labelX = margin + Math.round(margin / 4);
+  const labelWidth = Math.round(margin + scene.width / 2 - margin / 2) - labelX;
+  if (labelWidth > size) drawLabel(sheet, label, labelX, Math.round((margin - size) / 2), size, labelWidth);
+  return sheet;
+}
+
+async function encodeSheetPng(sheet, { bits, dpi }) {
+  const encoder = createPngEncoder(sheet.width, sheet.height, { dpi, gray: true, bitDepth: bits });
+  for (let a = 0; a < sheet.height; a += BAND_ROWS) {
+    const rows = Math.min(BAND_ROWS, sheet.height - a);
+    const band = new ImageData(sheet.width, rows);
+    const offset = a * sheet.width;
+    for (let i = 0; i < sheet.width * rows; i++) band.data[i * 4] = sheet.data[offset + i];
+    await encoder.writeRows(band);
+  }
+  return encoder.finish();
+}
+
+// Image samples of a sheet for PDF: bytes as they are, or rows packed to 1 bit (1 = clear)
+function sheetSamples(sheet, bits) {
+  if (bits !== 1) return sheet.data;
+  const rowBytes = Math.ceil(sheet.width / 8);
+  const packed = new Uint8Array(rowBytes * sheet.height);
+  for (let y = 0; y < sheet.height; y++) {
+    for (let x = 0; x < sheet.width; x++) {
+      if (sheet.data[y * sheet.width + x] >= 128) packed[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+    }
+  }
+  return packed;
+}
+
+// bits is 1 (line film) or 8 (grayscale, keeps tint screens and soft mask edges); trap is
+// in canvas pixels; dpi sizes the PNGs and PDF pages (72 when not given)
+export async function createSeparations(scene, { bits = 1, trap = 0, packaging = 'zip', dpi = null, checkpoint = () => {} } = {}) {
+  if (scene.colorImage) throw new Error('Separations need layer mode, not gradient or palette');
+  if (scene.layers.length === 0) throw new Error('No visible layers to separate');
+
+  const count = scene.layers.length;
+  const points = 72 / (dpi || 72);
+  const files = [];
+  const pdf = packaging === 'pdf' ? createPdfWriter() : null;
+  const pagesId = pdf?.reserve();
+  const pageIds = [];
+
+  for (let i = 0; i < count; i++) {
+    const entry = scene.layers[i];
+    const name = DOMO_PALETTE[entry.layer.colorKey]?.name || entry.layer.colorKey;
+    const label = [
+      `${name.toUpperCase()} ${entry.hex}`,
+      `PLATE ${i + 1}/${count}`,
+      bits === 1 ? '1-BIT' : 'GRAYSCALE',
+      dpi && `${dpi} DPI`,
+      trap > 0 && `TRAP ${Math.round(trap)}PX`,
+      trap < 0 && `CHOKE ${Math.round(-trap)}PX`
+    ].filter(Boolean).join('  ');
+    const sheet = buildSheet(scene, entry, label, { trap, dpi });
+
+    if (pdf) {
+      const { width, height, margin } = sheet;
+      const pt = (v) => Math.round(v * points * 100) / 100;
+      const imageId = pdf.add(
+        `/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceGray /BitsPerComponent ${bits} /Filter /FlateDecode`,
+        await deflate(sheetSamples(sheet, bits))
+      );
+      const contentId = pdf.add('', new TextEncoder().encode(`q ${pt(width)} 0 0 ${pt(height)} 0 0 cm /Plate Do Q`));
+      pageIds.push(pdf.add(
+        `/Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${pt(width)} ${pt(height)}] ` +
+        `/TrimBox [${pt(margin)} ${pt(margin)} ${pt(width - margin)} ${pt(height - margin)}] ` +
+        `/Resources << /XObject << /Plate ${imageId} 0 R >> >> /Contents ${contentId} 0 R`
+      ));
+    } else {
+      files.push({ name: `${String(i + 1).padStart(2, '0')}-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.png`, blob: await encodeSheetPng(sheet, { bits, dpi }) });
+    }
+    await checkpoint((i + 1) / count);
+  }
+
+  if (!pdf) return createZip(files);
+  pdf.set(pagesId, `/Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${count}`);
+  return pdf.finish(pdf.add(`/Type /Catalog /Pages ${pagesId} 0 R`));
+}
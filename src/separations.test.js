@@ -0,0 +1,110 @@
+/**
+ * @jest-environment node
+ */
+import { createSeparations } from './separations';
+
+const WIDTH = 40;
+const HEIGHT = 30;
+// Canvas margin for the marks when no DPI is given
+const MARGIN = 48;
+
+// Plate with a dark square (ink) of the given size at (x, y)
+function squarePlate(x, y, size) {
+  const plate = new ImageData(WIDTH, HEIGHT);
+  plate.data.fill(255);
+  for (let py = y; py < y + size; py++) {
+    for (let px = x; px < x + size; px++) plate.data.fill(0, (py * WIDTH + px) * 4, (py * WIDTH + px) * 4 + 3);
+  }
+  return plate;
+}
+
+// Canvas small enough that the sheets get no label, which needs OffscreenCanvas
+const scene = () => ({
+  width: WIDTH,
+  height: HEIGHT,
+  plateWidth: WIDTH,
+  plateHeight: HEIGHT,
+  colorImage: null,
+  layers: [
+    { layer: { colorKey: 'festival' }, hex: '#E9280A', x: 0, y: 0, plate: squarePlate(10, 8, 10), mask: null },
+    { layer: { colorKey: 'horizon' }, hex: '#0062FF', x: 0, y: 0, plate: squarePlate(20, 12, 12), mask: null }
+  ]
+});
+
+// Stored entries of a ZIP, in order
+async function unzip(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const entries = [];
+  for (let offset = 0; view.getUint32(offset, true) === 0x04034B50;) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const start = offset + 30 + nameLength + view.getUint16(offset + 28, true);
+    entries.push({ name: new TextDecoder().decode(bytes.subarray(offset + 30, offset + 30 + nameLength)), data: bytes.subarray(start, start + size) });
+    offset = start + size;
+  }
+  return entries;
+}
+
+// Gray samples of an 8-bit grayscale PNG, whose encoder uses the Up filter on every line
+async function readGrayPng(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  const idat = [];
+  let width = 0, height = 0;
+  for (let offset = 8; offset < bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    if (type === 'IHDR') {
+      width = view.getUint32(offset + 8);
+      height = view.getUint32(offset + 12);
+      expect([bytes[offset + 16], bytes[offset + 17]]).toEqual([8, 0]);
+    }
+    if (type === 'IDAT') idat.push(bytes.slice(offset + 8, offset + 8 + length));
+    offset += 12 + length;
+  }
+  const stream = new Blob(idat).stream().pipeThrough(new DecompressionStream('deflate'));
+  const raw = new Uint8Array(await new Response(stream).arrayBuffer());
+  const pixels = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    expect(raw[y * (width + 1)]).toBe(2);
+    for (let x = 0; x < width; x++) {
+      pixels[y * width + x] = raw[y * (width + 1) + 1 + x] + (y > 0 ? pixels[(y - 1) * width + x] : 0);
+    }
+  }
+  return { width, height, pixels };
+}
+
+// Inked pixels inside the trim of a sheet
+function inkedArea({ width, pixels }) {
+  let count = 0;
+  for (let y = MARGIN; y < MARGIN + HEIGHT; y++) {
+    for (let x = MARGIN; x < MARGIN + WIDTH; x++) if (pixels[y * width + x] < 128) count++;
+  }
+  return count;
+}
+
+test('every layer becomes a sheet with the marks around the trim', async () => {
+  const entries = await unzip(await createSeparations(scene(), { bits: 8 }));
+  expect(entries.map(entry => entry.name)).toEqual(['01-festival.png', '02-horizon.png']);
+
+  const sheet = await readGrayPng(entries[0].data);
+  expect([sheet.width, sheet.height]).toEqual([WIDTH + 2 * MARGIN, HEIGHT + 2 * MARGIN]);
+  expect(inkedArea(sheet)).toBe(10 * 10);
+  expect(sheet.pixels[(MARGIN + 8) * sheet.width + MARGIN + 10]).toBe(0);
+  // Crop mark above the top left trim corner, clear paper off the corner
+  expect(sheet.pixels[MARGIN]).toBe(0);
+  expect(sheet.pixels[0]).toBe(255);
+});
+
+test.each([
+  ['trap spreads', 2, 14],
+  ['choke pulls back', -2, 6]
+])('%s the ink by whole pixels', async (name, trap, size) => {
+  const entries = await unzip(await createSeparations(scene(), { bits: 8, trap }));
+  expect(inkedArea(await readGrayPng(entries[0].data))).toBe(size * size);
+});
+
+test('color mode scenes and scenes without layers are refused', async () => {
+  await expect(createSeparations({ ...scene(), colorImage: new ImageData(1, 1) })).rejects.toThrow('Separations need layer mode');
+  await expect(createSeparations({ ...scene(), layers: [] })).rejects.toThrow('No visible layers to separate');
+});
@@ -0,0 +1,21 @@
+// Jest's test environments leave out web APIs the rendering code and the encoders use.
+// Node has the stream and Blob ones in its own global scope, so they are borrowed from
+// there; ImageData is the plain { data, width, height } container the renderer treats it as.
+import { runInThisContext } from 'vm';
+
+for (const name of ['Blob', 'CompressionStream', 'DecompressionStream', 'Response']) {
+  if (typeof global[name] === 'undefined') global[name] = runInThisContext(name);
+}
+
+if (typeof global.ImageData === 'undefined') {
+  global.ImageData = class ImageData {
+    constructor(data, width, height) {
+      if (typeof data === 'number') {
+        [width, height, data] = [data, width, new Uint8ClampedArray(data * width * 4)];
+      }
+      this.data = data;
+      this.width = width;
+      this.height = height ?? data.length / 4 / width;
+    }
+  };
+}
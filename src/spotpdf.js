@@ -0,0 +1,152 @@
+// PDF with spot-colour separations, built from a vector render scene (see renderScene in
+// render.js). Every layer is painted in a Separation colour space named after its ink
+// ("Domo Festival"), with a DeviceRGB alternate for on-screen viewing, so a RIP outputs
+// one plate per brand ink instead of converting them to CMYK. Halftone layers are vector
+// paths, other dithers image masks, or solid ink through a soft mask of the coverage where
+// a plate has in-between tones, so only inked pixels are painted. Multiply layers
+// overprint, the others knock out where they print. The background colour is the stock
+// and is not printed.
+import { DOMO_PALETTE } from './render';
+import { createPdfWriter, deflate, pdfName } from './pdf';
+import { layerCoverage } from './separations';
+
+// Control point distance of a quarter circle as a cubic Bezier, per unit radius
+const BEZIER_CIRCLE = 0.5523;
+
+const BLEND_MODES = {
+  normal: '/Normal',
+  multiply: '/Multiply',
+  screen: '/Screen',
+  overlay: '/Overlay',
+  darken: '/Darken',
+  lighten: '/Lighten'
+};
+
+const num = (v) => Math.round(v * 100) / 100;
+
+// Fill path of halftone shapes: circles as four Bezier quarters, polygons as closed outlines
+function shapeOperators({ dots, polygons }) {
+  const parts = [];
+  if (dots) {
+    for (let i = 0; i < dots.length; i += 3) {
+      const cx = dots[i], cy = dots[i + 1], r = dots[i + 2];
+      const k = r * BEZIER_CIRCLE;
+      parts.push(
+        `${num(cx + r)} ${num(cy)} m`,
+        `${num(cx + r)} ${num(cy - k)} ${num(cx + k)} ${num(cy - r)} ${num(cx)} ${num(cy - r)} c`,
+        `${num(cx - k)} ${num(cy - r)} ${num(cx - r)} ${num(cy - k)} ${num(cx - r)} ${num(cy)} c`,
+        `${num(cx - r)} ${num(cy + k)} ${num(cx - k)} ${num(cy + r)} ${num(cx)} ${num(cy + r)} c`,
+        `${num(cx + k)} ${num(cy + r)} ${num(cx + r)} ${num(cy + k)} ${num(cx + r)} ${num(cy)} c h`
+      );
+    }
+  }
+  for (const points of polygons || []) {
+    parts.push(`${num(points[0])} ${num(points[1])} m`);
+    for (let i = 2; i < points.length; i += 2) parts.push(`${num(points[i])} ${num(points[i + 1])} l`);
+    parts.push('h');
+  }
+  return parts.join('\n');
+}
+
+// Image mask of full coverage (sample 0 paints the fill colour), or null when the
+// coverage has in-between tones
+function coverageMask(coverage, width, height) {
+  const rowBytes = Math.ceil(width / 8);
+  const packed = new Uint8Array(rowBytes * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = coverage[y * width + x];
+      if (value !== 0 && value !== 255) return null;
+      if (value === 0) packed[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+    }
+  }
+  return packed;
+}
+
+// dpi sizes the page (72 when not given)
+export async function createSpotPdf(scene, { dpi = null, checkpoint = () => {} } = {}) {
+  if (scene.colorImage) throw new Error('Spot colour PDF needs layer mode, not gradient or palette');
+  if (scene.layers.length === 0) throw new Error('No visible layers to export');
+
+  const { width, height } = scene;
+  const points = 72 / (dpi || 72);
+  const pdf = createPdfWriter();
+  const colorSpaces = {};
+  const extGStates = [];
+  const xObjects = [];
+  // Pixel space with y down, like the canvas
+  const content = [`q ${num(points)} 0 0 ${num(-points)} 0 ${num(height * points)} cm`];
+
+  for (let i = 0; i < scene.layers.length; i++) {
+    const entry = scene.layers[i];
+    const { layer, rgb, x, y, shapes, mask } = entry;
+    const ink = DOMO_PALETTE[layer.colorKey]?.name || layer.colorKey;
+
+    // One colour space per ink, shared by layers that print the same ink
+    if (!colorSpaces[layer.colorKey]) {
+      const tint = pdf.add(`/FunctionType 2 /Domain [0 1] /C0 [1 1 1] /C1 [${rgb.map(c => num(c / 255)).join(' ')}] /N 1`);
+      colorSpaces[layer.colorKey] = { name: `/CS${Object.keys(colorSpaces).length + 1}`, array: `[/Separation ${pdfName(`Domo ${ink}`)} /DeviceRGB ${tint} 0 R]` };
+    }
+    const colorSpace = colorSpaces[layer.colorKey];
+
+    const overprint = (layer.blendMode || 'multiply') === 'multiply';
+    let state = `/Type /ExtGState /OP ${overprint} /op ${overprint} /OPM 1 /BM ${BLEND_MODES[layer.blendMode] || BLEND_MODES.multiply} /CA ${num(layer.opacity)} /ca ${num(layer.opacity)}`;
+
+    // Vector layers keep their mask as a luminosity soft mask; raster coverage has it baked in
+    if (shapes && mask) {
+      const maskBytes = new Uint8Array(mask.length);
+      for (let j = 0; j < mask.length; j++) maskBytes[j] = Math.round(mask[j] * 255);
+      const maskImage = pdf.add(
+        `/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode`,
+        await deflate(maskBytes)
+      );
+      const group = pdf.add(
+        `/Type /XObject /Subtype /Form /BBox [0 0 ${width} ${height}] /Group << /S /Transparency /CS /DeviceGray >> /Resources << /XObject << /M ${maskImage} 0 R >> >> /Filter /FlateDecode`,
+        await deflate(new TextEncoder().encode(`q ${width} 0 0 ${-height} 0 ${height} cm /M Do Q`))
+      );
+      state += ` /SMask << /Type /Mask /S /Luminosity /G ${group} 0 R >>`;
+    }
+    extGStates.push(`/GS${i + 1} ${pdf.add(state)} 0 R`);
+
+    content.push(`q /GS${i + 1} gs ${colorSpace.name} cs 1 scn`);
+    if (shapes) {
+      content.push(
+        `${num(x)} ${num(y)} ${scene.plateWidth} ${scene.plateHeight} re W n`,
+        `1 0 0 1 ${num(x)} ${num(y)} cm`,
+        shapeOperators(shapes),
+        'f'
+      );
+    } else {
+      const coverage = layerCoverage(scene, entry);
+      const imageMask = coverageMask(coverage, width, height);
+      let image;
+      if (imageMask) {
+        image = pdf.add(`/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ImageMask true /BitsPerComponent 1 /Filter /FlateDecode`, await deflate(imageMask));
+      } else {
+        // Full tint with the coverage as alpha: a tint image would paint "no ink" (tint 0)
+        // over the whole page and knock out the inks beneath wherever it doesn't overprint
+        const alpha = pdf.add(`/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode`, await deflate(coverage));
+        image = pdf.add(
+          `/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace ${colorSpace.array} /BitsPerComponent 8 /SMask ${alpha} 0 R /Filter /FlateDecode`,
+          await deflate(new Uint8Array(width * height).fill(255))
+        );
+      }
+      xObjects.push(`/Im${i + 1} ${image} 0 R`);
+      content.push(`${width} 0 0 ${-height} 0 ${height} cm /Im${i + 1} Do`);
+    }
+    content.push('Q');
+    await checkpoint((i + 1) / scene.layers.length);
+  }
+  content.push('Q');
+
+  const contentId = pdf.add('/Filter /FlateDecode', await deflate(new TextEncoder().encode(content.join('\n'))));
+  const pagesId = pdf.reserve();
+  const resources = [
+    `/ColorSpace << ${Object.values(colorSpaces).map(({ name, array }) => `${name} ${array}`).join(' ')} >>`,
+    `/ExtGState << ${extGStates.join(' ')} >>`,
+    xObjects.length ? `/XObject << ${xObjects.join(' ')} >>` : ''
+  ].join(' ');
+  const pageId = pdf.add(`/Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(width * points)} ${num(height * points)}] /Resources << ${resources} >> /Contents ${contentId} 0 R`);
+  pdf.set(pagesId, `/Type /Pages /Kids [${pageId} 0 R] /Count 1`);
+  return pdf.finish(pdf.add(`/Type /Catalog /Pages ${pagesId} 0 R`));
+}
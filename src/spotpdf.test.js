@@ -0,0 +1,88 @@
+/**
+ * @jest-environment node
+ */
+import { createSpotPdf } from './spotpdf';
+
+const WIDTH = 16;
+const HEIGHT = 8;
+
+// Plate of gray values from value(x, y)
+function plate(value) {
+  const image = new ImageData(WIDTH, HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const v = value(x, y);
+      image.data.set([v, v, v, 255], (y * WIDTH + x) * 4);
+    }
+  }
+  return image;
+}
+
+const entry = (colorKey, rgb, layer, rest) => ({ layer: { colorKey, opacity: 1, blendMode: 'multiply', ...layer }, rgb, x: 0, y: 0, plate: null, shapes: null, mask: null, ...rest });
+
+const scene = () => ({
+  width: WIDTH,
+  height: HEIGHT,
+  plateWidth: WIDTH,
+  plateHeight: HEIGHT,
+  colorImage: null,
+  layers: [
+    entry('festival', [233, 40, 10], {}, { shapes: { dots: [4, 4, 2, 12, 4, 3] } }),
+    entry('horizon', [0, 98, 255], { blendMode: 'normal' }, { plate: plate((x) => (x < 8 ? 0 : 255)) }),
+    entry('horizon', [0, 98, 255], { opacity: 0.5 }, { plate: plate((x) => x * 16) })
+  ]
+});
+
+// The file as text, one character per byte so string offsets are byte offsets
+async function readPdf(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  return Array.from(bytes, (byte) => String.fromCharCode(byte)).join('');
+}
+
+// Dictionary text of object id
+const object = (text, id) => text.slice(text.indexOf(`\n${id} 0 obj\n`) + 1).split('\nendobj')[0];
+
+test('the cross-reference table points at every object', async () => {
+  const text = await readPdf(await createSpotPdf(scene()));
+  expect(text.startsWith('%PDF-1.4\n')).toBe(true);
+
+  const startxref = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+  expect(text.startsWith('xref\n', startxref)).toBe(true);
+  const [, first, count] = text.slice(startxref).match(/^xref\n(\d+) (\d+)\n/);
+  expect(first).toBe('0');
+  const entries = text.slice(startxref).split('\n').slice(2, 2 + Number(count));
+  expect(entries[0]).toBe('0000000000 65535 f ');
+  entries.slice(1).forEach((line, index) => {
+    expect(line).toMatch(/^\d{10} 00000 n $/);
+    expect(text.startsWith(`${index + 1} 0 obj\n`, Number(line.slice(0, 10)))).toBe(true);
+  });
+
+  const root = text.match(/trailer\n<< \/Size (\d+) \/Root (\d+) 0 R >>/);
+  expect(Number(root[1])).toBe(Number(count));
+  expect(object(text, root[2])).toContain('/Type /Catalog');
+});
+
+test('each ink is one separation and layers paint the way they blend', async () => {
+  const text = await readPdf(await createSpotPdf(scene()));
+  expect(text.match(/\[\/Separation \/Domo#20Festival /g)).toHaveLength(1);
+  expect(text.match(/\[\/Separation \/Domo#20Horizon /g)).toHaveLength(2);
+  const page = object(text, text.match(/\n(\d+) 0 obj\n<< \/Type \/Page /)[1]);
+  expect(page.match(/\/CS\d \[\/Separation/g)).toHaveLength(2);
+
+  const states = Array.from(text.matchAll(/\/Type \/ExtGState ([^\n]*) >>/g), (match) => match[1]);
+  expect(states).toHaveLength(3);
+  expect(states[0]).toContain('/OP true /op true /OPM 1 /BM /Multiply');
+  expect(states[1]).toContain('/OP false /op false /OPM 1 /BM /Normal');
+  expect(states[2]).toContain('/CA 0.5 /ca 0.5');
+
+  // Solid plates are image masks; plates with in-between tones are solid ink with the
+  // coverage as the soft mask
+  expect(text.match(/\/ImageMask true/g)).toHaveLength(1);
+  const softMasked = text.match(/\/ColorSpace \[\/Separation \/Domo#20Horizon [^\n]* \/SMask (\d+) 0 R/);
+  expect(object(text, softMasked[1])).toContain('/ColorSpace /DeviceGray /BitsPerComponent 8');
+});
+
+test('color mode scenes and scenes without layers are refused', async () => {
+  await expect(createSpotPdf({ ...scene(), colorImage: new ImageData(1, 1) })).rejects.toThrow('Spot colour PDF needs layer mode');
+  await expect(createSpotPdf({ ...scene(), layers: [] })).rejects.toThrow('No visible layers to export');
+});
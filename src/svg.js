@@ -0,0 +1,96 @@
+// SVG export of a render scene (see renderScene in render.js). Paper is a rect, then each
+// layer is one <g> filled with its ink and blended through mix-blend-mode. Halftone shapes
+// stay vectors (one compound path per layer); other plates, layer masks and the color
+// modes are embedded as PNG images via encodeImage(imageData) -> data URL.
+import { DOMO_PALETTE } from './render';
+
+const num = (v) => Math.round(v * 100) / 100;
+
+const escapeXml = (text) => String(text).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+// Circles as two arcs and polygons as closed outlines, all wound the same way so
+// overlapping shapes merge under the nonzero fill rule
+function shapePath({ dots, polygons }) {
+  const parts = [];
+  if (dots) {
+    for (let i = 0; i < dots.length; i += 3) {
+      const cx = dots[i], cy = dots[i + 1], r = num(dots[i + 2]);
+      parts.push(`M${num(cx - r)} ${num(cy)}a${r} ${r} 0 1 0 ${num(2 * r)} 0a${r} ${r} 0 1 0 ${num(-2 * r)} 0z`);
+    }
+  }
+  for (const points of polygons || []) {
+    let d = `M${num(points[0])} ${num(points[1])}`;
+    for (let i = 2; i < points.length; i += 2) d += `L${num(points[i])} ${num(points[i + 1])}`;
+    parts.push(`${d}z`);
+  }
+  return parts.join('');
+}
+
+// Ink coverage of a dithered plate as a transparent image in the layer color, the way
+// compositeLayer reads it (near-white counts as no ink)
+function plateToInk(plate, [r, g, b]) {
+  const ink = new ImageData(plate.width, plate.height);
+  for (let i = 0; i < plate.data.length; i += 4) {
+    const darkness = 1 - plate.data[i] / 255;
+    ink.data[i] = r;
+    ink.data[i + 1] = g;
+    ink.data[i + 2] = b;
+    ink.data[i + 3] = darkness > 0.02 ? Math.round(darkness * 255) : 0;
+  }
+  return ink;
+}
+
+function maskToImage(weights, width, height) {
+  const image = new ImageData(width, height);
+  for (let i = 0; i < weights.length; i++) {
+    const v = Math.round(weights[i] * 255);
+    image.data[i * 4] = image.data[i * 4 + 1] = image.data[i * 4 + 2] = v;
+    image.data[i * 4 + 3] = 255;
+  }
+  return image;
+}
+
+const imageElement = (href, width, height, x = 0, y = 0) =>
+  `<image x="${num(x)}" y="${num(y)}" width="${width}" height="${height}" xlink:href="${href}" style="image-rendering:pixelated"/>`;
+
+// size optionally gives the document's physical { width, height } (e.g. '210mm'); the
+// viewBox is always the canvas in pixels
+export async function createSvg(scene, { encodeImage, size = null }) {
+  const { width, height } = scene;
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${size ? size.width : width}" height="${size ? size.height : height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect id="paper" width="${width}" height="${height}" fill="${scene.paper}"/>`
+  ];
+
+  if (scene.colorImage) {
+    const href = await encodeImage(scene.colorImage);
+    out.push(`<g id="color">${imageElement(href, scene.colorImage.width, scene.colorImage.height, scene.x, scene.y)}</g>`);
+  }
+
+  for (let i = 0; i < scene.layers.length; i++) {
+    const { layer, hex, rgb, x, y, plate, shapes, mask } = scene.layers[i];
+    const id = `layer-${i + 1}`;
+
+    if (mask) {
+      const href = await encodeImage(maskToImage(mask, width, height));
+      out.push(`<mask id="${id}-mask" maskUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}">${imageElement(href, width, height)}</mask>`);
+    }
+
+    const content = shapes
+      ? `<path d="${shapePath(shapes)}"/>`
+      : imageElement(await encodeImage(plateToInk(plate, rgb)), plate.width, plate.height);
+    const label = escapeXml(DOMO_PALETTE[layer.colorKey]?.name || layer.colorKey);
+
+    // Shapes near the edge reach past the plate, which the raster render never draws
+    out.push(
+      `<clipPath id="${id}-clip"><rect width="${scene.plateWidth}" height="${scene.plateHeight}"/></clipPath>`,
+      `<g id="${id}" data-ink="${label}" fill="${hex}" opacity="${num(layer.opacity)}" style="mix-blend-mode:${layer.blendMode || 'multiply'}"${mask ? ` mask="url(#${id}-mask)"` : ''}>`,
+      `<g transform="translate(${num(x)} ${num(y)})" clip-path="url(#${id}-clip)">${content}</g>`,
+      '</g>'
+    );
+  }
+
+  out.push('</svg>');
+  return new Blob([out.join('\n')], { type: 'image/svg+xml' });
+}
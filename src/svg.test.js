@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+import { halftoneShapes, renderScene } from './render';
+import { createSvg } from './svg';
+
+const WIDTH = 60;
+const HEIGHT = 40;
+
+function gradient() {
+  const image = new ImageData(WIDTH, HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) image.data.set([x * 4, x * 4, x * 4, 255], (y * WIDTH + x) * 4);
+  }
+  return image;
+}
+
+const LAYER = { threshold: 0.5, scale: 6, angle: 0, offsetX: 0, offsetY: 0, blendMode: 'multiply', opacity: 1, visible: true };
+
+const SETTINGS = {
+  brightness: 0,
+  contrast: 0,
+  inputLevels: null,
+  toneCurve: null,
+  preFilters: [],
+  invert: false,
+  backgroundColor: '#f4efe6',
+  inkBleed: false,
+  layers: [
+    { ...LAYER, id: 1, colorKey: 'festival', ditherType: 'halftoneCircle', opacity: 0.8 },
+    { ...LAYER, id: 2, colorKey: 'horizon', ditherType: 'bayer4x4', offsetX: 2, mask: { type: 'linear', angle: 0, position: 0.5, width: 0.4 } }
+  ]
+};
+
+// Stands in for the PNG encoder, noting what it was given
+function recordImages() {
+  const images = [];
+  const encodeImage = async (imageData) => {
+    images.push(imageData);
+    return `data:image/png;base64,${images.length}`;
+  };
+  return { images, encodeImage };
+}
+
+test('halftone layers are paths and other layers images in the ink color', async () => {
+  const source = gradient();
+  const scene = await renderScene(source, WIDTH, HEIGHT, SETTINGS, { vector: true });
+  const { images, encodeImage } = recordImages();
+  const svg = await (await createSvg(scene, { encodeImage })).text();
+
+  expect(svg).toContain(`viewBox="0 0 ${WIDTH} ${HEIGHT}"`);
+  expect(svg).toContain('<rect id="paper" width="60" height="40" fill="#f4efe6"/>');
+
+  const group = (id) => svg.slice(svg.indexOf(`<g id="${id}"`), svg.indexOf('</g>\n</g>', svg.indexOf(`<g id="${id}"`)));
+  const first = group('layer-1');
+  expect(first).toContain('data-ink="Festival" fill="#E9280A" opacity="0.8" style="mix-blend-mode:multiply"');
+  const { dots } = halftoneShapes('halftoneCircle', source, SETTINGS.layers[0]);
+  expect(dots.length).toBeGreaterThan(0);
+  // Two arcs per dot
+  expect(first.match(/a[\d.]+ [\d.]+ 0 1 0/g)).toHaveLength(dots.length / 3 * 2);
+
+  const second = group('layer-2');
+  expect(second).toContain('mask="url(#layer-2-mask)"');
+  expect(second).toContain('translate(2 0)');
+  expect(second).toContain('xlink:href="data:image/png;base64,2"');
+  expect(svg).toContain('<mask id="layer-2-mask"');
+
+  // The mask, then the plate as ink: the layer color, opaque where the plate is dark
+  expect(images).toHaveLength(2);
+  const [, ink] = images;
+  expect([ink.width, ink.height]).toEqual([WIDTH, HEIGHT]);
+  const plate = scene.layers[1].plate;
+  for (let i = 0; i < WIDTH * HEIGHT; i++) {
+    expect(Array.from(ink.data.subarray(i * 4, i * 4 + 3))).toEqual([0, 98, 255]);
+    expect(ink.data[i * 4 + 3]).toBe(plate.data[i * 4] < 250 ? 255 - plate.data[i * 4] : 0);
+  }
+});
+
+test('a physical size sets the document size and keeps the pixel viewBox', async () => {
+  const scene = await renderScene(gradient(), WIDTH, HEIGHT, SETTINGS, { vector: true });
+  const svg = await (await createSvg(scene, { ...recordImages(), size: { width: '60mm', height: '40mm' } })).text();
+  expect(svg).toContain(`width="60mm" height="40mm" viewBox="0 0 ${WIDTH} ${HEIGHT}"`);
+});
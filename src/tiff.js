@@ -0,0 +1,133 @@
+// Streaming TIFF encoder for print workflows. Rows arrive in bands of RGBA ImageData like
+// the PNG encoder's; they are PackBits-compressed row by row into strips as they come and
+// the directory (IFD) is written at the end, with the header pointing to it.
+import { packRow } from './psd';
+
+// Rows per strip, so readers can decode a large image in pieces
+const ROWS_PER_STRIP = 64;
+
+// Classic TIFF offsets are 32-bit
+const TIFF_MAX_BYTES = 2 ** 32 - 1;
+
+const TYPES = { SHORT: 3, LONG: 4, RATIONAL: 5, ASCII: 2 };
+const TYPE_SIZES = { 2: 1, 3: 2, 4: 4, 5: 8 };
+
+// IFD of [tag, type, values] entries (ASCII values as a string) written at offset.
+// Values that don't fit in an entry's four bytes follow the entries.
+function directory(entries, offset) {
+  entries.sort((a, b) => a[0] - b[0]);
+  const sizes = entries.map(([, type, values]) => TYPE_SIZES[type] * values.length);
+  const tableSize = 2 + entries.length * 12 + 4;
+  const out = new Uint8Array(tableSize + sizes.reduce((sum, size) => sum + (size > 4 ? size + (size % 2) : 0), 0));
+  const view = new DataView(out.buffer);
+
+  const writeValues = (at, type, values) => {
+    values.forEach((value, i) => {
+      if (type === TYPES.ASCII) out[at + i] = value.charCodeAt(0);
+      else if (type === TYPES.SHORT) view.setUint16(at + i * 2, value, true);
+      else if (type === TYPES.LONG) view.setUint32(at + i * 4, value, true);
+      else {
+        view.setUint32(at + i * 8, value[0], true);
+        view.setUint32(at + i * 8 + 4, value[1], true);
+      }
+    });
+  };
+
+  view.setUint16(0, entries.length, true);
+  let extra = tableSize;
+  entries.forEach(([tag, type, values], i) => {
+    const at = 2 + i * 12;
+    view.setUint16(at, tag, true);
+    view.setUint16(at + 2, type, true);
+    view.setUint32(at + 4, values.length, true);
+    if (sizes[i] <= 4) {
+      writeValues(at + 8, type, values);
+    } else {
+      view.setUint32(at + 8, offset + extra, true);
+      writeValues(extra, type, values);
+      extra += sizes[i] + (sizes[i] % 2);
+    }
+  });
+  return out; // next IFD offset: 0
+}
+
+// Encoder for a width x height image. bitDepth 8 writes RGB (RGBA with alpha, as
+// unassociated alpha); bitDepth 1 writes a bilevel image, black where the luminance is
+// below mid-gray, the way film output reads it. A dpi sets the resolution tags.
+export function createTiffEncoder(width, height, { bitDepth = 8, alpha = false, dpi = null } = {}) {
+  const bilevel = bitDepth === 1;
+  const samples = bilevel ? 1 : alpha ? 4 : 3;
+  const rowBytes = bilevel ? Math.ceil(width / 8) : width * samples;
+  const line = new Uint8Array(rowBytes);
+  const packed = new Uint8Array(rowBytes + Math.ceil(rowBytes / 128));
+
+  const parts = [];
+  const stripOffsets = [];
+  const stripCounts = [];
+  let offset = 8;
+  let rows = 0;
+
+  const addRow = (src, i) => {
+    if (bilevel) {
+      line.fill(0);
+      for (let x = 0; x < width; x++, i += 4) {
+        // WhiteIsZero: a set bit is black
+        if (src[i] * 0.299 + src[i + 1] * 0.587 + src[i + 2] * 0.114 < 128) line[x >> 3] |= 0x80 >> (x & 7);
+      }
+    } else {
+      for (let x = 0; x < width; x++, i += 4) {
+        for (let c = 0; c < samples; c++) line[x * samples + c] = src[i + c];
+      }
+    }
+    if (rows % ROWS_PER_STRIP === 0) {
+      stripOffsets.push(offset);
+      stripCounts.push(0);
+    }
+    const length = packRow(line, 0, rowBytes, packed, 0);
+    parts.push(packed.slice(0, length));
+    stripCounts[stripCounts.length - 1] += length;
+    offset += length;
+    rows++;
+  };
+
+  return {
+    async writeRows(imageData) {
+      for (let y = 0; y < imageData.height; y++) addRow(imageData.data, y * imageData.width * 4);
+    },
+
+    async finish() {
+      if (rows !== height) throw new Error(`TIFF expected ${height} rows, got ${rows}`);
+      // Word-align the directory
+      if (offset % 2) {
+        parts.push(new Uint8Array(1));
+        offset++;
+      }
+      const resolution = [Math.round((dpi || 72) * 100), 100];
+      const entries = [
+        [256, TYPES.LONG, [width]], // ImageWidth
+        [257, TYPES.LONG, [height]], // ImageLength
+        [258, TYPES.SHORT, new Array(samples).fill(bitDepth)], // BitsPerSample
+        [259, TYPES.SHORT, [32773]], // Compression: PackBits
+        [262, TYPES.SHORT, [bilevel ? 0 : 2]], // Photometric: WhiteIsZero or RGB
+        [273, TYPES.LONG, stripOffsets], // StripOffsets
+        [277, TYPES.SHORT, [samples]], // SamplesPerPixel
+        [278, TYPES.LONG, [ROWS_PER_STRIP]], // RowsPerStrip
+        [279, TYPES.LONG, stripCounts], // StripByteCounts
+        [282, TYPES.RATIONAL, [resolution]], // XResolution
+        [283, TYPES.RATIONAL, [resolution]], // YResolution
+        [284, TYPES.SHORT, [1]], // PlanarConfiguration: chunky
+        [296, TYPES.SHORT, [2]], // ResolutionUnit: inch
+        [305, TYPES.ASCII, [...'domo-dither\0']] // Software
+      ];
+      if (alpha && !bilevel) entries.push([338, TYPES.SHORT, [2]]); // ExtraSamples: unassociated alpha
+      const ifd = directory(entries, offset);
+      if (offset + ifd.length > TIFF_MAX_BYTES) throw new Error('TIFF is limited to 4 GB, this export is larger');
+
+      const header = new Uint8Array(8);
+      const view = new DataView(header.buffer);
+      header.set([73, 73, 42, 0]); // II, little-endian
+      view.setUint32(4, offset, true);
+      return new Blob([header, ...parts, ifd], { type: 'image/tiff' });
+    }
+  };
+}
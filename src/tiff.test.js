@@ -0,0 +1,132 @@
+/**
+ * @jest-environment node
+ */
+import { createTiffEncoder } from './tiff';
+
+const TYPE_SIZES = { 2: 1, 3: 2, 4: 4, 5: 8 };
+
+function testImage(width, height) {
+  const image = new ImageData(width, height);
+  for (let i = 0; i < width * height; i++) {
+    // Runs of repeated pixels as well as noise, so PackBits writes both kinds of packet
+    const v = i % 40 < 20 ? 200 : (i * 37) & 255;
+    image.data.set([v, (v * 3) & 255, i % 3 ? 0 : 255, (i * 53) & 255], i * 4);
+  }
+  return image;
+}
+
+async function encode(image, options, bandRows = 7) {
+  const encoder = createTiffEncoder(image.width, image.height, options);
+  for (let y = 0; y < image.height; y += bandRows) {
+    const rows = Math.min(bandRows, image.height - y);
+    await encoder.writeRows(new ImageData(image.data.slice(y * image.width * 4, (y + rows) * image.width * 4), image.width, rows));
+  }
+  return new Uint8Array(await (await encoder.finish()).arrayBuffer());
+}
+
+// Tags of the first IFD as { tag: values }, read from entries or from where they point
+function readIfd(bytes) {
+  const view = new DataView(bytes.buffer);
+  expect(Array.from(bytes.subarray(0, 4))).toEqual([73, 73, 42, 0]);
+  const offset = view.getUint32(4, true);
+  expect(offset % 2).toBe(0);
+  const count = view.getUint16(offset, true);
+  const tags = {};
+  for (let i = 0; i < count; i++) {
+    const at = offset + 2 + i * 12;
+    const tag = view.getUint16(at, true);
+    const type = view.getUint16(at + 2, true);
+    const length = view.getUint32(at + 4, true);
+    const start = TYPE_SIZES[type] * length > 4 ? view.getUint32(at + 8, true) : at + 8;
+    tags[tag] = Array.from({ length }, (_, k) => {
+      if (type === 2) return String.fromCharCode(bytes[start + k]);
+      if (type === 3) return view.getUint16(start + k * 2, true);
+      if (type === 4) return view.getUint32(start + k * 4, true);
+      return [view.getUint32(start + k * 8, true), view.getUint32(start + k * 8 + 4, true)];
+    });
+  }
+  const keys = Object.keys(tags).map(Number);
+  expect(keys).toEqual([...keys].sort((a, b) => a - b));
+  expect(view.getUint32(offset + 2 + count * 12, true)).toBe(0);
+  return tags;
+}
+
+// PackBits decoded
+function unpackBits(packed) {
+  const out = [];
+  for (let n = 0; n < packed.length;) {
+    const header = packed[n++];
+    if (header < 128) {
+      out.push(...packed.subarray(n, n + header + 1));
+      n += header + 1;
+    } else if (header > 128) {
+      out.push(...new Array(257 - header).fill(packed[n++]));
+    }
+  }
+  return out;
+}
+
+// Samples of all strips, checking they lie end to end before the IFD
+function readStrips(bytes, tags) {
+  const offsets = tags[273], counts = tags[279];
+  expect(offsets.length).toBe(counts.length);
+  expect(offsets.length).toBe(Math.ceil(tags[257][0] / tags[278][0]));
+  expect(offsets[0]).toBe(8);
+  for (let i = 1; i < offsets.length; i++) expect(offsets[i]).toBe(offsets[i - 1] + counts[i - 1]);
+  return offsets.flatMap((offset, i) => unpackBits(bytes.subarray(offset, offset + counts[i])));
+}
+
+test('RGB strips decode back to the rows written', async () => {
+  const image = testImage(45, 150);
+  const bytes = await encode(image, { dpi: 300 });
+  const tags = readIfd(bytes);
+  expect(tags[256]).toEqual([45]);
+  expect(tags[257]).toEqual([150]);
+  expect(tags[258]).toEqual([8, 8, 8]);
+  expect(tags[259]).toEqual([32773]);
+  expect(tags[262]).toEqual([2]);
+  expect(tags[277]).toEqual([3]);
+  expect(tags[282]).toEqual([[30000, 100]]);
+  expect(tags[296]).toEqual([2]);
+  expect(tags[305].join('')).toBe('domo-dither\0');
+  expect(tags[338]).toBeUndefined();
+
+  const samples = readStrips(bytes, tags);
+  expect(samples.length).toBe(45 * 150 * 3);
+  for (let i = 0; i < 45 * 150; i++) {
+    expect(samples.slice(i * 3, i * 3 + 3)).toEqual(Array.from(image.data.subarray(i * 4, i * 4 + 3)));
+  }
+});
+
+test('alpha is a fourth, unassociated sample', async () => {
+  const image = testImage(6, 5);
+  const bytes = await encode(image, { alpha: true });
+  const tags = readIfd(bytes);
+  expect(tags[258]).toEqual([8, 8, 8, 8]);
+  expect(tags[338]).toEqual([2]);
+  expect(readStrips(bytes, tags)).toEqual(Array.from(image.data));
+});
+
+test('1-bit rows are black where the luminance is below mid-gray', async () => {
+  const image = testImage(19, 70);
+  const bytes = await encode(image, { bitDepth: 1 });
+  const tags = readIfd(bytes);
+  expect(tags[258]).toEqual([1]);
+  expect(tags[262]).toEqual([0]);
+  const samples = readStrips(bytes, tags);
+  const rowBytes = Math.ceil(19 / 8);
+  expect(samples.length).toBe(rowBytes * 70);
+  for (let y = 0; y < 70; y++) {
+    for (let x = 0; x < 19; x++) {
+      const i = (y * 19 + x) * 4;
+      const black = image.data[i] * 0.299 + image.data[i + 1] * 0.587 + image.data[i + 2] * 0.114 < 128;
+      expect((samples[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1).toBe(black ? 1 : 0);
+    }
+  }
+});
+
+test('finish rejects when rows are missing', async () => {
+  const encoder = createTiffEncoder(4, 4);
+  await encoder.writeRows(new ImageData(4, 2));
+  await expect(encoder.finish()).rejects.toThrow('TIFF expected 4 rows, got 2');
+});
@@ -0,0 +1,80 @@
+// Video input: a local clip played from an object URL in a hidden <video> element. Frames
+// are grabbed by seeking, so scrubbing and export read exact times. Sound is left out.
+
+// Resolves once the event fires on the element, rejects on a media error
+function once(element, event) {
+  return new Promise((resolve, reject) => {
+    const done = () => {
+      element.removeEventListener(event, done);
+      element.removeEventListener('error', fail);
+      resolve();
+    };
+    const fail = () => {
+      element.removeEventListener(event, done);
+      element.removeEventListener('error', fail);
+      reject(new Error('Could not read this video'));
+    };
+    element.addEventListener(event, done);
+    element.addEventListener('error', fail);
+  });
+}
+
+// Muted element of a video URL with its first frame decoded. Recordings without a
+// duration in their header (e.g. from MediaRecorder) are seeked to the end to find it.
+export async function loadVideoElement(url) {
+  const element = document.createElement('video');
+  element.muted = true;
+  element.playsInline = true;
+  element.preload = 'auto';
+  element.src = url;
+  await once(element, 'loadeddata');
+
+  if (!Number.isFinite(element.duration)) {
+    element.currentTime = Number.MAX_SAFE_INTEGER;
+    await once(element, 'seeked');
+    await seekVideo(element, 0);
+  }
+  return element;
+}
+
+// Video of a file: { element, url, file, name, duration, width, height }
+export async function openVideo(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    const element = await loadVideoElement(url);
+    return { element, url, file, name: file.name, duration: element.duration, width: element.videoWidth, height: element.videoHeight };
+  } catch (error) {
+    URL.revokeObjectURL(url);
+    throw error;
+  }
+}
+
+// Lets the element drop its decoded media; it can't be played afterwards
+export function releaseVideoElement(element) {
+  element.removeAttribute('src');
+  element.load();
+}
+
+export async function seekVideo(element, time) {
+  if (element.currentTime === time && !element.seeking) return;
+  element.currentTime = time;
+  await once(element, 'seeked');
+}
+
+// Canvas copy of the frame on show, usable as a still source image
+export function captureVideoFrame(element) {
+  const canvas = document.createElement('canvas');
+  canvas.width = element.videoWidth;
+  canvas.height = element.videoHeight;
+  canvas.getContext('2d').drawImage(element, 0, 0);
+  return canvas;
+}
+
+export function videoFrameCount(duration, fps) {
+  return Math.max(1, Math.floor(duration * fps));
+}
+
+// Time of a frame: the middle of its interval, so rounding never lands on a neighbour
+export function videoFrameTime(frame, fps) {
+  return (frame + 0.5) / fps;
+}
@@ -0,0 +1,19 @@
+/**
+ * @jest-environment node
+ */
+import { videoFrameCount, videoFrameTime } from './video';
+
+test('frame times fall inside their frame of the clip', () => {
+  const fps = 12;
+  const count = videoFrameCount(2.5, fps);
+  expect(count).toBe(30);
+  for (let frame = 0; frame < count; frame++) {
+    const time = videoFrameTime(frame, fps);
+    expect(Math.floor(time * fps)).toBe(frame);
+    expect(time).toBeLessThan(2.5);
+  }
+});
+
+test('a clip shorter than a frame still has one', () => {
+  expect(videoFrameCount(0.01, 24)).toBe(1);
+});
@@ -0,0 +1,155 @@
+/* global VideoEncoder, VideoFrame */
+// WebM video encoder. Frames go through the browser's VideoEncoder (WebCodecs, VP8) and
+// the encoded chunks are muxed into a minimal Matroska file: header, segment info, one
+// video track and a cluster per keyframe. No cues, so players read it front to back.
+
+const textEncoder = new TextEncoder();
+
+// Seconds between forced keyframes (and so between clusters)
+const KEYFRAME_INTERVAL = 2;
+
+// Variable-length size field: a length marker bit, then the value big-endian
+function sizeField(size) {
+  let length = 1;
+  while (size >= 2 ** (7 * length) - 1) length++;
+  const bytes = new Uint8Array(length);
+  for (let i = length - 1, v = size; i >= 0; i--, v = Math.floor(v / 256)) bytes[i] = v % 256;
+  bytes[0] |= 0x80 >> (length - 1);
+  return bytes;
+}
+
+function unsignedBytes(value) {
+  const bytes = [];
+  do {
+    bytes.unshift(value % 256);
+    value = Math.floor(value / 256);
+  } while (value > 0);
+  return new Uint8Array(bytes);
+}
+
+function float64(value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return bytes;
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+// EBML element of an id (as written, marker bits included) and a payload: raw bytes, an
+// unsigned integer, a string or a list of child elements
+function element(id, payload) {
+  const data = payload instanceof Uint8Array ? payload
+    : typeof payload === 'number' ? unsignedBytes(payload)
+    : typeof payload === 'string' ? textEncoder.encode(payload)
+    : concat(payload);
+  return concat([unsignedBytes(id), sizeField(data.length), data]);
+}
+
+// chunks are { data, time (ms), key } in decode order
+function muxWebm(chunks, { width, height, fps }) {
+  const header = element(0x1A45DFA3, [
+    element(0x4286, 1), // EBMLVersion
+    element(0x42F7, 1), // EBMLReadVersion
+    element(0x42F2, 4), // EBMLMaxIDLength
+    element(0x42F3, 8), // EBMLMaxSizeLength
+    element(0x4282, 'webm'), // DocType
+    element(0x4287, 2), // DocTypeVersion
+    element(0x4285, 2) // DocTypeReadVersion
+  ]);
+
+  const info = element(0x1549A966, [
+    element(0x2AD7B1, 1000000), // TimecodeScale: milliseconds
+    element(0x4D80, 'domo-dither'), // MuxingApp
+    element(0x5741, 'domo-dither'), // WritingApp
+    element(0x4489, float64(chunks.length * 1000 / fps)) // Duration
+  ]);
+
+  const tracks = element(0x1654AE6B, [
+    element(0xAE, [ // TrackEntry
+      element(0xD7, 1), // TrackNumber
+      element(0x73C5, 1), // TrackUID
+      element(0x83, 1), // TrackType: video
+      element(0x86, 'V_VP8'), // CodecID
+      element(0x23E383, Math.round(1e9 / fps)), // DefaultDuration (ns)
+      element(0xE0, [element(0xB0, width), element(0xBA, height)]) // Video: PixelWidth, PixelHeight
+    ])
+  ]);
+
+  // A cluster starts at every keyframe; block times are 16-bit offsets from it
+  const clusters = [];
+  let cluster = null;
+  for (const { data, time, key } of chunks) {
+    if (!cluster || key || time - cluster.time > 32767) {
+      cluster = { time, blocks: [] };
+      clusters.push(cluster);
+    }
+    const offset = time - cluster.time;
+    const block = concat([new Uint8Array([0x81, (offset >> 8) & 255, offset & 255, key ? 0x80 : 0]), data]);
+    cluster.blocks.push(element(0xA3, block)); // SimpleBlock, track 1
+  }
+
+  const segment = element(0x18538067, [
+    info,
+    tracks,
+    ...clusters.map(({ time, blocks }) => element(0x1F43B675, [element(0xE7, time), ...blocks]))
+  ]);
+  return new Blob([header, segment], { type: 'video/webm' });
+}
+
+// Frames are RGBA ImageData at a constant fps. VP8 wants even sizes, so an odd last row
+// or column is dropped.
+export function createWebmEncoder(width, height, { fps = 12 } = {}) {
+  if (typeof VideoEncoder === 'undefined') throw new Error('WebM export needs a browser with WebCodecs (VideoEncoder)');
+  const evenWidth = width - (width % 2);
+  const evenHeight = height - (height % 2);
+  const chunks = [];
+  let failure = null;
+
+  const encoder = new VideoEncoder({
+    output: (chunk) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      chunks.push({ data, time: Math.round(chunk.timestamp / 1000), key: chunk.type === 'key' });
+    },
+    error: (error) => {
+      failure = error;
+    }
+  });
+  // Dithered frames are all edges, so they get a generous bitrate
+  encoder.configure({ codec: 'vp8', width: evenWidth, height: evenHeight, bitrate: Math.round(evenWidth * evenHeight * fps * 0.5), framerate: fps });
+  let frameIndex = 0;
+
+  return {
+    async addFrame(imageData) {
+      if (failure) throw failure;
+      const frame = new VideoFrame(imageData.data, {
+        format: 'RGBA',
+        codedWidth: imageData.width,
+        codedHeight: imageData.height,
+        visibleRect: { x: 0, y: 0, width: evenWidth, height: evenHeight },
+        timestamp: Math.round(frameIndex * 1e6 / fps),
+        duration: Math.round(1e6 / fps)
+      });
+      encoder.encode(frame, { keyFrame: frameIndex % Math.max(1, Math.round(fps * KEYFRAME_INTERVAL)) === 0 });
+      frame.close();
+      frameIndex++;
+      // Keep the encoder queue short so frames don't pile up in memory
+      while (encoder.encodeQueueSize > 4) await new Promise(resolve => setTimeout(resolve, 5));
+    },
+
+    async finish() {
+      await encoder.flush();
+      encoder.close();
+      if (failure) throw failure;
+      return muxWebm(chunks, { width: evenWidth, height: evenHeight, fps });
+    }
+  };
+}
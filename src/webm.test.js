@@ -0,0 +1,121 @@
+/**
+ * @jest-environment node
+ */
+import { createWebmEncoder } from './webm';
+
+// WebCodecs stand-ins: every frame becomes a one-byte chunk holding its index
+class FakeVideoFrame {
+  constructor(data, init) {
+    Object.assign(this, init);
+  }
+
+  close() {}
+}
+
+class FakeVideoEncoder {
+  static instances = [];
+
+  constructor({ output }) {
+    this.output = output;
+    this.encodeQueueSize = 0;
+    this.frames = 0;
+    FakeVideoEncoder.instances.push(this);
+  }
+
+  configure(config) {
+    this.config = config;
+  }
+
+  encode(frame, { keyFrame }) {
+    const index = this.frames++;
+    this.output({
+      byteLength: 1,
+      copyTo: (data) => data.set([index]),
+      timestamp: frame.timestamp,
+      type: keyFrame ? 'key' : 'delta'
+    });
+  }
+
+  async flush() {}
+
+  close() {}
+}
+
+beforeEach(() => {
+  FakeVideoEncoder.instances = [];
+  global.VideoEncoder = FakeVideoEncoder;
+  global.VideoFrame = FakeVideoFrame;
+});
+
+afterEach(() => {
+  delete global.VideoEncoder;
+  delete global.VideoFrame;
+});
+
+// EBML elements in bytes [start, end) as { id, data, children() }
+function readElements(bytes, start = 0, end = bytes.length) {
+  const elements = [];
+  const vint = (offset, keepMarker) => {
+    let length = 1;
+    while (!(bytes[offset] & (0x80 >> (length - 1)))) length++;
+    let value = keepMarker ? bytes[offset] : bytes[offset] & (0xFF >> length);
+    for (let i = 1; i < length; i++) value = value * 256 + bytes[offset + i];
+    return { value, length };
+  };
+  for (let offset = start; offset < end;) {
+    const id = vint(offset, true);
+    const size = vint(offset + id.length, false);
+    const dataStart = offset + id.length + size.length;
+    const data = bytes.subarray(dataStart, dataStart + size.value);
+    elements.push({ id: id.value, data, children: () => readElements(bytes, dataStart, dataStart + size.value) });
+    offset = dataStart + size.value;
+  }
+  expect(elements.length).toBeGreaterThan(0);
+  return elements;
+}
+
+const child = (element, id) => element.children().find(e => e.id === id);
+const uint = (element) => element.data.reduce((value, byte) => value * 256 + byte, 0);
+
+test('frames are muxed into a WebM with a cluster per keyframe', async () => {
+  const fps = 2;
+  const encoder = createWebmEncoder(9, 7, { fps });
+  for (let i = 0; i < 6; i++) await encoder.addFrame(new ImageData(9, 7));
+  const bytes = new Uint8Array(await (await encoder.finish()).arrayBuffer());
+
+  // VP8 gets even sizes
+  expect(FakeVideoEncoder.instances[0].config).toMatchObject({ codec: 'vp8', width: 8, height: 6 });
+
+  const [header, segment] = readElements(bytes);
+  expect(header.id).toBe(0x1A45DFA3);
+  expect(new TextDecoder().decode(child(header, 0x4282).data)).toBe('webm');
+  expect(segment.id).toBe(0x18538067);
+
+  const info = child(segment, 0x1549A966);
+  expect(uint(child(info, 0x2AD7B1))).toBe(1000000);
+  expect(new DataView(child(info, 0x4489).data.slice().buffer).getFloat64(0)).toBe(3000);
+
+  const track = child(child(segment, 0x1654AE6B), 0xAE);
+  expect(new TextDecoder().decode(child(track, 0x86).data)).toBe('V_VP8');
+  const video = child(track, 0xE0);
+  expect([uint(child(video, 0xB0)), uint(child(video, 0xBA))]).toEqual([8, 6]);
+
+  // A keyframe every two seconds, so frames 0 and 4 start clusters
+  const clusters = segment.children().filter(e => e.id === 0x1F43B675);
+  expect(clusters.map(cluster => uint(child(cluster, 0xE7)))).toEqual([0, 2000]);
+  const blocks = clusters.map(cluster => cluster.children().filter(e => e.id === 0xA3).map(({ data }) => ({
+    track: data[0],
+    time: (data[1] << 8) | data[2],
+    key: !!(data[3] & 0x80),
+    frame: data[4]
+  })));
+  expect(blocks).toEqual([
+    [{ track: 0x81, time: 0, key: true, frame: 0 }, { track: 0x81, time: 500, key: false, frame: 1 }, { track: 0x81, time: 1000, key: false, frame: 2 }, { track: 0x81, time: 1500, key: false, frame: 3 }],
+    [{ track: 0x81, time: 0, key: true, frame: 4 }, { track: 0x81, time: 500, key: false, frame: 5 }]
+  ]);
+});
+
+test('without WebCodecs the encoder says so', () => {
+  delete global.VideoEncoder;
+  expect(() => createWebmEncoder(8, 8)).toThrow('WebM export needs a browser with WebCodecs');
+});
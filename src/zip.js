@@ -0,0 +1,67 @@
+// ZIP archive writer. Entries are stored uncompressed: they are PNGs or other files that
+// are already deflated, so a second pass would only cost time.
+import { crc32 } from './png';
+
+// DOS date and time fields of a Date (2-second resolution, local time)
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// files is a list of { name, blob }; resolves to the archive Blob
+export async function createZip(files, { date = new Date() } = {}) {
+  const encoder = new TextEncoder();
+  const { time, date: day } = dosDateTime(date);
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const { name, blob } of files) {
+    const nameBytes = encoder.encode(name);
+    const data = new Uint8Array(await blob.arrayBuffer());
+    const crc = crc32(data);
+
+    // Fields shared by the local header (from offset 4) and the central directory entry (from 6)
+    const fields = new Uint8Array(26);
+    const view = new DataView(fields.buffer);
+    view.setUint16(0, 20, true); // version needed
+    view.setUint16(2, 0x0800, true); // flags: UTF-8 names
+    view.setUint16(4, 0, true); // method: stored
+    view.setUint16(6, time, true);
+    view.setUint16(8, day, true);
+    view.setUint32(10, crc, true);
+    view.setUint32(14, data.length, true);
+    view.setUint32(18, data.length, true);
+    view.setUint16(22, nameBytes.length, true);
+
+    const local = new Uint8Array(30 + nameBytes.length);
+    new DataView(local.buffer).setUint32(0, 0x04034B50, true);
+    local.set(fields, 4);
+    local.set(nameBytes, 30);
+    parts.push(local, data);
+
+    const entry = new Uint8Array(46 + nameBytes.length);
+    const entryView = new DataView(entry.buffer);
+    entryView.setUint32(0, 0x02014B50, true);
+    entryView.setUint16(4, 20, true); // version made by
+    entry.set(fields, 6);
+    entryView.setUint32(42, offset, true);
+    entry.set(nameBytes, 46);
+    directory.push(entry);
+
+    offset += local.length + data.length;
+  }
+
+  const directorySize = directory.reduce((sum, entry) => sum + entry.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054B50, true);
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, directorySize, true);
+  endView.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
@@ -0,0 +1,40 @@
+/**
+ * @jest-environment node
+ */
+import { crc32 } from './png';
+import { createZip } from './zip';
+
+test('the central directory points at every stored entry', async () => {
+  const files = [
+    { name: 'plate-1.png', blob: new Blob([new Uint8Array([1, 2, 3, 4, 5])]) },
+    { name: 'Platte ä/2.txt', blob: new Blob(['second entry']) },
+    { name: 'empty', blob: new Blob([]) }
+  ];
+  const bytes = new Uint8Array(await (await createZip(files, { date: new Date(2024, 4, 17, 13, 45, 30) })).arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const decoder = new TextDecoder();
+
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054B50);
+  expect(view.getUint16(end + 10, true)).toBe(files.length);
+  let entry = view.getUint32(end + 16, true);
+  expect(entry + view.getUint32(end + 12, true)).toBe(end);
+
+  for (const file of files) {
+    const data = new Uint8Array(await file.blob.arrayBuffer());
+    expect(view.getUint32(entry, true)).toBe(0x02014B50);
+    const nameLength = view.getUint16(entry + 28, true);
+    expect(decoder.decode(bytes.subarray(entry + 46, entry + 46 + nameLength))).toBe(file.name);
+    expect(view.getUint32(entry + 16, true)).toBe(crc32(data));
+    expect(view.getUint32(entry + 24, true)).toBe(data.length);
+    expect(view.getUint16(entry + 12, true)).toBe((13 << 11) | (45 << 5) | 15);
+    expect(view.getUint16(entry + 14, true)).toBe((44 << 9) | (5 << 5) | 17);
+
+    const local = view.getUint32(entry + 42, true);
+    expect(view.getUint32(local, true)).toBe(0x04034B50);
+    expect(Array.from(bytes.subarray(local + 4, local + 30))).toEqual(Array.from(bytes.subarray(entry + 6, entry + 32)));
+    const start = local + 30 + view.getUint16(local + 26, true);
+    expect(Array.from(bytes.subarray(start, start + data.length))).toEqual(Array.from(data));
+    entry += 46 + nameLength;
+  }
+});